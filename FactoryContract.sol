@@ -29,6 +29,8 @@ contract PaxmataFactory is Ownable {
     // State variables
     address public projectManager;
     bool private initialized;
+    // Rules on milestone disputes in every office this factory deploys
+    address public arbitrator;
 
     // Project contract tracking
     mapping(uint256 => address) public officeContracts;
@@ -44,6 +46,10 @@ contract PaxmataFactory is Ownable {
         address indexed escrowContractAddress
     );
     event ProjectManagerSet(address indexed projectManager);
+    event ArbitratorUpdated(
+        address indexed oldArbitrator,
+        address indexed newArbitrator
+    );
 
     constructor() {
         initialized = false;
@@ -62,6 +68,16 @@ contract PaxmataFactory is Ownable {
         emit ProjectManagerSet(_projectManager);
     }
 
+    /**
+     * @dev Sets who can resolve milestone disputes. Can only be called by the owner.
+     */
+    function setArbitrator(address _arbitrator) external onlyOwner {
+        require(_arbitrator != address(0), "Invalid arbitrator address");
+        address oldArbitrator = arbitrator;
+        arbitrator = _arbitrator;
+        emit ArbitratorUpdated(oldArbitrator, _arbitrator);
+    }
+
     /**
      * @dev Creates new OfficeContract and PaxmataEscrow contracts for a project.
      */
@@ -8,14 +8,26 @@ import "./interfaces/IPaxmataEscrow.sol";
 import "./interfaces/ICurrency.sol";
 import "./interfaces/IProjectManager.sol";
 
+// The factory that deployed the office names the arbitrator for milestone
+// disputes. The project manager can point at a new factory, so offices from
+// before disputes don't have to be redeployed alongside it.
+interface IDisputeArbitration {
+    function arbitrator() external view returns (address);
+}
+
 contract OfficeContract is ReentrancyGuard {
     using SafeERC20 for IERC20;
 
+    // 2 added milestone disputes. Offices deployed before it have no
+    // version getter, which the backend reads as version 1.
+    uint256 public constant OFFICE_VERSION = 2;
+
     // Immutable state variables - set once during construction
     uint256 public immutable tokenId;
     address public immutable projectOwner;
     address private immutable nftContract;
     address private immutable projectManager;
+    address public immutable factory;
     IPaxmataEscrow public immutable escrowContract;
 
     // Mutable state variables
@@ -50,6 +62,8 @@ contract OfficeContract is ReentrancyGuard {
     // Storage mappings
     mapping(uint256 => Milestone) public milestones;
     mapping(address => bool) public authorizedDevelopers;
+    // Milestones whose payment an arbitrator returned to the project owner
+    mapping(uint256 => bool) public refundedMilestones;
 
     // Custom error definitions
     error Unauthorized();
@@ -62,6 +76,7 @@ contract OfficeContract is ReentrancyGuard {
     error ChannelAlreadyClosed();
     error InsufficientPayment();
     error ArrayLengthMismatch();
+    error MilestoneRefunded();
 
     // Events
     event ProjectHashUpdated(
@@ -121,6 +136,14 @@ contract OfficeContract is ReentrancyGuard {
         uint256 payment
     );
 
+    event DisputeResolved(
+        uint256 indexed milestoneId,
+        address indexed arbitrator,
+        bool releasedToRecipient,
+        address paidTo,
+        uint256 amount
+    );
+
     event DeveloperAuthorized(address indexed developer);
     event DeveloperDeauthorized(address indexed developer);
     event ChannelClosed(uint256 timestamp);
@@ -137,6 +160,11 @@ contract OfficeContract is ReentrancyGuard {
         _;
     }
 
+    modifier onlyArbitrator() {
+        if (msg.sender != IDisputeArbitration(factory).arbitrator()) revert Unauthorized();
+        _;
+    }
+
     modifier channelOpen() {
         if (channelClosed) revert("Channel closed");
         _;
@@ -159,6 +187,7 @@ contract OfficeContract is ReentrancyGuard {
         // Set immutable variables
         nftContract = _nftContract;
         projectManager = _projectManager;
+        factory = msg.sender;
         tokenId = _tokenId;
         projectOwner = _projectOwner;
         escrowContract = IPaxmataEscrow(_escrowContract);
@@ -676,6 +705,7 @@ contract OfficeContract is ReentrancyGuard {
         if (milestone.id == 0) revert MilestoneNotFound();
         if (!milestone.completed) revert NotCompleted();
         if (milestone.verified) revert AlreadyVerified();
+        if (refundedMilestones[milestoneId]) revert MilestoneRefunded();
 
         milestone.verified = true;
 
@@ -693,6 +723,49 @@ contract OfficeContract is ReentrancyGuard {
         emit MilestoneVerified(milestoneId, msg.sender, milestone.payment);
     }
 
+    // Settles a completed milestone the owner hasn't verified. Releasing pays
+    // the recipient and marks the milestone verified; refunding returns the
+    // payment to the project owner. Works on closed channels so the owner
+    // can't block a ruling by closing one.
+    function resolveDispute(
+        uint256 milestoneId,
+        ICurrency.Currency currency,
+        bool releaseToRecipient
+    ) external onlyArbitrator nonReentrant {
+        Milestone storage milestone = milestones[milestoneId];
+        if (milestone.id == 0) revert MilestoneNotFound();
+        if (!milestone.completed) revert NotCompleted();
+        if (milestone.verified) revert AlreadyVerified();
+        if (refundedMilestones[milestoneId]) revert MilestoneRefunded();
+
+        address paidTo;
+        if (releaseToRecipient) {
+            milestone.verified = true;
+            paidTo = milestone.recipient;
+        } else {
+            refundedMilestones[milestoneId] = true;
+            paidTo = projectOwner;
+        }
+
+        if (milestone.payment > 0) {
+            escrowContract.releasePayment(
+                tokenId,
+                milestoneId,
+                paidTo,
+                milestone.payment,
+                currency
+            );
+        }
+
+        emit DisputeResolved(
+            milestoneId,
+            msg.sender,
+            releaseToRecipient,
+            paidTo,
+            milestone.payment
+        );
+    }
+
     // Developer management
     function authorizeDeveloper(address developer) external onlyProjectOwner {
         if (developer == address(0)) revert InvalidAddress();
@@ -11,25 +11,41 @@ const loadEnvironment = require("./loadEnvironment");
 const abiRoutes = require("./routes/abiRoutes");
 const achievementRoutes = require("./routes/achievement");
 const adminRoutes = require("./routes/adminRoutes");
+const adminApiKeyRoutes = require("./routes/adminApiKeys");
 const aiRoutes = require("./routes/aiRoutes");
+const apiKeyRoutes = require("./routes/apiKeys");
 const authRoutes = require("./routes/auth");
 const authenticate = require("./middleware/authenticate");
+const bidRoutes = require("./routes/bids");
+const chatHistoryRoutes = require("./routes/chatHistory");
 const chatRoutes = require("./routes/chatRoutes");
+const contractRoutes = require("./routes/contracts");
+const disputeRoutes = require("./routes/disputes");
 const errorHandler = require("./middleware/errorHandler");
+const verifyBidTransaction = require("./middleware/verifyBidTransaction");
 const kycRoutes = require("./routes/kycRoutes");
+const lendingRoutes = require("./routes/lending");
 const milestoneRoutes = require("./routes/milestones");
+const milestoneProofRoutes = require("./routes/milestoneProofs");
 const nftRoutes = require("./routes/nfts");
 const notificationRoutes = require("./routes/notification");
+const notificationPreferenceRoutes = require("./routes/notificationPreferences");
 const officeRoutes = require("./routes/office");
+const operatorRoutes = require("./routes/operator");
 const paymentsRoutes = require("./routes/payments");
 const profileStatsRoutes = require("./routes/profileStats");
 const progressRoutes = require("./routes/progress");
 const projectController = require("./controllers/projectController");
 const projectRoutes = require("./routes/projects");
+const reconciliationRoutes = require("./routes/reconciliation");
 const reviewRoutes = require("./routes/reviews");
 const scorsRoutes = require("./routes/scorsRoutes");
+const scorsHistoryRoutes = require("./routes/scorsHistory");
+const scorsRulesRoutes = require("./routes/scorsRules");
 const uploadRoutes = require("./routes/upload");
 const userProfileRoutes = require("./routes/userProfile");
+const v1Routes = require("./routes/v1");
+const webhookRoutes = require("./routes/webhooks");
 const notificationController = require("./controllers/notificationController");
 const scorsController = require("./controllers/scorsController");
 const userProfileController = require("./controllers/userProfileController");
@@ -144,25 +160,48 @@ app.get(
 // Auth Routes
 app.use("/api/auth", authRoutes);
 
+// Public API, authenticated with API keys rather than the session
+app.use("/api/v1", v1Routes);
+
 // Protected Routes
 app.use("/api/abi", authenticate, abiRoutes);
 app.use("/api/achievements", authenticate, achievementRoutes);
 app.use("/api/ai", authenticate, aiRoutes);
+app.use("/api/api-keys", authenticate, apiKeyRoutes);
+app.use("/api/admin/api-keys", authenticate, adminApiKeyRoutes);
+app.use("/api/admin/operator", authenticate, operatorRoutes);
+app.use("/api/admin/reconciliation", authenticate, reconciliationRoutes);
+app.use("/api/admin/scors-rules", authenticate, scorsRulesRoutes);
 app.use("/api/admin", authenticate, adminRoutes);
+app.use("/api/bids", authenticate, bidRoutes);
+// Chat history is read from ChatMessage; these take over the history routes
+// that read the Chat document's old embedded messages
+app.use("/api/chat", authenticate, chatHistoryRoutes);
 app.use("/api/chat", authenticate, chatRoutes);
+app.use("/api/contracts", authenticate, contractRoutes);
+app.use("/api/disputes", authenticate, disputeRoutes);
 app.use("/api/kyc", authenticate, kycRoutes);
+app.use("/api/lending", authenticate, lendingRoutes);
+app.use("/api/milestones", authenticate, milestoneProofRoutes);
 app.use("/api/milestones", authenticate, milestoneRoutes);
+app.use(
+  "/api/notifications/preferences",
+  authenticate,
+  notificationPreferenceRoutes
+);
 app.use("/api/notifications", authenticate, notificationRoutes);
 app.use("/api/nfts", authenticate, nftRoutes);
 app.use("/api/office", authenticate, officeRoutes);
-app.use("/api/payments", authenticate, paymentsRoutes);
+app.use("/api/payments", authenticate, verifyBidTransaction, paymentsRoutes);
 app.use("/api/profiles", authenticate, userProfileRoutes);
 app.use("/api/progress", authenticate, progressRoutes);
 app.use("/api/projects", authenticate, projectRoutes);
 app.use("/api/reviews", authenticate, reviewRoutes);
+app.use("/api/scors", authenticate, scorsHistoryRoutes);
 app.use("/api/scors", authenticate, scorsRoutes);
 app.use("/api/stats", authenticate, profileStatsRoutes);
 app.use("/api/upload", authenticate, uploadRoutes);
+app.use("/api/webhooks", authenticate, webhookRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -203,8 +242,55 @@ const startServer = async () => {
 
     // Create HTTP server and initialize WebSocket
     const server = http.createServer(app);
+    const { createMessageBus } = require("./services/MessageBus");
+    const messageBus = await createMessageBus();
     const { initWebSocket } = require("./websocket");
-    const wss = initWebSocket(server);
+    const wss = await initWebSocket(server, messageBus);
+
+    // Start chain event indexer
+    const {
+      startChainIndexer,
+      stopChainIndexer,
+    } = require("./services/ChainEventIndexer");
+    if (process.env.CHAIN_INDEXER_ENABLED !== "false") {
+      startChainIndexer(backendSigner.provider);
+    }
+
+    // Start milestone and loan repayment deadline scheduler
+    const {
+      startDeadlineScheduler,
+      stopDeadlineScheduler,
+    } = require("./services/DeadlineScheduler");
+    if (process.env.DEADLINE_SCHEDULER_ENABLED !== "false") {
+      startDeadlineScheduler(backendSigner.provider);
+    }
+
+    // Start project reconciler
+    const {
+      startProjectReconciler,
+      stopProjectReconciler,
+    } = require("./services/ProjectReconciler");
+    if (process.env.PROJECT_RECONCILER_ENABLED !== "false") {
+      startProjectReconciler(backendSigner.provider);
+    }
+
+    // Start webhook dispatcher
+    const {
+      startWebhookDispatcher,
+      stopWebhookDispatcher,
+    } = require("./services/Webhooks");
+    if (process.env.WEBHOOK_DISPATCHER_ENABLED !== "false") {
+      startWebhookDispatcher();
+    }
+
+    // Start daily and weekly notification digests
+    const {
+      startDigestScheduler,
+      stopDigestScheduler,
+    } = require("./services/NotificationChannels");
+    if (process.env.NOTIFICATION_DIGESTS_ENABLED !== "false") {
+      startDigestScheduler();
+    }
 
     // Start server
     server.listen(PORT, () => {
@@ -216,11 +302,19 @@ const startServer = async () => {
     // Graceful Shutdown Handler
     const gracefulShutdown = async (signal) => {
       console.log(`Received ${signal}. Starting graceful shutdown...`);
+      stopChainIndexer();
+      stopDeadlineScheduler();
+      stopProjectReconciler();
+      stopWebhookDispatcher();
+      stopDigestScheduler();
       server.close(async () => {
         try {
           await mongoose.connection.close();
           console.log("MongoDB connection closed.");
 
+          await messageBus.close();
+          console.log("Message bus closed.");
+
           if (wss) {
             wss.close(() => {
               console.log("WebSocket server closed.");
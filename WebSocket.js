@@ -1,14 +1,75 @@
 const WebSocket = require("ws");
 const jwt = require("jsonwebtoken");
 const url = require("url");
+const mongoose = require("mongoose");
 const Project = require("./models/Project");
 const Chat = require("./models/Chat");
+const Notification = require("./models/Notification");
 const ProjectStatsCalculator = require("./services/ProjectStatsCalculator");
-const SCORSProcessor = require("./services/SCORSProcessor");
+const { recordScorsEvent } = require("./services/ScorsLedger");
+const { enqueueWebhookEvent } = require("./services/Webhooks");
+const { sendToPreferredChannel } = require("./services/NotificationChannels");
+const { createInMemoryMessageBus } = require("./services/MessageBus");
+const { getChatAccess, isMutedInChat } = require("./services/ChatAccess");
+const {
+  toChatMessageFrame,
+  fetchChatHistory,
+} = require("./services/ChatHistory");
+const ChatMessage = require("./models/ChatMessage");
+const ChatModeration = require("./models/ChatModeration");
+const ChatReadReceipt = require("./models/ChatReadReceipt");
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ErrorCodes,
+  ClientFrames,
+  ServerFrames,
+  validateFrame,
+  negotiateProtocolVersion,
+} = require("./utils/wsProtocol");
 
 const userConnections = {};
+// Local subscribers per chat, keyed by chatKey: a project's main chat or one
+// bidder's negotiation thread. Each chat fans out through its own promise
+// chain, so messages reach subscribers in the order they were sent.
 const projectSubscriptions = new Map();
 
+const chatKey = (projectId, bidderId) =>
+  bidderId ? `${projectId}:${bidderId}` : String(projectId);
+
+// Every user and project broadcast goes through the bus, and each node
+// delivers it to the sockets it holds locally.
+const USER_CHANNEL = "ws:user";
+const PROJECT_CHANNEL = "ws:project";
+let messageBus = createInMemoryMessageBus();
+
+const MAX_REPLAYED_NOTIFICATIONS = 100;
+
+// Checking every outbound frame costs a parse per send, so it is only done
+// when WS_VALIDATE_OUTBOUND=true (development and CI).
+const VALIDATE_OUTBOUND = process.env.WS_VALIDATE_OUTBOUND === "true";
+
+// Outbound frame type for each stored notification type, used when missed
+// notifications are replayed on reconnect.
+const NOTIFICATION_FRAME_TYPES = {
+  project_minted: "PROJECT_MINTED",
+  new_bid: "NEW_BID",
+  bid_accepted: "BID_ACCEPTED",
+  bid_refunded: "BID_REFUNDED",
+  milestones_added: "MILESTONES_ADDED",
+  contract_created: "CONTRACT_GENERATED",
+  project_completed: "PROJECT_COMPLETION",
+  milestone_completed: "MILESTONE_COMPLETED",
+  milestone_verified: "MILESTONE_VERIFIED",
+  milestone_deadline: "MILESTONE_DEADLINE",
+  milestone_escalated: "MILESTONE_ESCALATED",
+  loan_disbursed: "LOAN_DISBURSED",
+  loan_overdue: "LOAN_OVERDUE",
+  loan_defaulted: "LOAN_DEFAULTED",
+  dispute_update: "DISPUTE_UPDATE",
+  dispute_ruled: "DISPUTE_RULED",
+};
+
 const getUserIdFromRequest = (req) => {
   const parsedUrl = url.parse(req.url, true);
   const token = parsedUrl.query.token;
@@ -23,103 +84,604 @@ const getUserIdFromRequest = (req) => {
   }
 };
 
+// Clients pass the id of the last notification they saw as ?since= when they
+// reconnect, so anything stored after it can be replayed.
+const getResumeCursorFromRequest = (req) => {
+  const parsedUrl = url.parse(req.url, true);
+  const since = parsedUrl.query.since;
+  return since && mongoose.Types.ObjectId.isValid(since) ? since : null;
+};
+
+const getProtocolVersionFromRequest = (req) => {
+  const parsedUrl = url.parse(req.url, true);
+  return negotiateProtocolVersion(parsedUrl.query.protocol);
+};
+
+const serializeFrame = (frame) => {
+  const payload = JSON.stringify(frame);
+  if (VALIDATE_OUTBOUND) {
+    const { valid, errors } = validateFrame(ServerFrames, JSON.parse(payload));
+    if (!valid) {
+      console.warn(
+        `Outbound ${frame.type} frame does not match schema:`,
+        errors
+      );
+    }
+  }
+  return payload;
+};
+
 const getUserConnections = (userId) => {
   return userConnections[userId.toString()] || [];
 };
 
+const sendFrame = (ws, frame) => {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(serializeFrame(frame));
+};
+
+// Error frames echo the requestId of the frame that caused them, so clients
+// can match failures to the call that made them.
+const sendError = (ws, code, message, details = {}) => {
+  sendFrame(ws, { type: "error", code, message, ...details });
+};
+
+// Resolves the sender's chat access and reports a typed error frame when it
+// falls short, returning null so the caller can stop.
+const requireChatAccess = async (ws, userId, frame, { admin } = {}) => {
+  const { projectId, bidderId, requestId } = frame;
+  const access = await getChatAccess(userId, projectId, bidderId || null);
+
+  if (!access.projectFound) {
+    sendError(ws, ErrorCodes.PROJECT_NOT_FOUND, "Project not found", {
+      projectId,
+      requestId,
+    });
+    return null;
+  }
+  if (!access.allowed) {
+    sendError(
+      ws,
+      ErrorCodes.CHAT_FORBIDDEN,
+      "You are not a member of this chat",
+      { projectId, bidderId, requestId }
+    );
+    return null;
+  }
+  if (admin && access.role !== "admin") {
+    sendError(ws, ErrorCodes.ADMIN_REQUIRED, "Only admins can moderate chats", {
+      projectId,
+      requestId,
+    });
+    return null;
+  }
+  return access;
+};
+
+// Only finds messages in the chat the sender was given access to
+const findChatMessage = async (ws, frame, access) => {
+  const { projectId, messageId, requestId } = frame;
+  const chatMessage = await ChatMessage.findOne({
+    _id: messageId,
+    projectId,
+    bidderId: access.bidderId,
+    deletedAt: null,
+  });
+  if (!chatMessage) {
+    sendError(ws, ErrorCodes.MESSAGE_NOT_FOUND, "Message not found", {
+      projectId,
+      messageId,
+      requestId,
+    });
+  }
+  return chatMessage;
+};
+
+// A negotiation thread is only ever the owner and the bidder
+const getChatParticipants = async (projectId, bidderId) => {
+  let participantIds;
+  if (bidderId) {
+    const project = await Project.findById(projectId).select("userId").lean();
+    participantIds = [project?.userId?.toString(), bidderId].filter(Boolean);
+  } else {
+    const chat = await Chat.findOne({ projectId })
+      .select("participants")
+      .lean();
+    participantIds = (chat?.participants || []).map((id) => id.toString());
+  }
+
+  return Promise.all(
+    participantIds.map(async (participantId) => ({
+      userId: participantId,
+      online: await isUserOnline(participantId),
+    }))
+  );
+};
+
+// Frames reach the handlers only after they parse and match ClientFrames.
 const handleChatEvents = (ws, userId) => {
   ws.on("message", async (data) => {
+    let message;
     try {
-      const message = JSON.parse(data);
+      message = JSON.parse(data);
+    } catch (error) {
+      sendError(ws, ErrorCodes.INVALID_JSON, "Frame is not valid JSON");
+      return;
+    }
 
+    const requestId =
+      typeof message?.requestId === "string" ? message.requestId : undefined;
+    const { valid, code, errors } = validateFrame(ClientFrames, message);
+    if (!valid) {
+      sendError(ws, code, "Invalid frame", { requestId, errors });
+      return;
+    }
+
+    try {
       switch (message.type) {
         case "joinProjectChat": {
-          if (!projectSubscriptions.has(message.projectId)) {
-            projectSubscriptions.set(message.projectId, new Set());
+          const { projectId } = message;
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+          const { bidderId } = access;
+
+          const key = chatKey(projectId, bidderId);
+          if (!projectSubscriptions.has(key)) {
+            projectSubscriptions.set(key, {
+              projectId,
+              bidderId,
+              subscribers: new Set(),
+              delivery: Promise.resolve(),
+            });
           }
-          projectSubscriptions.get(message.projectId).add(userId);
-
-          ws.send(
-            JSON.stringify({
-              type: "joinedChat",
-              projectId: message.projectId,
-            })
+          projectSubscriptions.get(key).subscribers.add(userId);
+
+          const [participants, readReceipts] = await Promise.all([
+            getChatParticipants(projectId, bidderId),
+            ChatReadReceipt.find({ projectId, bidderId })
+              .select("userId lastReadMessageId")
+              .lean(),
+          ]);
+
+          sendFrame(ws, {
+            type: "joinedChat",
+            projectId,
+            bidderId,
+            requestId,
+            role: access.role,
+            participants,
+            readReceipts,
+          });
+
+          broadcastToProject(
+            projectId,
+            { type: "presence", projectId, bidderId, userId, status: "online" },
+            bidderId
           );
           break;
         }
 
+        case "fetchHistory": {
+          const { projectId, before } = message;
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+
+          const history = await fetchChatHistory({
+            projectId,
+            bidderId: access.bidderId,
+            before,
+            limit: message.limit,
+          });
+
+          sendFrame(ws, {
+            type: "chatHistory",
+            projectId,
+            bidderId: access.bidderId,
+            requestId,
+            ...history,
+          });
+          break;
+        }
+
         case "sendMessage": {
           const { projectId, content, isAIMessage, clientId } = message;
 
-          const chatMessage = {
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+          if (await isMutedInChat(projectId, userId)) {
+            sendError(
+              ws,
+              ErrorCodes.CHAT_MUTED,
+              "You have been muted in this chat",
+              { projectId, clientId, requestId }
+            );
+            break;
+          }
+
+          // Save to database
+          const chatMessage = await ChatMessage.create({
+            projectId,
+            bidderId: access.bidderId,
             sender: userId,
             content,
-            isAIMessage,
+            isAIMessage: !!isAIMessage,
+            clientId: clientId || null,
             timestamp: new Date(),
-          };
-
-          // Save to database
-          await Chat.findOneAndUpdate(
+          });
+          // Participants are the main chat's; a thread's are fixed
+          await Chat.updateOne(
             { projectId },
             {
-              $push: { messages: chatMessage },
               $set: { lastActivity: new Date() },
-              $addToSet: { participants: userId },
+              ...(access.bidderId
+                ? {}
+                : { $addToSet: { participants: userId } }),
             },
             { upsert: true }
           );
 
-          // Broadcast to all users in the project chat
-          const subscribers = projectSubscriptions.get(projectId) || new Set();
-          for (const subscriberId of subscribers) {
-            const connections = getUserConnections(subscriberId);
-            connections.forEach((conn) => {
-              if (conn.readyState === WebSocket.OPEN) {
-                conn.send(
-                  JSON.stringify({
-                    type: "newMessage",
-                    projectId,
-                    message: {
-                      ...chatMessage,
-                      clientId: clientId || null,
-                    },
-                  })
-                );
-              }
+          broadcastToProject(
+            projectId,
+            {
+              type: "newMessage",
+              projectId,
+              bidderId: access.bidderId,
+              message: toChatMessageFrame(chatMessage.toObject()),
+            },
+            access.bidderId
+          );
+          break;
+        }
+
+        case "editMessage": {
+          const { projectId, messageId, content } = message;
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+
+          const chatMessage = await findChatMessage(ws, message, access);
+          if (!chatMessage) break;
+          if (chatMessage.sender.toString() !== userId) {
+            sendError(
+              ws,
+              ErrorCodes.NOT_MESSAGE_AUTHOR,
+              "You can only edit your own messages",
+              { projectId, messageId, requestId }
+            );
+            break;
+          }
+
+          chatMessage.content = content;
+          chatMessage.editedAt = new Date();
+          await chatMessage.save();
+
+          broadcastToProject(
+            projectId,
+            {
+              type: "messageEdited",
+              projectId,
+              bidderId: access.bidderId,
+              message: toChatMessageFrame(chatMessage.toObject()),
+            },
+            access.bidderId
+          );
+          break;
+        }
+
+        case "deleteMessage": {
+          const { projectId, messageId, reason } = message;
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+
+          const chatMessage = await findChatMessage(ws, message, access);
+          if (!chatMessage) break;
+
+          // Authors can delete their own messages; anything else is moderation
+          const isAuthor = chatMessage.sender.toString() === userId;
+          if (!isAuthor && access.role !== "admin") {
+            sendError(
+              ws,
+              ErrorCodes.ADMIN_REQUIRED,
+              "Only admins can moderate chats",
+              { projectId, messageId, requestId }
+            );
+            break;
+          }
+
+          if (!isAuthor) {
+            await ChatModeration.create({
+              projectId,
+              action: "delete",
+              moderatorId: userId,
+              messageId,
+              targetUserId: chatMessage.sender,
+              content: chatMessage.content,
+              reason,
             });
           }
+
+          chatMessage.deletedAt = new Date();
+          chatMessage.deletedBy = userId;
+          await chatMessage.save();
+
+          broadcastToProject(
+            projectId,
+            {
+              type: "messageDeleted",
+              projectId,
+              bidderId: access.bidderId,
+              messageId,
+            },
+            access.bidderId
+          );
+          break;
+        }
+
+        case "flagMessage": {
+          const { projectId, messageId, reason } = message;
+          const moderator = await requireChatAccess(ws, userId, message, {
+            admin: true,
+          });
+          if (!moderator) break;
+
+          const chatMessage = await findChatMessage(ws, message, moderator);
+          if (!chatMessage) break;
+
+          await ChatModeration.create({
+            projectId,
+            action: "flag",
+            moderatorId: userId,
+            messageId,
+            targetUserId: chatMessage.sender,
+            content: chatMessage.content,
+            reason,
+          });
+
+          broadcastToProject(
+            projectId,
+            {
+              type: "messageFlagged",
+              projectId,
+              bidderId: moderator.bidderId,
+              messageId,
+              reason: reason || null,
+            },
+            moderator.bidderId
+          );
+          break;
+        }
+
+        case "markRead": {
+          const { projectId, messageId } = message;
+          const access = await requireChatAccess(ws, userId, message);
+          if (!access) break;
+
+          // Deleted messages can still be read past, so this doesn't use
+          // findChatMessage
+          const { bidderId } = access;
+          const chatMessage = await ChatMessage.exists({
+            _id: messageId,
+            projectId,
+            bidderId,
+          });
+          if (!chatMessage) {
+            sendError(ws, ErrorCodes.MESSAGE_NOT_FOUND, "Message not found", {
+              projectId,
+              messageId,
+              requestId,
+            });
+            break;
+          }
+
+          // Receipts only move forward, so a late markRead can't rewind them.
+          // $max compares the ObjectIds in one write, and nothing changes when
+          // the receipt is already at or past this message.
+          const moveReceipt = () =>
+            ChatReadReceipt.updateOne(
+              { projectId, bidderId, userId },
+              { $max: { lastReadMessageId: chatMessage._id } },
+              { upsert: true }
+            );
+          let result;
+          try {
+            result = await moveReceipt();
+          } catch (error) {
+            // Two first receipts raced on the upsert; the loser retries
+            if (error.code !== 11000) throw error;
+            result = await moveReceipt();
+          }
+          if (!result.modifiedCount && !result.upsertedCount) break;
+
+          broadcastToProject(
+            projectId,
+            { type: "readUpTo", projectId, bidderId, userId, messageId },
+            bidderId
+          );
+          break;
+        }
+
+        case "typing": {
+          const { projectId, isTyping } = message;
+          const bidderId = message.bidderId || null;
+          // Typing is ephemeral, so only check the sender is subscribed
+          const chat = projectSubscriptions.get(chatKey(projectId, bidderId));
+          if (!chat?.subscribers.has(userId)) break;
+
+          broadcastToProject(
+            projectId,
+            {
+              type: "typing",
+              projectId,
+              bidderId,
+              userId,
+              isTyping: !!isTyping,
+            },
+            bidderId
+          );
           break;
         }
 
         case "leaveProjectChat": {
-          if (projectSubscriptions.has(message.projectId)) {
-            projectSubscriptions.get(message.projectId).delete(userId);
+          const { projectId } = message;
+          const bidderId = message.bidderId || null;
+          const chat = projectSubscriptions.get(chatKey(projectId, bidderId));
+          if (chat?.subscribers.delete(userId)) {
+            broadcastToProject(
+              projectId,
+              {
+                type: "presence",
+                projectId,
+                bidderId,
+                userId,
+                status: "offline",
+              },
+              bidderId
+            );
           }
           break;
         }
-        case "CONTRACT_GENERATED": {
-          const { projectOwnerId, developerId, contractDetails } = message;
-          await notifyContractGenerated(
-            projectOwnerId,
-            developerId,
-            contractDetails
+
+        case "muteParticipant":
+        case "unmuteParticipant": {
+          const { projectId, participantId, reason, durationMinutes } = message;
+          const moderator = await requireChatAccess(ws, userId, message, {
+            admin: true,
+          });
+          if (!moderator) break;
+
+          const muting = message.type === "muteParticipant";
+          await ChatModeration.create({
+            projectId,
+            action: muting ? "mute" : "unmute",
+            moderatorId: userId,
+            targetUserId: participantId,
+            reason,
+            expiresAt:
+              muting && durationMinutes
+                ? new Date(Date.now() + durationMinutes * 60 * 1000)
+                : null,
+          });
+
+          // Mutes apply to every chat on the project; the moderator's chat
+          // is told
+          broadcastToProject(
+            projectId,
+            {
+              type: muting ? "participantMuted" : "participantUnmuted",
+              projectId,
+              bidderId: moderator.bidderId,
+              participantId,
+            },
+            moderator.bidderId
           );
           break;
         }
+
+        case "markNotificationsRead": {
+          const { notificationIds } = message;
+          // Protocol 1 clients mark everything read by leaving out the ids
+          const all =
+            message.all === true ||
+            (ws.protocolVersion < 2 && !notificationIds);
+          if (!notificationIds && !all) {
+            sendError(
+              ws,
+              ErrorCodes.INVALID_PAYLOAD,
+              "notificationIds or all: true is required",
+              { requestId }
+            );
+            break;
+          }
+          await markNotificationsRead(userId, all ? null : notificationIds);
+          break;
+        }
+
+        case "fetchMissedNotifications": {
+          await replayMissedNotifications(ws, userId, {
+            since: message.after,
+            unreadOnly: message.unreadOnly === true,
+            requestId,
+          });
+          break;
+        }
       }
     } catch (error) {
       console.error("Chat event error:", error);
-      ws.send(
-        JSON.stringify({
-          type: "error",
-          message: "Failed to process message",
-        })
-      );
+      sendError(ws, ErrorCodes.INTERNAL_ERROR, "Failed to process message", {
+        requestId,
+      });
     }
   });
 };
 
-const initWebSocket = (server) => {
+const sendToLocalUser = (userId, message) => {
+  getUserConnections(userId).forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(serializeFrame(message));
+    }
+  });
+};
+
+// Access is checked again for every subscriber on every fan-out, so anyone
+// who lost it after joining, such as a bidder once a developer is assigned,
+// is dropped instead of being sent the message.
+const sendToLocalProjectSubscribers = (projectId, bidderId, message) => {
+  const key = chatKey(projectId, bidderId);
+  const chat = projectSubscriptions.get(key);
+  if (!chat) return;
+
+  chat.delivery = chat.delivery
+    .then(() =>
+      Promise.all(
+        [...chat.subscribers].map(async (subscriberId) => {
+          const access = await getChatAccess(subscriberId, projectId, bidderId);
+          if (!access.allowed || access.bidderId !== bidderId) {
+            chat.subscribers.delete(subscriberId);
+            return;
+          }
+          sendToLocalUser(subscriberId, message);
+        })
+      )
+    )
+    .then(() => {
+      if (
+        chat.subscribers.size === 0 &&
+        projectSubscriptions.get(key) === chat
+      ) {
+        projectSubscriptions.delete(key);
+      }
+    })
+    .catch((error) =>
+      console.error("Error delivering project message:", error)
+    );
+};
+
+// bidderId sends to one bidder's negotiation thread instead of the main chat
+const broadcastToProject = (projectId, message, bidderId = null) => {
+  messageBus
+    .publish(PROJECT_CHANNEL, { projectId, bidderId, message })
+    .catch((error) =>
+      console.error("Error publishing project message:", error)
+    );
+};
+
+const isUserOnline = (userId) => messageBus.isUserOnline(userId.toString());
+
+// Resolves once this node is subscribed to the bus. A node that failed to
+// subscribe would never deliver broadcasts, so the error is left to fail
+// startup.
+const initWebSocket = async (server, bus) => {
+  if (bus) {
+    messageBus = bus;
+  }
+  await Promise.all([
+    messageBus.subscribe(USER_CHANNEL, ({ userId, message }) =>
+      sendToLocalUser(userId, message)
+    ),
+    messageBus.subscribe(PROJECT_CHANNEL, ({ projectId, bidderId, message }) =>
+      sendToLocalProjectSubscribers(projectId, bidderId || null, message)
+    ),
+  ]);
+
   const wss = new WebSocket.Server({
     server,
     path: "/ws",
@@ -127,6 +689,18 @@ const initWebSocket = (server) => {
 
   wss.on("connection", (ws, req) => {
     console.log("Client connected to WebSocket");
+
+    const protocolVersion = getProtocolVersionFromRequest(req);
+    if (!protocolVersion) {
+      sendError(
+        ws,
+        ErrorCodes.UNSUPPORTED_PROTOCOL,
+        `Supported protocol versions are ${MIN_PROTOCOL_VERSION} to ${PROTOCOL_VERSION}`
+      );
+      ws.close(1002, "Unsupported protocol version");
+      return;
+    }
+    ws.protocolVersion = protocolVersion;
     ws.isAlive = true;
 
     // Set up ping/pong heartbeat
@@ -148,18 +722,30 @@ const initWebSocket = (server) => {
         userConnections[userIdStr] = [];
       }
       userConnections[userIdStr].push(ws);
+      messageBus
+        .addPresence(userIdStr)
+        .catch((error) => console.error("Error updating presence:", error));
 
       // Initialize chat handling
       handleChatEvents(ws, userIdStr);
 
-      // Send welcome message
-      ws.send(
-        JSON.stringify({
-          type: "WELCOME",
-          message: "Connected to Paxmata WebSocket server",
-          userId: userIdStr,
-        })
-      );
+      // Send welcome message, then anything missed while offline
+      const since = getResumeCursorFromRequest(req);
+      sendFrame(ws, {
+        type: "WELCOME",
+        message: "Connected to Paxmata WebSocket server",
+        userId: userIdStr,
+        since,
+        protocolVersion,
+        supportedVersions: {
+          min: MIN_PROTOCOL_VERSION,
+          max: PROTOCOL_VERSION,
+        },
+      });
+      replayMissedNotifications(ws, userIdStr, {
+        since,
+        unreadOnly: !since,
+      });
     } else {
       console.log("No user ID found in WebSocket connection");
       ws.close(1008, "Unauthorized");
@@ -173,6 +759,9 @@ const initWebSocket = (server) => {
         const userIdStr = userId.toString();
 
         // Remove from user connections
+        messageBus
+          .removePresence(userIdStr)
+          .catch((error) => console.error("Error updating presence:", error));
         if (userConnections[userIdStr]) {
           userConnections[userIdStr] = userConnections[userIdStr].filter(
             (conn) => conn !== ws
@@ -182,13 +771,28 @@ const initWebSocket = (server) => {
           }
         }
 
-        // Remove from all project subscriptions
-        projectSubscriptions.forEach((subscribers, projectId) => {
-          subscribers.delete(userIdStr);
-          if (subscribers.size === 0) {
-            projectSubscriptions.delete(projectId);
-          }
-        });
+        // Remove from all project subscriptions once the user's last
+        // connection on this node has gone
+        if (!userConnections[userIdStr]) {
+          projectSubscriptions.forEach((chat, key) => {
+            if (!chat.subscribers.delete(userIdStr)) return;
+            const { projectId, bidderId } = chat;
+            broadcastToProject(
+              projectId,
+              {
+                type: "presence",
+                projectId,
+                bidderId,
+                userId: userIdStr,
+                status: "offline",
+              },
+              bidderId
+            );
+            if (chat.subscribers.size === 0) {
+              projectSubscriptions.delete(key);
+            }
+          });
+        }
       }
     });
 
@@ -205,16 +809,117 @@ const broadcastMessageToUser = (userId, message) => {
     return;
   }
 
-  const connections = getUserConnections(userId);
-  if (connections.length > 0) {
-    connections.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify(message));
-      }
+  messageBus
+    .publish(USER_CHANNEL, { userId: userId.toString(), message })
+    .catch((error) => console.error("Error publishing user message:", error));
+};
+
+// Stores the notification for the recipient before trying to deliver it, so
+// it survives the recipient being offline and shows up in /api/notifications.
+// It is then queued for any of the recipient's webhook endpoints, and sent on
+// to the email or digest channel they picked for its type.
+const deliverNotification = async (userId, message) => {
+  if (!userId) {
+    console.error("deliverNotification called with undefined userId");
+    return;
+  }
+
+  const userIdStr = userId.toString();
+  let notification = message.notification;
+  try {
+    const saved = await Notification.create({
+      ...message.notification,
+      userId: userIdStr,
     });
-  } else {
-    console.log("No active connections found for user:", userId);
+    notification = saved.toObject();
+    broadcastMessageToUser(userIdStr, { ...message, notification });
+  } catch (error) {
+    console.error("Error persisting notification:", error);
+    broadcastMessageToUser(userIdStr, message);
   }
+
+  try {
+    await enqueueWebhookEvent(userIdStr, message.type, notification);
+  } catch (error) {
+    console.error("Error queueing webhook deliveries:", error);
+  }
+
+  try {
+    await sendToPreferredChannel(userIdStr, message.type, notification);
+  } catch (error) {
+    console.error("Error sending notification to preferred channel:", error);
+  }
+};
+
+// Sends one page of notifications stored after `since`. A client with no
+// cursor has no local state yet, so it is sent what is unread instead, and
+// asks for later pages with unreadOnly so they stay unread only. When hasMore
+// is set the client continues with fetchMissedNotifications from the cursor.
+// Live notifications keep arriving meanwhile, so clients drop any they have
+// already seen, as utils/wsClient.js does.
+const replayMissedNotifications = async (
+  ws,
+  userId,
+  { since = null, unreadOnly = false, requestId } = {}
+) => {
+  try {
+    const query = { userId };
+    if (since) query._id = { $gt: since };
+    if (unreadOnly) query.read = false;
+
+    const missed = await Notification.find(query)
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAYED_NOTIFICATIONS + 1)
+      .lean();
+    const hasMore = missed.length > MAX_REPLAYED_NOTIFICATIONS;
+    const notifications = missed.slice(0, MAX_REPLAYED_NOTIFICATIONS);
+
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    // Replay in the original frame types so existing handlers pick them up
+    notifications.forEach((notification) => {
+      sendFrame(ws, {
+        type: NOTIFICATION_FRAME_TYPES[notification.type] || "NOTIFICATION",
+        notification,
+        replayed: true,
+      });
+    });
+
+    sendFrame(ws, {
+      type: "NOTIFICATIONS_REPLAYED",
+      count: notifications.length,
+      cursor: notifications.length
+        ? notifications[notifications.length - 1]._id
+        : since,
+      hasMore,
+      unreadOnly,
+      requestId,
+    });
+  } catch (error) {
+    console.error("Error replaying notifications:", error);
+    sendError(ws, ErrorCodes.INTERNAL_ERROR, "Failed to replay notifications", {
+      requestId,
+    });
+  }
+};
+
+// Marks the given notifications as read, or all of them when notificationIds
+// is null, in the same collection /api/notifications serves, and tells the
+// user's other open connections. Callers decide when "all" was asked for.
+const markNotificationsRead = async (userId, notificationIds) => {
+  const query = { userId, read: false };
+  if (Array.isArray(notificationIds)) {
+    query._id = {
+      $in: notificationIds.filter((id) => mongoose.Types.ObjectId.isValid(id)),
+    };
+  }
+
+  await Notification.updateMany(query, { $set: { read: true } });
+
+  broadcastMessageToUser(userId, {
+    type: "NOTIFICATIONS_READ",
+    notificationIds: Array.isArray(notificationIds) ? notificationIds : null,
+  });
 };
 
 // Notification functions
@@ -233,7 +938,7 @@ const notifyProjectMinted = async (projectOwnerId, projectDetails) => {
     },
   };
 
-  broadcastMessageToUser(projectOwnerId, message);
+  await deliverNotification(projectOwnerId, message);
   await updateUserStats(projectOwnerId);
 };
 
@@ -290,7 +995,7 @@ const notifyProjectOwner = async (projectOwnerId, bidDetails) => {
     }
 
     // Send bid notification to project owner
-    broadcastMessageToUser(projectOwnerId, {
+    await deliverNotification(projectOwnerId, {
       type: "NEW_BID",
       notification: {
         userId: projectOwnerId,
@@ -340,7 +1045,7 @@ const notifyBidder = async (bidderId, projectDetails) => {
     },
   };
 
-  broadcastMessageToUser(bidderIdStr, message);
+  await deliverNotification(bidderIdStr, message);
 
   // Update stats for both users
   await updateUserStats(bidderIdStr);
@@ -349,6 +1054,209 @@ const notifyBidder = async (bidderId, projectDetails) => {
   }
 };
 
+const notifyBidRefunded = async (bidderId, refundDetails) => {
+  if (!bidderId) {
+    console.error("notifyBidRefunded called with undefined bidderId");
+    return;
+  }
+  if (!refundDetails) {
+    console.error("notifyBidRefunded called with undefined refundDetails");
+    return;
+  }
+
+  const bidderIdStr = bidderId.toString();
+
+  await deliverNotification(bidderIdStr, {
+    type: "BID_REFUNDED",
+    notification: {
+      userId: bidderIdStr,
+      type: "bid_refunded",
+      message: `Another bid was selected for project "${refundDetails.projectTitle}". Your bid of ${refundDetails.amount} ${refundDetails.currency} has been refunded`,
+      metadata: refundDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  });
+
+  await updateUserStats(bidderIdStr);
+};
+
+const notifyLoanDisbursed = async (projectOwnerId, loanDetails) => {
+  if (!projectOwnerId || !loanDetails) return;
+
+  await deliverNotification(projectOwnerId, {
+    type: "LOAN_DISBURSED",
+    notification: {
+      userId: projectOwnerId,
+      type: "loan_disbursed",
+      message: `Your loan of ${loanDetails.amount} DEV for project "${loanDetails.projectTitle}" has been paid into the project escrow`,
+      metadata: loanDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  });
+};
+
+const notifyLoanOverdue = async (projectOwnerId, repaymentDetails) => {
+  if (!projectOwnerId || !repaymentDetails) return;
+
+  await deliverNotification(projectOwnerId, {
+    type: "LOAN_OVERDUE",
+    notification: {
+      userId: projectOwnerId,
+      type: "loan_overdue",
+      message: `Repayment #${repaymentDetails.repaymentId} of ${
+        repaymentDetails.amount
+      } DEV for project "${
+        repaymentDetails.projectTitle
+      }" is overdue. The loan defaults if it is still unpaid on ${new Date(
+        repaymentDetails.defaultsAt
+      ).toDateString()}`,
+      metadata: repaymentDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  });
+};
+
+const notifyLoanDefaulted = async (projectOwnerId, defaultDetails) => {
+  if (!projectOwnerId || !defaultDetails) return;
+
+  await deliverNotification(projectOwnerId, {
+    type: "LOAN_DEFAULTED",
+    notification: {
+      userId: projectOwnerId,
+      type: "loan_defaulted",
+      message: `The loan for project "${defaultDetails.projectTitle}" is in default`,
+      metadata: defaultDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  });
+};
+
+const notifyMilestoneDeadline = async (userIds, deadlineDetails) => {
+  if (!deadlineDetails) return;
+
+  const due = new Date(deadlineDetails.deadline).toDateString();
+  const message = {
+    type: "MILESTONE_DEADLINE",
+    notification: {
+      type: "milestone_deadline",
+      message:
+        deadlineDetails.kind === "deadline_overdue"
+          ? `Milestone #${deadlineDetails.milestoneId} of "${deadlineDetails.projectTitle}" missed its deadline of ${due}`
+          : `Milestone #${deadlineDetails.milestoneId} of "${deadlineDetails.projectTitle}" is due on ${due}`,
+      metadata: deadlineDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  };
+  for (const userId of userIds.filter(Boolean)) {
+    await deliverNotification(userId, message);
+  }
+};
+
+// Sent to the owner, then to admins, while a completed milestone stays
+// unverified
+const notifyMilestoneEscalated = async (userIds, escalationDetails) => {
+  if (!escalationDetails) return;
+
+  const message = {
+    type: "MILESTONE_ESCALATED",
+    notification: {
+      type: "milestone_escalated",
+      message: `Milestone #${escalationDetails.milestoneId} of "${
+        escalationDetails.projectTitle
+      }" was completed on ${new Date(
+        escalationDetails.completionTime
+      ).toDateString()} and is still waiting for verification`,
+      metadata: escalationDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  };
+  for (const userId of userIds.filter(Boolean)) {
+    await deliverNotification(userId, message);
+  }
+};
+
+// Records a score-affecting event and pushes the new score to the user.
+// Events that were already recorded change nothing and send nothing.
+const applyScorsEvent = async (event) => {
+  try {
+    const newScore = await recordScorsEvent(event);
+    if (newScore !== null) {
+      broadcastMessageToUser(event.userId, {
+        type: "SCORS_UPDATE",
+        data: { newScore },
+      });
+    }
+  } catch (error) {
+    console.error(`Error recording SCORS ${event.type} event:`, error);
+  }
+};
+
+const notifyDisputeUpdate = async (userIds, disputeDetails) => {
+  if (!disputeDetails) return;
+
+  for (const userId of userIds.filter(Boolean)) {
+    await deliverNotification(userId, {
+      type: "DISPUTE_UPDATE",
+      notification: {
+        userId,
+        type: "dispute_update",
+        message: disputeDetails.message,
+        metadata: disputeDetails,
+        read: false,
+        createdAt: new Date(),
+      },
+    });
+  }
+};
+
+// Both parties hear the outcome, and the ruling counts towards each one's
+// SCORS
+const notifyDisputeRuled = async (developerId, ownerId, rulingDetails) => {
+  if (!developerId || !ownerId || !rulingDetails) return;
+
+  const message = {
+    type: "DISPUTE_RULED",
+    notification: {
+      type: "dispute_ruled",
+      message: `The dispute over milestone #${
+        rulingDetails.milestoneId
+      } was ruled: ${
+        rulingDetails.outcome === "release"
+          ? "payment released to the developer"
+          : "payment refunded to the project owner"
+      }`,
+      metadata: rulingDetails,
+      read: false,
+      createdAt: new Date(),
+    },
+  };
+  await deliverNotification(developerId, message);
+  await deliverNotification(ownerId, message);
+
+  const ruledEvent = {
+    type: "dispute_ruled",
+    projectId: rulingDetails.projectId,
+    milestoneId: rulingDetails.milestoneId,
+    occurredAt: rulingDetails.ruledAt || new Date(),
+    metadata: { outcome: rulingDetails.outcome },
+  };
+  await applyScorsEvent({
+    ...ruledEvent,
+    userId: developerId,
+    role: "developer",
+  });
+  await applyScorsEvent({ ...ruledEvent, userId: ownerId, role: "owner" });
+
+  await updateUserStats(developerId);
+  await updateUserStats(ownerId);
+};
+
 const notifyMilestonesAdded = async (
   projectOwnerId,
   developerId,
@@ -391,53 +1299,26 @@ const notifyMilestonesAdded = async (
   });
 
   // Send notifications to both parties
-  broadcastMessageToUser(projectOwnerId, message);
+  await deliverNotification(projectOwnerId, message);
   if (developerId) {
-    broadcastMessageToUser(developerId, message);
+    await deliverNotification(developerId, message);
   }
 
-  // Process SCORS update
-  try {
-    if (!SCORSProcessor) {
-      throw new Error("SCORSProcessor not properly initialized");
-    }
-
-    // Get bid acceptance block from project data
-    const project = await Project.findById(projectDetails.projectId);
-    if (!project?.bidAcceptedBlock) {
-      console.warn("No bid acceptance block found for project");
-      return;
-    }
-
-    const notification = {
+  // Score the developer on contract setup time
+  if (developerId) {
+    const project = await Project.findById(projectDetails.projectId).select(
+      "bidAcceptedBlock"
+    );
+    await applyScorsEvent({
       type: "contract_created",
       userId: developerId,
+      role: "developer",
+      projectId: projectDetails.projectId,
       metadata: {
-        projectId: projectDetails.projectId,
-        title: projectDetails.title,
-        milestonesCount: projectDetails.milestonesCount,
-        bidAcceptedBlock: project.bidAcceptedBlock, // Add bid block
-        contractCreationBlock: projectDetails.blockNumber, // Add contract block
-        transactionHash: projectDetails.transactionHash,
+        bidAcceptedBlock: project?.bidAcceptedBlock || null,
+        contractCreationBlock: projectDetails.blockNumber || null,
       },
-    };
-
-    console.log("Processing contract creation timing:", {
-      bidAcceptedBlock: project.bidAcceptedBlock,
-      contractCreationBlock: projectDetails.blockNumber,
     });
-
-    const scorsResult = await SCORSProcessor.processNotification(notification);
-    console.log("SCORS processing result:", scorsResult);
-
-    if (scorsResult) {
-      broadcastMessageToUser(developerId, {
-        type: "SCORS_UPDATE",
-        data: { newScore: scorsResult },
-      });
-    }
-  } catch (error) {
-    console.error("Error processing SCORS update:", error);
   }
 
   // Update stats for both parties
@@ -503,24 +1384,28 @@ const notifyContractGenerated = async (
 
   try {
     console.log("Broadcasting to projectOwner:", ownerIdStr);
-    broadcastMessageToUser(ownerIdStr, message);
+    await deliverNotification(ownerIdStr, message);
 
     console.log("Broadcasting to developer:", developerIdStr);
-    broadcastMessageToUser(developerIdStr, message);
+    await deliverNotification(developerIdStr, message);
 
-    // Process SCORS updates with enhanced validation
-    console.log("Processing SCORS notification for developer");
-    await SCORSProcessor.processNotification({
+    const scorsMetadata = {
+      bidAcceptedBlock: contractDetails.bidAcceptedBlock || null,
+      contractCreationBlock: contractDetails.contractCreationBlock || null,
+    };
+    await applyScorsEvent({
       type: "contract_created",
       userId: developerIdStr,
-      metadata: message.notification.metadata,
+      role: "developer",
+      projectId: contractDetails.projectId,
+      metadata: scorsMetadata,
     });
-
-    console.log("Processing SCORS notification for project owner");
-    await SCORSProcessor.processNotification({
+    await applyScorsEvent({
       type: "contract_created",
       userId: ownerIdStr,
-      metadata: message.notification.metadata,
+      role: "owner",
+      projectId: contractDetails.projectId,
+      metadata: scorsMetadata,
     });
 
     // Update stats for both parties with string IDs
@@ -574,39 +1459,24 @@ const notifyProjectCompletion = async (
   };
 
   // Send notifications
-  broadcastMessageToUser(projectOwnerId, message);
+  await deliverNotification(projectOwnerId, message);
   if (developerId) {
-    broadcastMessageToUser(developerId, message);
+    await deliverNotification(developerId, message);
   }
 
-  // Process SCORS updates
-  try {
-    // Update owner's score
-    const ownerScore = await SCORSProcessor.processNotification(
-      message.notification
-    );
-    if (ownerScore) {
-      broadcastMessageToUser(projectOwnerId, {
-        type: "SCORS_UPDATE",
-        data: { newScore: ownerScore },
-      });
-    }
-
-    // Update developer's score
-    if (developerId) {
-      const devScore = await SCORSProcessor.processNotification({
-        ...message.notification,
-        userId: developerId,
-      });
-      if (devScore) {
-        broadcastMessageToUser(developerId, {
-          type: "SCORS_UPDATE",
-          data: { newScore: devScore },
-        });
-      }
-    }
-  } catch (error) {
-    console.error("Error processing SCORS update:", error);
+  await applyScorsEvent({
+    type: "project_completed",
+    userId: projectOwnerId,
+    role: "owner",
+    projectId: projectDetails.projectId,
+  });
+  if (developerId) {
+    await applyScorsEvent({
+      type: "project_completed",
+      userId: developerId,
+      role: "developer",
+      projectId: projectDetails.projectId,
+    });
   }
 
   await updateUserStats(projectOwnerId);
@@ -643,7 +1513,8 @@ const notifyMilestoneCompleted = async (
         milestoneId: milestoneDetails.milestoneId,
         completionPercentage: milestoneDetails.completionPercentage,
         deadline: milestoneDetails.deadline,
-        completionTime: new Date(),
+        // The block time, so SCORS scores when it happened on chain
+        completionTime: milestoneDetails.completionTime || new Date(),
       },
       read: false,
       createdAt: new Date(),
@@ -651,25 +1522,21 @@ const notifyMilestoneCompleted = async (
   };
 
   // Notify project owner
-  broadcastMessageToUser(projectOwnerId, message);
-
-  // Process SCORS update for developer
-  try {
-    const notification = {
-      type: "milestone_completed",
-      userId: developerId,
-      metadata: message.notification.metadata,
-    };
-    const newScore = await SCORSProcessor.processNotification(notification);
-    if (newScore) {
-      broadcastMessageToUser(developerId, {
-        type: "SCORS_UPDATE",
-        data: { newScore },
-      });
-    }
-  } catch (error) {
-    console.error("Error processing SCORS update:", error);
-  }
+  await deliverNotification(projectOwnerId, message);
+
+  const { metadata } = message.notification;
+  await applyScorsEvent({
+    type: "milestone_completed",
+    userId: developerId,
+    role: "developer",
+    projectId: metadata.projectId,
+    milestoneId: metadata.milestoneId,
+    occurredAt: metadata.completionTime,
+    metadata: {
+      deadline: metadata.deadline || null,
+      completionTime: metadata.completionTime,
+    },
+  });
 
   // Update stats for both parties
   await updateUserStats(projectOwnerId);
@@ -705,8 +1572,10 @@ const notifyMilestoneVerified = async (
         projectId: verificationDetails.projectId,
         milestoneId: verificationDetails.milestoneId,
         verificationPercentage: verificationDetails.verificationPercentage,
+        payment: verificationDetails.payment,
+        currency: verificationDetails.currency,
         completionTime: verificationDetails.completionTime,
-        verificationTime: new Date(),
+        verificationTime: verificationDetails.verificationTime || new Date(),
       },
       read: false,
       createdAt: new Date(),
@@ -714,42 +1583,30 @@ const notifyMilestoneVerified = async (
   };
 
   // Notify developer
-  broadcastMessageToUser(developerId, message);
-
-  // Process SCORS updates
-  try {
-    // Process owner's verification speed
-    const ownerNotification = {
-      type: "milestone_verified",
-      userId: projectOwnerId,
-      metadata: message.notification.metadata,
-    };
-    const ownerScore = await SCORSProcessor.processNotification(
-      ownerNotification
-    );
-    if (ownerScore) {
-      broadcastMessageToUser(projectOwnerId, {
-        type: "SCORS_UPDATE",
-        data: { newScore: ownerScore },
-      });
-    }
-
-    // Update developer's score for verified milestone
-    const devNotification = {
-      type: "milestone_verified",
-      userId: developerId,
-      metadata: message.notification.metadata,
-    };
-    const devScore = await SCORSProcessor.processNotification(devNotification);
-    if (devScore) {
-      broadcastMessageToUser(developerId, {
-        type: "SCORS_UPDATE",
-        data: { newScore: devScore },
-      });
-    }
-  } catch (error) {
-    console.error("Error processing SCORS update:", error);
-  }
+  await deliverNotification(developerId, message);
+
+  // The owner is scored on how quickly they verified
+  const { metadata } = message.notification;
+  const verifiedEvent = {
+    type: "milestone_verified",
+    projectId: metadata.projectId,
+    milestoneId: metadata.milestoneId,
+    occurredAt: metadata.verificationTime,
+    metadata: {
+      completionTime: metadata.completionTime || null,
+      verificationTime: metadata.verificationTime,
+    },
+  };
+  await applyScorsEvent({
+    ...verifiedEvent,
+    userId: projectOwnerId,
+    role: "owner",
+  });
+  await applyScorsEvent({
+    ...verifiedEvent,
+    userId: developerId,
+    role: "developer",
+  });
 
   // Update stats for both parties
   await updateUserStats(projectOwnerId);
@@ -760,11 +1617,23 @@ const notifyMilestoneVerified = async (
 module.exports = {
   initWebSocket,
   broadcastMessageToUser,
+  broadcastToProject,
+  isUserOnline,
+  deliverNotification,
+  markNotificationsRead,
   updateUserStats,
   notifyProjectMinted,
   notifyProjectOwner,
   notifyContractGenerated,
   notifyBidder,
+  notifyBidRefunded,
+  notifyLoanDisbursed,
+  notifyLoanOverdue,
+  notifyLoanDefaulted,
+  notifyMilestoneDeadline,
+  notifyMilestoneEscalated,
+  notifyDisputeUpdate,
+  notifyDisputeRuled,
   notifyMilestonesAdded,
   notifyMilestoneCompleted,
   notifyMilestoneVerified,
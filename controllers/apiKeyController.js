@@ -0,0 +1,114 @@
+const {
+  API_KEY_SCOPES,
+  ApiKeyError,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  listUserApiKeys,
+  setApiKeyRateLimit,
+  getApiKeyUsage,
+} = require("../services/ApiKeys");
+
+const handleApiKeyError = (res, error, message) => {
+  if (error instanceof ApiKeyError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+// Includes the scopes to choose from and the rate limit new keys get, for
+// the profile page
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    res.json({
+      success: true,
+      apiKeys,
+      scopes: API_KEY_SCOPES,
+      defaultRateLimit: DEFAULT_RATE_LIMIT,
+    });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to fetch API keys");
+  }
+};
+
+// The response is the only time the key itself is shown
+const issueApiKey = async (req, res) => {
+  try {
+    const apiKey = await createApiKey(req.user.id, req.body);
+    res.status(201).json({ success: true, apiKey });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to create API key");
+  }
+};
+
+const editApiKey = async (req, res) => {
+  try {
+    const apiKey = await updateApiKey(req.user.id, req.params.id, req.body);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to update API key");
+  }
+};
+
+const revoke = async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.user.id, req.params.id);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to revoke API key");
+  }
+};
+
+const getUsage = async (req, res) => {
+  try {
+    const usage = await getApiKeyUsage(
+      req.user.id,
+      req.params.id,
+      req.query.days
+    );
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to fetch API key usage");
+  }
+};
+
+// Admin routes
+
+const getUserApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listUserApiKeys(req.query.userId);
+    res.json({ success: true, apiKeys, maxRateLimit: MAX_RATE_LIMIT });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to fetch API keys");
+  }
+};
+
+const updateRateLimit = async (req, res) => {
+  try {
+    const apiKey = await setApiKeyRateLimit(req.params.id, req.body.rateLimit);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    handleApiKeyError(res, error, "Failed to update API key rate limit");
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  issueApiKey,
+  editApiKey,
+  revoke,
+  getUsage,
+  getUserApiKeys,
+  updateRateLimit,
+};
@@ -0,0 +1,134 @@
+const Project = require("../models/Project");
+const BidTransaction = require("../models/BidTransaction");
+const {
+  BidVerificationError,
+  verifyBidAcceptance,
+} = require("../services/BidVerifier");
+const {
+  recordBidAccepted,
+  recordBidRefunded,
+} = require("../services/BidSettlement");
+
+// Project owners see every bid with its proposal; bidders only see their own.
+const getProjectBidProposals = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const userId = req.user.id.toString();
+
+    const project = await Project.findOne({ tokenId }).select("userId");
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const isOwner = project.userId?.toString() === userId;
+    const query = { tokenId, status: "recorded" };
+    if (!isOwner) {
+      query.userId = userId;
+    }
+
+    const bids = await BidTransaction.find(query).sort({ bidIndex: 1 }).lean();
+
+    res.json({
+      success: true,
+      bids: bids.map((bid) => ({
+        bidIndex: bid.bidIndex,
+        transactionHash: bid.transactionHash,
+        bidder: bid.bidder,
+        userId: bid.userId,
+        amount: bid.amount,
+        currency: bid.currency,
+        blockNumber: bid.blockNumber,
+        proposal: bid.proposal,
+        // For checking the proposal record is unchanged; not held on-chain
+        proposalHash: bid.proposalHash,
+        outcome: bid.outcome,
+        settlementTransactionHash: bid.settlementTransactionHash,
+        settledAt: bid.settledAt,
+        createdAt: bid.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching bid proposals:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bid proposals",
+    });
+  }
+};
+
+// Called by the owner's bid board once acceptBidAndTransfer is mined, so the
+// project status updates without waiting for the indexer. Notifications are
+// still sent by the indexer, which sees the same events.
+const acceptBid = async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const { transactionHash } = req.body;
+    const userId = req.user.id.toString();
+
+    if (!transactionHash) {
+      return res.status(400).json({
+        success: false,
+        message: "transactionHash is required",
+      });
+    }
+
+    const project = await Project.findOne({ tokenId });
+    if (!project || !project.escrowContractAddress) {
+      return res.status(404).json({
+        success: false,
+        message: "Project or project escrow not found",
+      });
+    }
+    if (project.userId?.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the project owner can accept bids",
+      });
+    }
+
+    const { backendSigner } = require("../utils/contracts");
+    const acceptance = await verifyBidAcceptance(backendSigner.provider, {
+      transactionHash,
+      project,
+    });
+
+    const developer = await recordBidAccepted(project, acceptance);
+    for (const refund of acceptance.refunds) {
+      await recordBidRefunded(project, {
+        ...refund,
+        transactionHash: acceptance.transactionHash,
+      });
+    }
+
+    const updatedProject = await Project.findById(project._id).select(
+      "status developerId bidAcceptedBlock"
+    );
+
+    res.json({
+      success: true,
+      project: updatedProject,
+      developerId: developer ? developer._id : null,
+      refundedBids: acceptance.refunds.length,
+    });
+  } catch (error) {
+    if (error instanceof BidVerificationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error accepting bid:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept bid",
+    });
+  }
+};
+
+module.exports = {
+  getProjectBidProposals,
+  acceptBid,
+};
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Project = require("../models/Project");
+const { getChatAccess } = require("../services/ChatAccess");
+const { fetchChatHistory } = require("../services/ChatHistory");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Checks the request's chat the same way the /ws chat frames do, and replies
+// with the error when it is refused. Returns the access, or null.
+const requireChatAccess = async (req, res) => {
+  const { projectId } = req.params;
+  const { bidderId, before } = req.query;
+
+  if ((bidderId && !isValidId(bidderId)) || (before && !isValidId(before))) {
+    res.status(400).json({
+      success: false,
+      message: "bidderId and before must be valid ids",
+    });
+    return null;
+  }
+
+  const access = await getChatAccess(
+    req.user.id.toString(),
+    projectId,
+    bidderId || null
+  );
+  if (!access.projectFound) {
+    res.status(404).json({ success: false, message: "Project not found" });
+    return null;
+  }
+  if (!access.allowed) {
+    res.status(403).json({
+      success: false,
+      message: "You are not a member of this chat",
+    });
+    return null;
+  }
+  return access;
+};
+
+// The latest page of the chat's messages, oldest first; pass nextCursor back
+// as ?before= for earlier ones
+const getChatMessages = async (req, res, next) => {
+  if (!isValidId(req.params.projectId)) return next();
+
+  try {
+    const access = await requireChatAccess(req, res);
+    if (!access) return;
+
+    const history = await fetchChatHistory({
+      projectId: req.params.projectId,
+      bidderId: access.bidderId,
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+    res.json({
+      success: true,
+      projectId: req.params.projectId,
+      bidderId: access.bidderId,
+      ...history,
+    });
+  } catch (error) {
+    console.error("Error fetching chat messages:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch chat messages",
+    });
+  }
+};
+
+// The chat in the shape it had when messages were embedded in it, with
+// `messages` now the latest page from ChatMessage
+const getChat = async (req, res, next) => {
+  if (!isValidId(req.params.projectId)) return next();
+
+  try {
+    const access = await requireChatAccess(req, res);
+    if (!access) return;
+
+    const { projectId } = req.params;
+    const { bidderId } = access;
+    const [chat, project, history] = await Promise.all([
+      Chat.findOne({ projectId }).select("participants lastActivity").lean(),
+      Project.findById(projectId).select("userId").lean(),
+      fetchChatHistory({ projectId, bidderId }),
+    ]);
+    res.json({
+      success: true,
+      chat: {
+        projectId,
+        bidderId,
+        // A negotiation thread is only ever the owner and the bidder
+        participants: bidderId
+          ? [project.userId, bidderId]
+          : chat?.participants || [],
+        lastActivity: chat?.lastActivity || null,
+        messages: history.messages,
+      },
+      nextCursor: history.nextCursor,
+      hasMore: history.hasMore,
+    });
+  } catch (error) {
+    console.error("Error fetching chat:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch chat",
+    });
+  }
+};
+
+module.exports = {
+  getChatMessages,
+  getChat,
+};
@@ -0,0 +1,106 @@
+const Project = require("../models/Project");
+const ChainEvent = require("../models/ChainEvent");
+const {
+  ContractVerificationError,
+  verifyContractGeneration,
+  notifyVerifiedContract,
+} = require("../services/ContractVerifier");
+
+// Lets the owner or developer report a milestone batch as soon as it is mined
+// instead of waiting for the indexer. The batch's ChainEvent is claimed here
+// with the same unique key the indexer uses, so each batch is only ever
+// scored once whichever path sees it first.
+const confirmContractGeneration = async (req, res) => {
+  const { tokenId, transactionHash } = req.body;
+  const userId = req.user.id.toString();
+
+  if (!tokenId || !transactionHash) {
+    return res.status(400).json({
+      success: false,
+      message: "tokenId and transactionHash are required",
+    });
+  }
+
+  try {
+    const project = await Project.findOne({ tokenId: tokenId.toString() });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+    if (
+      project.userId?.toString() !== userId &&
+      project.developerId?.toString() !== userId
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the project owner or developer can confirm a contract",
+      });
+    }
+
+    const { backendSigner } = require("../utils/contracts");
+    const provider = backendSigner.provider;
+    const verified = await verifyContractGeneration(provider, {
+      transactionHash,
+      project,
+    });
+
+    const block = await provider.getBlock(verified.contractCreationBlock);
+    try {
+      await ChainEvent.create({
+        contractAddress: verified.officeAddress,
+        contractType: "office",
+        projectTokenId: verified.tokenId,
+        event: "BatchOperationCompleted",
+        args: verified.batchArgs,
+        blockNumber: verified.batchLog.blockNumber,
+        blockHash: verified.batchLog.blockHash,
+        blockTimestamp: new Date(block.timestamp * 1000),
+        transactionHash: verified.batchLog.transactionHash,
+        logIndex: verified.batchLog.logIndex,
+        // Notified below, so the indexer doesn't notify it again
+        handled: true,
+        handledAt: new Date(),
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({
+          success: true,
+          duplicate: true,
+          message: "Contract already recorded",
+        });
+      }
+      throw error;
+    }
+
+    await notifyVerifiedContract(project, verified);
+
+    res.json({
+      success: true,
+      contract: {
+        transactionHash: verified.transactionHash,
+        officeAddress: verified.officeAddress,
+        bidAcceptedBlock: verified.bidAcceptedBlock,
+        contractCreationBlock: verified.contractCreationBlock,
+        totalMilestones: Number(verified.batchArgs.totalMilestones),
+      },
+    });
+  } catch (error) {
+    if (error instanceof ContractVerificationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error confirming contract generation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm contract generation",
+    });
+  }
+};
+
+module.exports = {
+  confirmContractGeneration,
+};
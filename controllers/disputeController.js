@@ -0,0 +1,133 @@
+const { isAdminRequest } = require("../utils/adminAccess");
+const {
+  DisputeError,
+  openDispute,
+  addEvidence,
+  withdrawDispute,
+  getDispute: loadDispute,
+  listDisputes,
+  issueRuling,
+} = require("../services/Disputes");
+
+const DISPUTES_PAGE_SIZE = 50;
+const DISPUTES_MAX_PAGE_SIZE = 200;
+
+const handleDisputeError = (res, error, message) => {
+  if (error instanceof DisputeError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const getBackendSigner = () => require("../utils/contracts").backendSigner;
+
+// Parties see their own disputes; admins see every dispute, except through
+// an API key
+const getDisputes = async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Number(req.query.limit) || DISPUTES_PAGE_SIZE,
+    DISPUTES_MAX_PAGE_SIZE
+  );
+
+  try {
+    const result = await listDisputes({
+      userId: req.user.id,
+      isAdmin: await isAdminRequest(req),
+      status: req.query.status,
+      projectId: req.query.projectId,
+      page,
+      limit,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to fetch disputes");
+  }
+};
+
+const getDispute = async (req, res) => {
+  try {
+    const dispute = await loadDispute(
+      req.user.id,
+      req.params.id,
+      await isAdminRequest(req)
+    );
+    res.json({ success: true, dispute });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to fetch dispute");
+  }
+};
+
+const createDispute = async (req, res) => {
+  try {
+    const dispute = await openDispute(
+      getBackendSigner().provider,
+      req.user.id,
+      req.body
+    );
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to open dispute");
+  }
+};
+
+const submitEvidence = async (req, res) => {
+  try {
+    const dispute = await addEvidence(req.user.id, req.params.id, req.body);
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to submit evidence");
+  }
+};
+
+const withdraw = async (req, res) => {
+  try {
+    const dispute = await withdrawDispute(req.user.id, req.params.id);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to withdraw dispute");
+  }
+};
+
+// A sent ruling comes back as 202 while it is executing; the indexer
+// resolves it from the DisputeResolved event. A failed execution comes back
+// as 422 with the revert reason on the dispute, and the ruling can be issued
+// again.
+const ruleOnDispute = async (req, res) => {
+  try {
+    const dispute = await issueRuling(
+      getBackendSigner(),
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    if (dispute.status === "execution_failed") {
+      return res.status(422).json({
+        success: false,
+        message: `Ruling failed on-chain: ${dispute.executionError}`,
+        dispute,
+      });
+    }
+    res
+      .status(dispute.status === "executing" ? 202 : 200)
+      .json({ success: true, dispute });
+  } catch (error) {
+    handleDisputeError(res, error, "Failed to rule on dispute");
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDispute,
+  createDispute,
+  submitEvidence,
+  withdraw,
+  ruleOnDispute,
+};
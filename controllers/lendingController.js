@@ -0,0 +1,295 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const {
+  LendingPoolError,
+  getPools,
+  getPool,
+  getPoolOverview,
+  getInsuranceFundPercentage,
+  getTokenPriceHistory,
+  getLenderActivity,
+} = require("../services/LendingPools");
+const {
+  checkLoanEligibility,
+  loadProjectLoan,
+} = require("../services/ProjectLoans");
+const {
+  getFundBalanceHistory,
+  getCoverageReport,
+  getProjectClaims,
+} = require("../services/InsuranceFund");
+const { toCsv } = require("../utils/csv");
+
+const HISTORY_PAGE_SIZE = 100;
+const HISTORY_MAX_PAGE_SIZE = 500;
+
+const getLenderAddress = async (userId) => {
+  const user = await User.findById(userId).select("ethereumAddress");
+  return user?.ethereumAddress || null;
+};
+
+const handleLendingError = (res, error, message) => {
+  if (error instanceof LendingPoolError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+// Every tier's on-chain state, with the signed-in user's share of each.
+const getLendingPools = async (req, res) => {
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const provider = backendSigner.provider;
+
+    const [pools, lenderAddress, insuranceFundPercentage] = await Promise.all([
+      getPools(provider),
+      getLenderAddress(req.user.id),
+      getInsuranceFundPercentage(provider),
+    ]);
+    const overviews = await Promise.all(
+      pools.map((pool) => getPoolOverview(provider, pool, lenderAddress))
+    );
+
+    res.json({
+      success: true,
+      insuranceFundPercentage,
+      pools: overviews,
+    });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch lending pools");
+  }
+};
+
+const getLendingPoolHistory = async (req, res) => {
+  const limit = Math.min(
+    Number(req.query.limit) || HISTORY_PAGE_SIZE,
+    HISTORY_MAX_PAGE_SIZE
+  );
+
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const [pool, lenderAddress] = await Promise.all([
+      getPool(backendSigner.provider, req.params.riskTier),
+      getLenderAddress(req.user.id),
+    ]);
+
+    const [prices, activity] = await Promise.all([
+      getTokenPriceHistory(pool.address, { limit }),
+      lenderAddress
+        ? getLenderActivity(pool.address, lenderAddress, { limit })
+        : [],
+    ]);
+
+    res.json({
+      success: true,
+      riskTier: pool.riskTier,
+      prices,
+      activity,
+    });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch lending pool history");
+  }
+};
+
+const findOwnedProject = async (req, res) => {
+  const project = await Project.findOne({ tokenId: req.params.tokenId });
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+    return null;
+  }
+  if (project.userId?.toString() !== req.user.id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: "Only the project owner can manage its loan",
+    });
+    return null;
+  }
+  return project;
+};
+
+// Previews the tier and rate the owner's SCORS gets before they apply
+const getLoanEligibility = async (req, res) => {
+  let amountWei = null;
+  if (req.query.amount) {
+    try {
+      amountWei = ethers.utils.parseEther(String(req.query.amount));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid loan amount",
+      });
+    }
+  }
+
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const owner = await User.findById(req.user.id).select(
+      "ethereumAddress scors"
+    );
+    const { backendSigner } = require("../utils/contracts");
+    const eligibility = await checkLoanEligibility(backendSigner.provider, {
+      project,
+      owner,
+      amountWei,
+    });
+
+    res.json({ success: true, eligibility });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to check loan eligibility");
+  }
+};
+
+const getProjectLoan = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const { backendSigner } = require("../utils/contracts");
+    const loan = await loadProjectLoan(backendSigner.provider, project);
+
+    res.json({ success: true, loan });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch project loan");
+  }
+};
+
+const BALANCE_CSV_COLUMNS = [
+  { key: "timestamp", header: "Timestamp" },
+  { key: "blockNumber", header: "Block" },
+  { key: "event", header: "Event" },
+  { key: "projectTokenId", header: "Project Token" },
+  { key: "account", header: "Account" },
+  { key: "change", header: "Change (DEV)" },
+  { key: "balance", header: "Balance (DEV)" },
+  { key: "transactionHash", header: "Transaction" },
+];
+
+const CLAIMS_CSV_COLUMNS = [
+  { key: "tokenId", header: "Project Token" },
+  { key: "title", header: "Project" },
+  { key: "tierName", header: "Risk Tier" },
+  { key: "loanAmount", header: "Loan (DEV)" },
+  { key: "repaid", header: "Repaid (DEV)" },
+  { key: "defaultAmount", header: "Defaulted (DEV)" },
+  { key: "coverageAtDefault", header: "Coverage At Default (DEV)" },
+  { key: "claimed", header: "Claimed (DEV)" },
+  { key: "claimsPaid", header: "Claims Paid (DEV)" },
+  { key: "recovered", header: "Recovered (DEV)" },
+  { key: "recoveryRate", header: "Recovery Rate (%)" },
+  { key: "netLoss", header: "Net Loss (DEV)" },
+  { key: "defaultedAt", header: "Defaulted At" },
+  { key: "transactionHash", header: "Transaction" },
+];
+
+const wantsCsv = (req) => req.query.format === "csv";
+
+const sendCsv = (res, name, columns, rows) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}-${date}.csv"`
+  );
+  res.send(toCsv(columns, rows));
+};
+
+// Optional ?from= and ?to= bounds; returns null after responding with a 400
+const parseDateRange = (req, res) => {
+  const range = {};
+  for (const key of ["from", "to"]) {
+    if (!req.query[key]) continue;
+    const date = new Date(req.query[key]);
+    if (isNaN(date.getTime())) {
+      res.status(400).json({
+        success: false,
+        message: `Invalid ${key} date`,
+      });
+      return null;
+    }
+    range[key] = date;
+  }
+  return range;
+};
+
+// Fund balance and per-tier coverage now, with movements over the range
+const getInsuranceSummary = async (req, res) => {
+  const range = parseDateRange(req, res);
+  if (!range) return;
+
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const provider = backendSigner.provider;
+    const [coverage, balance] = await Promise.all([
+      getCoverageReport(provider),
+      getFundBalanceHistory(provider, range),
+    ]);
+
+    res.json({
+      success: true,
+      ...coverage,
+      indexedThroughBlock: balance.indexedThroughBlock,
+      totals: balance.totals,
+    });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch insurance fund summary");
+  }
+};
+
+const getInsuranceBalanceHistory = async (req, res) => {
+  const range = parseDateRange(req, res);
+  if (!range) return;
+
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const balance = await getFundBalanceHistory(backendSigner.provider, range);
+
+    if (wantsCsv(req)) {
+      return sendCsv(
+        res,
+        "insurance-fund-balance",
+        BALANCE_CSV_COLUMNS,
+        balance.history
+      );
+    }
+    res.json({ success: true, ...balance });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch insurance fund history");
+  }
+};
+
+const getInsuranceClaims = async (req, res) => {
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const claims = await getProjectClaims(backendSigner.provider);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "insurance-claims", CLAIMS_CSV_COLUMNS, claims);
+    }
+    res.json({ success: true, claims });
+  } catch (error) {
+    handleLendingError(res, error, "Failed to fetch insurance claims");
+  }
+};
+
+module.exports = {
+  getLendingPools,
+  getLendingPoolHistory,
+  getLoanEligibility,
+  getProjectLoan,
+  getInsuranceSummary,
+  getInsuranceBalanceHistory,
+  getInsuranceClaims,
+};
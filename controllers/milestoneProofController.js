@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Milestone = require("../models/Milestone");
+const {
+  MilestoneProofError,
+  buildMilestoneProof,
+} = require("../services/MilestoneProofs");
+
+// Proofs only reveal what the office has already committed on-chain, so any
+// signed-in user can fetch one, including auditors outside the project.
+const getMilestoneProof = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid milestone id",
+    });
+  }
+
+  try {
+    const milestone = await Milestone.findById(id).lean();
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: "Milestone not found",
+      });
+    }
+    const project = await Project.findById(milestone.projectId).select(
+      "tokenId escrowContractAddress"
+    );
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    const { backendSigner } = require("../utils/contracts");
+    const proof = await buildMilestoneProof(backendSigner.provider, {
+      milestone,
+      project,
+    });
+
+    res.json({ success: true, proof });
+  } catch (error) {
+    if (error instanceof MilestoneProofError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error building milestone proof:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build milestone proof",
+    });
+  }
+};
+
+module.exports = {
+  getMilestoneProof,
+};
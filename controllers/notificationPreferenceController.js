@@ -0,0 +1,69 @@
+const {
+  CHANNELS,
+  EMAIL_EVENTS,
+  NotificationPreferenceError,
+  getPreferences,
+  updatePreferences,
+  sendTestEmail,
+} = require("../services/NotificationChannels");
+
+const handlePreferenceError = (res, error, message) => {
+  if (error instanceof NotificationPreferenceError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+// Includes the events and channels to choose from, for the settings page
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    res.json({
+      success: true,
+      ...preferences,
+      events: EMAIL_EVENTS,
+      availableChannels: CHANNELS,
+    });
+  } catch (error) {
+    handlePreferenceError(
+      res,
+      error,
+      "Failed to fetch notification preferences"
+    );
+  }
+};
+
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user.id, req.body.channels);
+    res.json({ success: true, ...preferences });
+  } catch (error) {
+    handlePreferenceError(
+      res,
+      error,
+      "Failed to update notification preferences"
+    );
+  }
+};
+
+const sendPreferenceTestEmail = async (req, res) => {
+  try {
+    const to = await sendTestEmail(req.user.id);
+    res.json({ success: true, message: `Test email sent to ${to}` });
+  } catch (error) {
+    handlePreferenceError(res, error, "Failed to send test email");
+  }
+};
+
+module.exports = {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  sendPreferenceTestEmail,
+};
@@ -0,0 +1,130 @@
+const { LendingPoolError } = require("../services/LendingPools");
+const {
+  OperatorActionError,
+  getOperatorState: loadOperatorState,
+  simulateOperatorAction,
+  requestOperatorAction,
+  confirmOperatorAction,
+  cancelOperatorAction,
+  listOperatorActions,
+  refreshSubmittedActions,
+} = require("../services/OperatorConsole");
+
+const ACTIONS_PAGE_SIZE = 50;
+const ACTIONS_MAX_PAGE_SIZE = 200;
+
+const handleOperatorError = (res, error, message) => {
+  if (
+    error instanceof OperatorActionError ||
+    error instanceof LendingPoolError
+  ) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const getBackendSigner = () => require("../utils/contracts").backendSigner;
+
+// Sent actions report failure through the audit record, which is returned
+// either way so the console can show the revert reason. Actions that went
+// out are still submitted here; the receipt settles them later.
+const sendActionResult = (res, action) =>
+  res.status(action.status === "failed" ? 422 : 202).json({
+    success: action.status !== "failed",
+    action,
+  });
+
+const getOperatorState = async (req, res) => {
+  try {
+    const state = await loadOperatorState(getBackendSigner());
+    res.json({ success: true, ...state });
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to fetch operator state");
+  }
+};
+
+const getOperatorActions = async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Number(req.query.limit) || ACTIONS_PAGE_SIZE,
+    ACTIONS_MAX_PAGE_SIZE
+  );
+
+  try {
+    await refreshSubmittedActions(getBackendSigner().provider);
+    const result = await listOperatorActions({ page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to fetch operator actions");
+  }
+};
+
+const simulateAction = async (req, res) => {
+  try {
+    const action = await simulateOperatorAction(
+      getBackendSigner(),
+      req.user.id,
+      req.body
+    );
+    res.json({ success: true, action });
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to simulate operator action");
+  }
+};
+
+// Destructive actions come back as awaiting_confirmation with the phrase to
+// type into POST /actions/:id/confirm
+const requestAction = async (req, res) => {
+  try {
+    const action = await requestOperatorAction(
+      getBackendSigner(),
+      req.user.id,
+      req.body
+    );
+    if (action.status === "awaiting_confirmation") {
+      return res.status(202).json({ success: true, action });
+    }
+    sendActionResult(res, action);
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to run operator action");
+  }
+};
+
+const confirmAction = async (req, res) => {
+  try {
+    const action = await confirmOperatorAction(
+      getBackendSigner(),
+      req.user.id,
+      req.params.id,
+      req.body.confirmationPhrase
+    );
+    sendActionResult(res, action);
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to confirm operator action");
+  }
+};
+
+const cancelAction = async (req, res) => {
+  try {
+    const action = await cancelOperatorAction(req.user.id, req.params.id);
+    res.json({ success: true, action });
+  } catch (error) {
+    handleOperatorError(res, error, "Failed to cancel operator action");
+  }
+};
+
+module.exports = {
+  getOperatorState,
+  getOperatorActions,
+  simulateAction,
+  requestAction,
+  confirmAction,
+  cancelAction,
+};
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const { ESCROW_ABI, OFFICE_ABI } = require("../utils/contractAbis");
+
+// Handlers for the /api/v1 endpoints that have no counterpart in the app's
+// routes. The rest of /api/v1 reuses the app's controllers as they are.
+const PROJECTS_PAGE_SIZE = 50;
+const PROJECTS_MAX_PAGE_SIZE = 200;
+const PROJECT_FIELDS =
+  "tokenId title description status userId developerId escrowContractAddress createdAt updatedAt";
+
+const getPage = (query) => ({
+  page: Math.max(Number(query.page) || 1, 1),
+  limit: Math.min(
+    Number(query.limit) || PROJECTS_PAGE_SIZE,
+    PROJECTS_MAX_PAGE_SIZE
+  ),
+});
+
+const findProjects = async (filter, { page, limit }) => {
+  const [projects, total] = await Promise.all([
+    Project.find(filter)
+      .select(PROJECT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Project.countDocuments(filter),
+  ]);
+  return { projects, total, page, limit };
+};
+
+// Listed projects are public; anything else only to its owner and developer,
+// and to everyone else it doesn't exist
+const findVisibleProject = async (tokenId, userId) => {
+  const project = await Project.findOne({ tokenId: tokenId.toString() })
+    .select(PROJECT_FIELDS)
+    .lean();
+  if (!project) return null;
+  const isParty =
+    project.userId?.toString() === userId ||
+    project.developerId?.toString() === userId;
+  return project.status === "Listed" || isParty ? project : null;
+};
+
+const getCurrentKey = (req, res) => {
+  const { _id, name, prefix, scopes, rateLimit, createdAt } = req.apiKey;
+  res.json({
+    success: true,
+    userId: req.user.id,
+    apiKey: { _id, name, prefix, scopes, rateLimit, createdAt },
+  });
+};
+
+const listMarketplaceProjects = async (req, res) => {
+  try {
+    const result = await findProjects({ status: "Listed" }, getPage(req.query));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error fetching marketplace projects:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch marketplace projects",
+    });
+  }
+};
+
+// Projects the user owns or is developing
+const listProjects = async (req, res) => {
+  const userId = req.user.id;
+  const filter = { $or: [{ userId }, { developerId: userId }] };
+  if (req.query.status) filter.status = String(req.query.status);
+
+  try {
+    const result = await findProjects(filter, getPage(req.query));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error fetching projects:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch projects",
+    });
+  }
+};
+
+const getProject = async (req, res) => {
+  try {
+    const project = await findVisibleProject(req.params.tokenId, req.user.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+    res.json({ success: true, project });
+  } catch (error) {
+    console.error("Error fetching project:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch project",
+    });
+  }
+};
+
+// Read from the project's office, so they are exactly what the contract
+// will pay out against
+const listProjectMilestones = async (req, res) => {
+  try {
+    const project = await findVisibleProject(req.params.tokenId, req.user.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+    if (!project.escrowContractAddress) {
+      return res.json({ success: true, milestones: [] });
+    }
+
+    const { backendSigner } = require("../utils/contracts");
+    const { provider } = backendSigner;
+    const officeAddress = await new ethers.Contract(
+      project.escrowContractAddress,
+      ESCROW_ABI,
+      provider
+    ).getRegisteredOffice(project.tokenId.toString());
+    if (officeAddress === ethers.constants.AddressZero) {
+      return res.json({ success: true, milestones: [] });
+    }
+
+    const office = new ethers.Contract(officeAddress, OFFICE_ABI, provider);
+    const milestoneCount = (await office.milestoneCounter()).toNumber();
+    const milestones = [];
+    for (let id = 1; id <= milestoneCount; id++) {
+      const [milestone, refunded] = await Promise.all([
+        office.getMilestoneData(id),
+        office.refundedMilestones(id),
+      ]);
+      milestones.push({
+        id: milestone.id.toString(),
+        parentId: milestone.parentId.toString(),
+        payment: milestone.payment.toString(),
+        deadline: new Date(milestone.deadline.toNumber() * 1000),
+        recipient: milestone.recipient,
+        completed: milestone.completed,
+        verified: milestone.verified,
+        refunded,
+      });
+    }
+
+    res.json({ success: true, officeAddress, milestones });
+  } catch (error) {
+    console.error("Error fetching project milestones:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch project milestones",
+    });
+  }
+};
+
+// The score is public, as it is on profiles
+const getUserScors = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user id",
+    });
+  }
+
+  try {
+    const user = await User.findById(userId)
+      .select("scors scorsEventCount")
+      .lean();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    res.json({
+      success: true,
+      userId,
+      scors: user.scors ?? null,
+      scorsEventCount: user.scorsEventCount || 0,
+    });
+  } catch (error) {
+    console.error("Error fetching SCORS:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch score",
+    });
+  }
+};
+
+module.exports = {
+  getCurrentKey,
+  listMarketplaceProjects,
+  listProjects,
+  getProject,
+  listProjectMilestones,
+  getUserScors,
+};
@@ -0,0 +1,91 @@
+const {
+  ReconciliationError,
+  reconcileProjects,
+  listDrifts,
+  repairDrift,
+  ignoreDrift: markDriftIgnored,
+} = require("../services/ProjectReconciler");
+
+const DRIFTS_PAGE_SIZE = 50;
+const DRIFTS_MAX_PAGE_SIZE = 200;
+const DRIFT_STATUSES = ["open", "repaired", "resolved", "ignored"];
+
+const handleReconciliationError = (res, error, message) => {
+  if (error instanceof ReconciliationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const getDrifts = async (req, res) => {
+  const status = req.query.status || "open";
+  if (status !== "all" && !DRIFT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be all or one of ${DRIFT_STATUSES.join(", ")}`,
+    });
+  }
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Number(req.query.limit) || DRIFTS_PAGE_SIZE,
+    DRIFTS_MAX_PAGE_SIZE
+  );
+
+  try {
+    const result = await listDrifts({
+      status: status === "all" ? null : status,
+      page,
+      limit,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleReconciliationError(res, error, "Failed to fetch project drifts");
+  }
+};
+
+// Runs a reconciliation now instead of waiting for the schedule. Repairs are
+// only made when the body asks for them, and are attributed to the admin.
+const runReconciliation = async (req, res) => {
+  try {
+    const { backendSigner } = require("../utils/contracts");
+    const summary = await reconcileProjects(backendSigner.provider, {
+      autoRepair: req.body.repair === true,
+      repairedBy: req.user.id,
+    });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    handleReconciliationError(res, error, "Failed to reconcile projects");
+  }
+};
+
+const repairProjectDrift = async (req, res) => {
+  try {
+    const drift = await repairDrift(req.params.id, req.user.id);
+    res.json({ success: true, drift });
+  } catch (error) {
+    handleReconciliationError(res, error, "Failed to repair project drift");
+  }
+};
+
+const ignoreDrift = async (req, res) => {
+  try {
+    const drift = await markDriftIgnored(req.params.id, req.user.id);
+    res.json({ success: true, drift });
+  } catch (error) {
+    handleReconciliationError(res, error, "Failed to ignore project drift");
+  }
+};
+
+module.exports = {
+  getDrifts,
+  runReconciliation,
+  repairProjectDrift,
+  ignoreDrift,
+};
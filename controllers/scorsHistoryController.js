@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { isAdminRequest } = require("../utils/adminAccess");
+const { getScorsHistory } = require("../services/ScorsLedger");
+
+// The breakdown names projects and how late work was, so only the user
+// themselves and admins can see it. The score itself stays public.
+const getUserScorsHistory = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user id",
+    });
+  }
+
+  try {
+    if (userId !== req.user.id.toString()) {
+      if (!(await isAdminRequest(req))) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view your own score history",
+        });
+      }
+    }
+
+    const history = await getScorsHistory(userId);
+    res.json({ success: true, userId, ...history });
+  } catch (error) {
+    console.error("Error fetching SCORS history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch score history",
+    });
+  }
+};
+
+module.exports = {
+  getUserScorsHistory,
+};
@@ -0,0 +1,97 @@
+const { LendingPoolError } = require("../services/LendingPools");
+const {
+  ScorsRuleError,
+  listRuleSets,
+  getRuleSet: loadRuleSet,
+  createRuleSet,
+  updateRuleSet,
+  backtestRuleSet,
+  activateRuleSet,
+} = require("../services/ScorsRuleSets");
+
+const handleRuleSetError = (res, error, message) => {
+  if (error instanceof ScorsRuleError || error instanceof LendingPoolError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const getProvider = () => require("../utils/contracts").backendSigner.provider;
+
+const getRuleSets = async (req, res) => {
+  try {
+    const result = await listRuleSets();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to fetch SCORS rule sets");
+  }
+};
+
+const getRuleSet = async (req, res) => {
+  try {
+    const ruleSet = await loadRuleSet(req.params.id);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to fetch SCORS rule set");
+  }
+};
+
+const createDraft = async (req, res) => {
+  try {
+    const ruleSet = await createRuleSet(req.user.id, {
+      rules: req.body.rules,
+      notes: req.body.notes,
+      basedOnVersion: req.body.basedOnVersion,
+    });
+    res.status(201).json({ success: true, ruleSet });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to create SCORS rule set");
+  }
+};
+
+const updateDraft = async (req, res) => {
+  try {
+    const ruleSet = await updateRuleSet(req.params.id, {
+      rules: req.body.rules,
+      notes: req.body.notes,
+    });
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to update SCORS rule set");
+  }
+};
+
+const backtestDraft = async (req, res) => {
+  try {
+    const backtest = await backtestRuleSet(getProvider(), req.params.id);
+    res.json({ success: true, backtest });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to backtest SCORS rule set");
+  }
+};
+
+// Scores are recomputed in the background after this responds
+const activateDraft = async (req, res) => {
+  try {
+    const ruleSet = await activateRuleSet(req.user.id, req.params.id);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    handleRuleSetError(res, error, "Failed to activate SCORS rule set");
+  }
+};
+
+module.exports = {
+  getRuleSets,
+  getRuleSet,
+  createDraft,
+  updateDraft,
+  backtestDraft,
+  activateDraft,
+};
@@ -0,0 +1,129 @@
+const {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  createEndpoint,
+  listEndpoints,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  sendTestEvent,
+  listDeliveries,
+  replayDelivery,
+} = require("../services/Webhooks");
+
+const DELIVERIES_PAGE_SIZE = 50;
+const DELIVERIES_MAX_PAGE_SIZE = 200;
+
+const handleWebhookError = (res, error, message) => {
+  if (error instanceof WebhookError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+const getEvents = (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS });
+};
+
+const getEndpoints = async (req, res) => {
+  try {
+    const endpoints = await listEndpoints(req.user.id);
+    res.json({ success: true, endpoints });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to fetch webhook endpoints");
+  }
+};
+
+// The response is the only time the signing secret is shown
+const registerEndpoint = async (req, res) => {
+  try {
+    const endpoint = await createEndpoint(req.user.id, req.body);
+    res.status(201).json({ success: true, endpoint });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to register webhook endpoint");
+  }
+};
+
+const editEndpoint = async (req, res) => {
+  try {
+    const endpoint = await updateEndpoint(req.user.id, req.params.id, req.body);
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to update webhook endpoint");
+  }
+};
+
+const removeEndpoint = async (req, res) => {
+  try {
+    await deleteEndpoint(req.user.id, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to delete webhook endpoint");
+  }
+};
+
+const rotateEndpointSecret = async (req, res) => {
+  try {
+    const endpoint = await rotateSecret(req.user.id, req.params.id);
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to rotate webhook secret");
+  }
+};
+
+const testEndpoint = async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.user.id, req.params.id);
+    res.status(202).json({ success: true, delivery });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to send test event");
+  }
+};
+
+const getDeliveries = async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Number(req.query.limit) || DELIVERIES_PAGE_SIZE,
+    DELIVERIES_MAX_PAGE_SIZE
+  );
+
+  try {
+    const result = await listDeliveries(req.user.id, {
+      endpointId: req.query.endpointId,
+      status: req.query.status,
+      page,
+      limit,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to fetch webhook deliveries");
+  }
+};
+
+const replay = async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.user.id, req.params.id);
+    res.status(202).json({ success: true, delivery });
+  } catch (error) {
+    handleWebhookError(res, error, "Failed to replay webhook delivery");
+  }
+};
+
+module.exports = {
+  getEvents,
+  getEndpoints,
+  registerEndpoint,
+  editEndpoint,
+  removeEndpoint,
+  rotateEndpointSecret,
+  testEndpoint,
+  getDeliveries,
+  replay,
+};
@@ -0,0 +1,86 @@
+const User = require("../models/User");
+const {
+  findActiveKey,
+  consumeRateLimit,
+  recordUsage,
+} = require("../services/ApiKeys");
+
+const getPresentedKey = (req) => {
+  const authorization = req.get("authorization");
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+  return req.get("x-api-key");
+};
+
+const recordUsageAfterResponse = (res, apiKey, getUsage) => {
+  res.on("finish", () => {
+    recordUsage(apiKey, getUsage()).catch((error) =>
+      console.error("Error recording API key usage:", error)
+    );
+  });
+};
+
+// Stands in for authenticate on /api/v1, so the app's controllers see the
+// key's user as req.user, with the id, address and role they read. An
+// admin's key gets no role, and isAdminRequest never counts key requests, so
+// keys can't use admin powers. Every request is counted against the key's
+// rate limit and its usage is recorded once the response is sent, with the
+// operationId the route set on req.apiOperationId.
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findActiveKey(getPresentedKey(req));
+    const user =
+      apiKey &&
+      (await User.findById(apiKey.userId)
+        .select("ethereumAddress role")
+        .lean());
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "A valid API key is required",
+      });
+    }
+
+    const rate = await consumeRateLimit(apiKey);
+    res.set({
+      "X-RateLimit-Limit": String(rate.limit),
+      "X-RateLimit-Remaining": String(rate.remaining),
+      "X-RateLimit-Reset": String(Math.ceil(rate.resetAt.getTime() / 1000)),
+    });
+    if (!rate.allowed) {
+      recordUsageAfterResponse(res, apiKey, () => ({
+        statusCode: res.statusCode,
+        rateLimited: true,
+      }));
+      res.set(
+        "Retry-After",
+        String(Math.max(Math.ceil((rate.resetAt - Date.now()) / 1000), 1))
+      );
+      return res.status(429).json({
+        success: false,
+        message: `Rate limit of ${rate.limit} requests per minute exceeded`,
+      });
+    }
+
+    recordUsageAfterResponse(res, apiKey, () => ({
+      operationId: req.apiOperationId,
+      statusCode: res.statusCode,
+    }));
+    req.apiKey = apiKey;
+    req.user = {
+      id: user._id.toString(),
+      ethereumAddress: user.ethereumAddress,
+      role: user.role === "admin" ? undefined : user.role,
+    };
+    next();
+  } catch (error) {
+    console.error("API key authentication failed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to authenticate API key",
+    });
+  }
+};
+
+module.exports = authenticateApiKey;
@@ -0,0 +1,22 @@
+const { isAdminRequest } = require("../utils/adminAccess");
+
+// Runs after authenticate
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await isAdminRequest(req))) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin access required",
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("Admin check failed:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify admin access",
+    });
+  }
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,13 @@
+// Runs after authenticateApiKey on each /api/v1 route, with the scope the
+// route needs
+const requireApiScope = (scope) => (req, res, next) => {
+  if (!req.apiKey?.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key doesn't have the ${scope} scope`,
+    });
+  }
+  next();
+};
+
+module.exports = requireApiScope;
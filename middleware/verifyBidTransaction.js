@@ -0,0 +1,218 @@
+const Project = require("../models/Project");
+const User = require("../models/User");
+const BidTransaction = require("../models/BidTransaction");
+const {
+  BidVerificationError,
+  verifyBidTransaction,
+} = require("../services/BidVerifier");
+const {
+  ProposalValidationError,
+  normalizeProposal,
+  hashProposal,
+} = require("../utils/bidProposal");
+
+// A bid left in "verified" this long was abandoned mid-request, e.g. the
+// client disconnected before a response was sent, and its hash is released
+const VERIFIED_BID_EXPIRY_MS = 2 * 60 * 1000;
+const TRANSACTION_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+// Checked before any of them is parsed, so a malformed body is a 400
+const OPTIONAL_STRING_FIELDS = ["currency", "escrowAddress", "proposalHash"];
+
+const isStringOrNumber = (value) =>
+  typeof value === "string" || typeof value === "number";
+
+// Runs in front of the payments routes and handles POST /place-bid. The bid
+// is checked against the chain and the request body is rewritten with the
+// on-chain values, so the payments route never stores what the client
+// claimed. Each transaction hash is only ever accepted once, and the
+// optional proposal is stored with it and cannot be changed afterwards
+// through the app. A client may send the proposalHash it computed so a
+// proposal altered in transit is rejected; BidModal doesn't.
+const verifyBidTransactionMiddleware = async (req, res, next) => {
+  if (req.method !== "POST" || req.path !== "/place-bid") return next();
+
+  const { transactionHash, tokenId, amount, currency, escrowAddress } =
+    req.body;
+  const userId = req.user.id;
+
+  if (!transactionHash || !tokenId || amount === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: "transactionHash, tokenId and amount are required",
+    });
+  }
+  if (
+    typeof transactionHash !== "string" ||
+    !TRANSACTION_HASH_PATTERN.test(transactionHash)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "transactionHash must be a 0x-prefixed 32-byte hex string",
+    });
+  }
+  if (!isStringOrNumber(tokenId) || !isStringOrNumber(amount)) {
+    return res.status(400).json({
+      success: false,
+      message: "tokenId and amount must be strings or numbers",
+    });
+  }
+  const invalidField = OPTIONAL_STRING_FIELDS.find(
+    (field) =>
+      req.body[field] !== undefined &&
+      req.body[field] !== null &&
+      typeof req.body[field] !== "string"
+  );
+  if (invalidField) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalidField} must be a string`,
+    });
+  }
+
+  try {
+    let existing = await BidTransaction.findOne({
+      transactionHash: transactionHash.toLowerCase(),
+    });
+    if (
+      existing?.status === "verified" &&
+      Date.now() - existing.updatedAt.getTime() > VERIFIED_BID_EXPIRY_MS
+    ) {
+      const released = await BidTransaction.deleteOne({
+        _id: existing._id,
+        status: "verified",
+        updatedAt: existing.updatedAt,
+      });
+      if (released.deletedCount === 1) existing = null;
+    }
+    if (existing) {
+      if (existing.userId.toString() !== userId.toString()) {
+        return res.status(409).json({
+          success: false,
+          message: "This transaction has already been used for another bid",
+        });
+      }
+      if (existing.status === "verified") {
+        return res.status(409).json({
+          success: false,
+          message: "This bid is already being processed",
+        });
+      }
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: "Bid already recorded",
+        bid: existing,
+      });
+    }
+
+    const proposal = normalizeProposal(req.body.proposal);
+    const proposalHash = proposal ? hashProposal(proposal) : null;
+    if (
+      req.body.proposalHash &&
+      req.body.proposalHash.toLowerCase() !== proposalHash
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Proposal hash does not match the proposal",
+      });
+    }
+
+    const project = await Project.findOne({ tokenId: tokenId.toString() });
+    if (!project || !project.escrowContractAddress) {
+      return res.status(404).json({
+        success: false,
+        message: "Project or project escrow not found",
+      });
+    }
+    if (
+      escrowAddress &&
+      escrowAddress.toLowerCase() !==
+        project.escrowContractAddress.toLowerCase()
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Escrow address does not match the project's escrow",
+      });
+    }
+
+    const user = await User.findById(userId).select("ethereumAddress");
+    const { backendSigner } = require("../utils/contracts");
+    const verifiedBid = await verifyBidTransaction(backendSigner.provider, {
+      transactionHash,
+      project,
+      expectedBidder: user?.ethereumAddress,
+      amount,
+      currency,
+    });
+
+    let bidTransaction;
+    try {
+      bidTransaction = await BidTransaction.create({
+        ...verifiedBid,
+        userId,
+        projectId: project._id,
+        proposal,
+        proposalHash,
+      });
+    } catch (error) {
+      // A concurrent retry won the race to record this transaction
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This bid is already being processed",
+        });
+      }
+      throw error;
+    }
+
+    // Release the hash again if the payments route fails, so the user can
+    // retry. A response cut off before it was sent leaves the bid verified
+    // until VERIFIED_BID_EXPIRY_MS releases it.
+    let finalized = false;
+    const finalize = () => {
+      if (finalized) return;
+      finalized = true;
+      const update =
+        res.statusCode < 400
+          ? BidTransaction.updateOne(
+              { _id: bidTransaction._id },
+              { $set: { status: "recorded" } }
+            )
+          : BidTransaction.deleteOne({ _id: bidTransaction._id });
+      update.catch((error) =>
+        console.error("Error finalizing bid transaction:", error)
+      );
+    };
+    res.on("finish", finalize);
+    res.on("close", () => {
+      if (res.headersSent) finalize();
+    });
+
+    req.verifiedBid = verifiedBid;
+    req.body = {
+      ...req.body,
+      tokenId: verifiedBid.tokenId,
+      transactionHash: verifiedBid.transactionHash,
+      bidIndex: verifiedBid.bidIndex,
+      amount: verifiedBid.amount,
+      currency: verifiedBid.currency,
+      escrowAddress: project.escrowContractAddress,
+      userId: userId.toString(),
+      proposalHash,
+    };
+    next();
+  } catch (error) {
+    if (
+      error instanceof BidVerificationError ||
+      error instanceof ProposalValidationError
+    ) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+module.exports = verifyBidTransactionMiddleware;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A key for the public /api/v1 API, acting as the user who issued it. Only a
+// SHA-256 hash of the key is stored; the key itself is shown once, when it is
+// created. The rate limit window is kept on the key so every instance counts
+// against the same limit.
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // The start of the key, so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // read, bid and manage, from API_KEY_SCOPES in services/ApiKeys
+    scopes: {
+      type: [String],
+      required: true,
+    },
+    // Requests per minute
+    rateLimit: {
+      type: Number,
+      required: true,
+    },
+    rateWindowStart: Date,
+    rateWindowCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One document per API key per UTC day, counting its /api/v1 requests
+const apiKeyUsageSchema = new mongoose.Schema(
+  {
+    keyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // YYYY-MM-DD
+    day: {
+      type: String,
+      required: true,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    // Responses with a 4xx or 5xx status, including rate limited requests
+    failedRequests: {
+      type: Number,
+      default: 0,
+    },
+    rateLimited: {
+      type: Number,
+      default: 0,
+    },
+    // Requests per operation, keyed by OpenAPI operationId
+    operations: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeyUsageSchema.index({ keyId: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model("ApiKeyUsage", apiKeyUsageSchema);
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+const proposalSchema = new mongoose.Schema(
+  {
+    summary: { type: String, required: true },
+    timeline: {
+      startDate: { type: String, default: null },
+      durationDays: { type: Number, default: null },
+    },
+    milestones: [
+      {
+        _id: false,
+        title: { type: String, required: true },
+        amount: { type: String, default: null },
+        durationDays: { type: Number, default: null },
+      },
+    ],
+    attachments: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        url: { type: String, required: true },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const bidTransactionSchema = new mongoose.Schema(
+  {
+    transactionHash: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    escrowAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    bidder: {
+      type: String,
+      required: true,
+    },
+    bidIndex: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: String,
+      required: true,
+    },
+    amountWei: {
+      type: String,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    proposal: {
+      type: proposalSchema,
+      default: null,
+      immutable: true,
+    },
+    // Hash of the normalized proposal, checked by the app only; the
+    // escrow knows nothing about proposals
+    proposalHash: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    status: {
+      type: String,
+      enum: ["verified", "recorded"],
+      default: "verified",
+    },
+    // Set from the escrow's BidAccepted/BidRefunded events
+    outcome: {
+      type: String,
+      enum: ["pending", "accepted", "refunded"],
+      default: "pending",
+    },
+    settlementTransactionHash: {
+      type: String,
+      default: null,
+      lowercase: true,
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+bidTransactionSchema.index({ tokenId: 1, bidIndex: 1 });
+
+module.exports = mongoose.model("BidTransaction", bidTransactionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const chainCursorSchema = new mongoose.Schema(
+  {
+    contractAddress: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+    },
+    contractType: {
+      type: String,
+      enum: ["escrow", "office", "pool", "registry"],
+      required: true,
+    },
+    // Lending pools and their registry are shared across projects and have
+    // no token id
+    projectTokenId: {
+      type: String,
+      required: function () {
+        return this.contractType === "escrow" || this.contractType === "office";
+      },
+      index: true,
+    },
+    // The first block indexed, which a reorg never rewinds past
+    startBlock: Number,
+    // Set when the cursor is created for a contract with history from before
+    // the indexer ran. Events up to this block are stored as handled without
+    // running their handlers, so old notifications and SCORS events aren't
+    // sent or recorded again.
+    backfillUntilBlock: {
+      type: Number,
+      default: null,
+    },
+    lastProcessedBlock: {
+      type: Number,
+      required: true,
+    },
+    lastProcessedHash: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ChainCursor", chainCursorSchema);
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+const chainEventSchema = new mongoose.Schema(
+  {
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    contractType: {
+      type: String,
+      enum: ["escrow", "office", "pool", "registry"],
+      required: true,
+    },
+    // Lending pools and their registry are shared across projects and have
+    // no token id
+    projectTokenId: {
+      type: String,
+      required: function () {
+        return this.contractType === "escrow" || this.contractType === "office";
+      },
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    args: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: {
+      type: String,
+      required: true,
+    },
+    blockTimestamp: {
+      type: Date,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+    // Set once the event's handler has run, so notifications go out once per
+    // (transactionHash, logIndex) even if the event is indexed again after a
+    // reorg. Events without a handler are stored as handled.
+    handled: {
+      type: Boolean,
+      default: false,
+    },
+    handledAt: Date,
+    // Stored from a cursor's backfill, with its handler never run
+    backfilled: {
+      type: Boolean,
+      default: false,
+    },
+    handleAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastHandleError: String,
+    // Lease held by the indexer instance running the handler
+    handlingUntil: Date,
+    // Dropped from the canonical chain by a reorg. Handled events are kept so
+    // they aren't handled again if their transaction is mined again.
+    removed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+// Reads skip events a reorg removed, unless the query asks about them
+const excludeRemoved = function () {
+  if (this.getFilter().removed === undefined) {
+    this.where({ removed: { $ne: true } });
+  }
+};
+chainEventSchema.pre("find", excludeRemoved);
+chainEventSchema.pre("findOne", excludeRemoved);
+chainEventSchema.pre("countDocuments", excludeRemoved);
+
+chainEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ contractAddress: 1, blockNumber: 1 });
+chainEventSchema.index({ projectTokenId: 1, event: 1 });
+chainEventSchema.index({ handled: 1, removed: 1, blockNumber: 1 });
+
+module.exports = mongoose.model("ChainEvent", chainEventSchema);
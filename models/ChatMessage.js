@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// One document per chat message. Messages used to be pushed into the
+// project's Chat document, which grew without bound.
+const chatMessageSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    // The bidder whose negotiation thread this is, or null for the project's
+    // main chat (see services/ChatAccess.js)
+    bidderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      default: "",
+    },
+    isAIMessage: {
+      type: Boolean,
+      default: false,
+    },
+    clientId: {
+      type: String,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+chatMessageSchema.index({ projectId: 1, bidderId: 1, _id: -1 });
+
+module.exports = mongoose.model("ChatMessage", chatMessageSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Append-only record of admin moderation in project chats. Mutes are read
+// back from here, so the latest mute/unmute for a participant wins.
+const chatModerationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["delete", "flag", "mute", "unmute"],
+      required: true,
+    },
+    moderatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    content: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+chatModerationSchema.index({ projectId: 1, targetUserId: 1, createdAt: -1 });
+chatModerationSchema.index({ projectId: 1, messageId: 1 });
+
+module.exports = mongoose.model("ChatModeration", chatModerationSchema);
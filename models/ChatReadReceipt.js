@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const chatReadReceiptSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    // The negotiation thread, or null for the main chat
+    bidderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastReadMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+chatReadReceiptSchema.index(
+  { projectId: 1, bidderId: 1, userId: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("ChatReadReceipt", chatReadReceiptSchema);
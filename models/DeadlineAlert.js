@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// One record per milestone deadline reminder or verification escalation.
+// Like LoanAlert, the unique index lets every instance race for the same
+// alert with only one of them sending it, and keeps restarts from sending it
+// again.
+//
+// sending -> sent. A failed send goes back to pending and is picked up by a
+// later run while the alert is still due, until it has been tried
+// MAX_ALERT_ATTEMPTS times and is failed. Records from before the status was
+// added were all sent.
+const deadlineAlertSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    officeAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    milestoneId: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: [
+        "deadline_upcoming",
+        "deadline_overdue",
+        "verification_owner",
+        "verification_admin",
+      ],
+      required: true,
+    },
+    // The deadline or completion time the alert is for, and part of its
+    // key, so a different time is a different alert
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    lastError: String,
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+deadlineAlertSchema.index(
+  { officeAddress: 1, milestoneId: 1, kind: 1, dueAt: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("DeadlineAlert", deadlineAlertSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// A notification waiting for the user's next daily or weekly digest email
+const digestItemSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly"],
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // skipped when the user has no email address to send to
+    status: {
+      type: String,
+      enum: ["pending", "sent", "skipped"],
+      default: "pending",
+    },
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+digestItemSchema.index({ frequency: 1, status: 1, createdAt: 1 });
+digestItemSchema.index({ userId: 1, frequency: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("DigestItem", digestItemSchema);
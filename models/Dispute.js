@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+
+const evidenceSchema = new mongoose.Schema(
+  {
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["developer", "owner"],
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    // Files uploaded through /api/upload
+    files: [
+      {
+        _id: false,
+        name: String,
+        url: { type: String, required: true },
+      },
+    ],
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// A developer's dispute over a completed milestone the owner hasn't
+// verified. An admin's ruling is executed on the office through
+// resolveDispute, which pays the developer or refunds the owner.
+//
+// open -> executing -> resolved, with execution_failed when the ruling's
+// transaction fails before it is sent or reverts, and can be retried. A
+// dispute with a transactionHash stays executing until the indexer sees
+// DisputeResolved. Open disputes can also be withdrawn by the developer, or
+// settled when the owner verifies the milestone. Only offices from version
+// 2 on have resolveDispute, so disputes can't be opened on older ones.
+const disputeSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    projectTokenId: {
+      type: String,
+      required: true,
+    },
+    officeAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    milestoneId: {
+      type: String,
+      required: true,
+    },
+    developerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "open",
+        "executing",
+        "execution_failed",
+        "resolved",
+        "settled",
+        "withdrawn",
+      ],
+      default: "open",
+    },
+    // Cleared once the dispute is closed, so a milestone has at most one
+    // dispute in progress
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    evidence: [evidenceSchema],
+    ruling: {
+      outcome: {
+        type: String,
+        enum: ["release", "refund"],
+      },
+      rationale: String,
+      arbitratorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      ruledAt: Date,
+    },
+    transactionHash: String,
+    blockNumber: Number,
+    executionError: String,
+    closedAt: Date,
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index(
+  { officeAddress: 1, milestoneId: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+disputeSchema.index({ developerId: 1, createdAt: -1 });
+disputeSchema.index({ ownerId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
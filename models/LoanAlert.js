@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// One record per overdue repayment or defaulted loan that has been notified.
+// The unique index lets every instance race for the same alert with only one
+// of them sending it.
+const loanAlertSchema = new mongoose.Schema(
+  {
+    projectTokenId: {
+      type: String,
+      required: true,
+    },
+    lendingManager: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    kind: {
+      type: String,
+      enum: ["overdue", "defaulted"],
+      required: true,
+    },
+    // Repayment milestone id for overdue alerts, 0 for the loan as a whole
+    repaymentId: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+loanAlertSchema.index(
+  { lendingManager: 1, kind: 1, repaymentId: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("LoanAlert", loanAlertSchema);
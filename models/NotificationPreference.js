@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// How a user wants each kind of notification, keyed by WebSocket frame type.
+// Types without an entry use DEFAULT_CHANNELS in services/NotificationChannels.
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    channels: {
+      type: Map,
+      of: {
+        type: String,
+        enum: ["socket", "email", "daily_digest", "weekly_digest"],
+      },
+      default: {},
+    },
+    // Start of the last digest period sent, claimed before sending so each
+    // period's digest goes out once across instances
+    lastDigestAt: {
+      daily: Date,
+      weekly: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "NotificationPreference",
+  notificationPreferenceSchema
+);
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+// Audit log for the lending operator console. Every request is recorded,
+// including dry runs and destructive actions that were never confirmed.
+const operatorActionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    contractType: {
+      type: String,
+      enum: ["pool", "registry"],
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    riskTier: {
+      type: Number,
+      default: null,
+    },
+    // As entered, in display units (DEV, percent, SCORS)
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // As sent to the contract
+    args: {
+      type: [String],
+      default: [],
+    },
+    summary: {
+      type: String,
+      required: true,
+    },
+    destructive: {
+      type: Boolean,
+      default: false,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: [
+        "simulated",
+        "awaiting_confirmation",
+        "cancelled",
+        "submitted",
+        "confirmed",
+        "failed",
+      ],
+      required: true,
+    },
+    simulation: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Destructive actions only run once this phrase is typed back
+    confirmationPhrase: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    signerAddress: {
+      type: String,
+      default: null,
+      lowercase: true,
+    },
+    transactionHash: {
+      type: String,
+      default: null,
+      lowercase: true,
+    },
+    blockNumber: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+operatorActionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("OperatorAction", operatorActionSchema);
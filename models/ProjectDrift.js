@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// A difference between a Project record and the chain, found by the project
+// reconciler. Records are kept after they are repaired or resolved, so the
+// collection doubles as the audit trail of what was changed and by whom.
+const projectDriftSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    projectTokenId: {
+      type: String,
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: [
+        "tokenId",
+        "status",
+        "developerId",
+        "escrowContractAddress",
+        "bidAcceptedBlock",
+      ],
+      required: true,
+    },
+    // What MongoDB holds and what the chain says it should be. expected is
+    // null when the chain shows the record is wrong but not what's right.
+    actual: mongoose.Schema.Types.Mixed,
+    expected: mongoose.Schema.Types.Mixed,
+    detail: {
+      type: String,
+      required: true,
+    },
+    repairable: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["open", "repaired", "resolved", "ignored"],
+      default: "open",
+    },
+    firstDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastDetectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Null with a repairedAt means the reconciler repaired it automatically
+    repairedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    repairedAt: Date,
+    ignoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when a later run no longer finds the drift
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// One open drift per project field, however many instances run the check
+projectDriftSchema.index(
+  { projectId: 1, field: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+projectDriftSchema.index({ status: 1, lastDetectedAt: -1 });
+
+module.exports = mongoose.model("ProjectDrift", projectDriftSchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Append-only log of everything that moves a user's SCORS. Scores are folded
+// from this log, so entries are never updated or removed.
+const scorsEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      immutable: true,
+    },
+    // Derived from the domain event, so the same event is only counted once
+    // however many times it is reported
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        "baseline",
+        "contract_created",
+        "milestone_completed",
+        "milestone_verified",
+        "project_completed",
+        "dispute_ruled",
+      ],
+      required: true,
+      immutable: true,
+    },
+    role: {
+      type: String,
+      enum: ["developer", "owner"],
+      default: null,
+      immutable: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      immutable: true,
+    },
+    milestoneId: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    occurredAt: {
+      type: Date,
+      required: true,
+      immutable: true,
+    },
+    // The inputs the scoring rules read, e.g. deadline and completionTime
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+scorsEventSchema.index({ userId: 1, occurredAt: 1, _id: 1 });
+
+const rejectChange = function () {
+  throw new Error("SCORS events are immutable");
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => scorsEventSchema.pre(operation, rejectChange));
+
+module.exports = mongoose.model("ScorsEvent", scorsEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A versioned set of SCORS weights, penalties and decay. Drafts can be edited
+// and backtested; once activated a version is frozen, and activating another
+// retires it. At most one version is active at a time.
+const scorsRuleSetSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "active", "retired"],
+      default: "draft",
+    },
+    // Same shape as DEFAULT_RULES in utils/scorsRules
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Impact of the draft against the version that was active when it ran.
+    // Cleared whenever the rules change.
+    backtest: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    activatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    activatedAt: Date,
+    retiredAt: Date,
+  },
+  { timestamps: true }
+);
+
+scorsRuleSetSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+module.exports = mongoose.model("ScorsRuleSet", scorsRuleSetSchema);
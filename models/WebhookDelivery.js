@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      required: true,
+    },
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+// One event sent to one endpoint, with every attempt made to deliver it.
+//
+// pending -> delivering -> succeeded. A failed attempt goes back to pending
+// with nextAttemptAt pushed out by the backoff, and after the last retry the
+// delivery is dead, which is the dead-letter queue. A replay puts a dead or
+// succeeded delivery back to pending with a fresh set of retries.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The notification id, or a fresh one for test events. The endpoint
+    // gets it in the payload and X-Paxmata-Delivery to deduplicate on.
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivering", "succeeded", "dead"],
+      default: "pending",
+    },
+    // Attempts since the delivery was created or last replayed
+    retryCount: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // A dispatcher that dies mid-attempt leaves the claim to expire
+    lockedUntil: Date,
+    attempts: [attemptSchema],
+    deliveredAt: Date,
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    replayedAt: Date,
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ endpointId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// An HTTPS endpoint a user registered to receive their notifications as
+// signed webhook deliveries. The secret is only returned when the endpoint
+// is created or its secret rotated.
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    // WebSocket frame types, e.g. NEW_BID, from WEBHOOK_EVENTS in
+    // services/Webhooks
+    events: {
+      type: [String],
+      required: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.index({ userId: 1, active: 1 });
+
+module.exports = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
@@ -0,0 +1,12 @@
+const express = require("express");
+const apiKeyController = require("../controllers/apiKeyController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/", apiKeyController.getUserApiKeys);
+router.put("/:id/rate-limit", apiKeyController.updateRateLimit);
+
+module.exports = router;
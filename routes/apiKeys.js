@@ -0,0 +1,12 @@
+const express = require("express");
+const apiKeyController = require("../controllers/apiKeyController");
+
+const router = express.Router();
+
+router.get("/", apiKeyController.getApiKeys);
+router.post("/", apiKeyController.issueApiKey);
+router.put("/:id", apiKeyController.editApiKey);
+router.post("/:id/revoke", apiKeyController.revoke);
+router.get("/:id/usage", apiKeyController.getUsage);
+
+module.exports = router;
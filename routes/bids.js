@@ -0,0 +1,9 @@
+const express = require("express");
+const bidController = require("../controllers/bidController");
+
+const router = express.Router();
+
+router.get("/project/:tokenId", bidController.getProjectBidProposals);
+router.post("/project/:tokenId/accept", bidController.acceptBid);
+
+module.exports = router;
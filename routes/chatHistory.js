@@ -0,0 +1,9 @@
+const express = require("express");
+const chatHistoryController = require("../controllers/chatHistoryController");
+
+const router = express.Router();
+
+router.get("/:projectId/messages", chatHistoryController.getChatMessages);
+router.get("/:projectId", chatHistoryController.getChat);
+
+module.exports = router;
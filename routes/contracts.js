@@ -0,0 +1,8 @@
+const express = require("express");
+const contractController = require("../controllers/contractController");
+
+const router = express.Router();
+
+router.post("/generated", contractController.confirmContractGeneration);
+
+module.exports = router;
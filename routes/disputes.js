@@ -0,0 +1,14 @@
+const express = require("express");
+const disputeController = require("../controllers/disputeController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.get("/", disputeController.getDisputes);
+router.post("/", disputeController.createDispute);
+router.get("/:id", disputeController.getDispute);
+router.post("/:id/evidence", disputeController.submitEvidence);
+router.post("/:id/withdraw", disputeController.withdraw);
+router.post("/:id/ruling", requireAdmin, disputeController.ruleOnDispute);
+
+module.exports = router;
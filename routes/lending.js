@@ -0,0 +1,28 @@
+const express = require("express");
+const lendingController = require("../controllers/lendingController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.get("/pools", lendingController.getLendingPools);
+router.get("/pools/:riskTier/history", lendingController.getLendingPoolHistory);
+router.get("/loans/project/:tokenId", lendingController.getProjectLoan);
+router.get(
+  "/loans/project/:tokenId/eligibility",
+  lendingController.getLoanEligibility
+);
+
+// Insurance fund reports are for the finance team
+router.get("/insurance", requireAdmin, lendingController.getInsuranceSummary);
+router.get(
+  "/insurance/balance",
+  requireAdmin,
+  lendingController.getInsuranceBalanceHistory
+);
+router.get(
+  "/insurance/claims",
+  requireAdmin,
+  lendingController.getInsuranceClaims
+);
+
+module.exports = router;
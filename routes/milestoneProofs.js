@@ -0,0 +1,8 @@
+const express = require("express");
+const milestoneProofController = require("../controllers/milestoneProofController");
+
+const router = express.Router();
+
+router.get("/:id/proof", milestoneProofController.getMilestoneProof);
+
+module.exports = router;
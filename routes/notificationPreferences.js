@@ -0,0 +1,13 @@
+const express = require("express");
+const notificationPreferenceController = require("../controllers/notificationPreferenceController");
+
+const router = express.Router();
+
+router.get("/", notificationPreferenceController.getNotificationPreferences);
+router.put("/", notificationPreferenceController.updateNotificationPreferences);
+router.post(
+  "/test-email",
+  notificationPreferenceController.sendPreferenceTestEmail
+);
+
+module.exports = router;
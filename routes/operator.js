@@ -0,0 +1,16 @@
+const express = require("express");
+const operatorController = require("../controllers/operatorController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/state", operatorController.getOperatorState);
+router.get("/actions", operatorController.getOperatorActions);
+router.post("/actions", operatorController.requestAction);
+router.post("/actions/simulate", operatorController.simulateAction);
+router.post("/actions/:id/confirm", operatorController.confirmAction);
+router.post("/actions/:id/cancel", operatorController.cancelAction);
+
+module.exports = router;
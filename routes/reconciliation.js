@@ -0,0 +1,14 @@
+const express = require("express");
+const reconciliationController = require("../controllers/reconciliationController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/drifts", reconciliationController.getDrifts);
+router.post("/run", reconciliationController.runReconciliation);
+router.post("/drifts/:id/repair", reconciliationController.repairProjectDrift);
+router.post("/drifts/:id/ignore", reconciliationController.ignoreDrift);
+
+module.exports = router;
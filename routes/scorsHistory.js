@@ -0,0 +1,8 @@
+const express = require("express");
+const scorsHistoryController = require("../controllers/scorsHistoryController");
+
+const router = express.Router();
+
+router.get("/user/:userId/history", scorsHistoryController.getUserScorsHistory);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const scorsRulesController = require("../controllers/scorsRulesController");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get("/", scorsRulesController.getRuleSets);
+router.post("/", scorsRulesController.createDraft);
+router.get("/:id", scorsRulesController.getRuleSet);
+router.put("/:id", scorsRulesController.updateDraft);
+router.post("/:id/backtest", scorsRulesController.backtestDraft);
+router.post("/:id/activate", scorsRulesController.activateDraft);
+
+module.exports = router;
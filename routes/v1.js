@@ -0,0 +1,237 @@
+const express = require("express");
+const authenticateApiKey = require("../middleware/authenticateApiKey");
+const requireApiScope = require("../middleware/requireApiScope");
+const verifyBidTransaction = require("../middleware/verifyBidTransaction");
+const paymentsRoutes = require("./payments");
+const bidController = require("../controllers/bidController");
+const disputeController = require("../controllers/disputeController");
+const milestoneProofController = require("../controllers/milestoneProofController");
+const publicApiController = require("../controllers/publicApiController");
+const scorsHistoryController = require("../controllers/scorsHistoryController");
+const { buildOpenApiDocument } = require("../utils/openApi");
+
+// Where Server.js mounts this router, for the spec's server URL
+const BASE_PATH = "/api/v1";
+
+const pageQuery = [
+  { name: "page", schema: { type: "integer", minimum: 1, default: 1 } },
+  {
+    name: "limit",
+    schema: { type: "integer", minimum: 1, maximum: 200, default: 50 },
+  },
+];
+
+// Bids are placed on-chain from the user's wallet and recorded through the
+// same verification and payments route as the app's /api/payments/place-bid
+const toPlaceBid = (req, res, next) => {
+  req.url = "/place-bid";
+  next();
+};
+
+// Every /api/v1 route, and the source of its OpenAPI document
+const endpoints = [
+  {
+    method: "get",
+    path: "/me",
+    operationId: "getCurrentKey",
+    tag: "Account",
+    scope: "read",
+    summary: "The API key in use and the user it acts as",
+    response: "CurrentKey",
+    handlers: [publicApiController.getCurrentKey],
+  },
+  {
+    method: "get",
+    path: "/marketplace",
+    operationId: "listMarketplaceProjects",
+    tag: "Marketplace",
+    scope: "read",
+    summary: "Projects listed on the marketplace and open for bids",
+    query: pageQuery,
+    response: "ProjectPage",
+    handlers: [publicApiController.listMarketplaceProjects],
+  },
+  {
+    method: "get",
+    path: "/projects",
+    operationId: "listProjects",
+    tag: "Projects",
+    scope: "read",
+    summary: "Projects the user owns or is developing",
+    query: [{ name: "status", schema: { type: "string" } }, ...pageQuery],
+    response: "ProjectPage",
+    handlers: [publicApiController.listProjects],
+  },
+  {
+    method: "get",
+    path: "/projects/:tokenId",
+    operationId: "getProject",
+    tag: "Projects",
+    scope: "read",
+    summary: "A listed project, or one the user owns or is developing",
+    response: "ProjectResponse",
+    handlers: [publicApiController.getProject],
+  },
+  {
+    method: "get",
+    path: "/projects/:tokenId/milestones",
+    operationId: "listProjectMilestones",
+    tag: "Milestones",
+    scope: "read",
+    summary: "The project's milestones, read from its office contract",
+    response: "MilestoneList",
+    handlers: [publicApiController.listProjectMilestones],
+  },
+  {
+    method: "get",
+    path: "/milestones/:id/proof",
+    operationId: "getMilestoneProof",
+    tag: "Milestones",
+    scope: "read",
+    summary: "A Merkle proof of a milestone against its office",
+    response: "MilestoneProof",
+    handlers: [milestoneProofController.getMilestoneProof],
+  },
+  {
+    method: "get",
+    path: "/projects/:tokenId/bids",
+    operationId: "listProjectBids",
+    tag: "Bids",
+    scope: "read",
+    summary: "Bids on a project",
+    description:
+      "Project owners see every bid with its proposal; bidders see only their own.",
+    response: "BidList",
+    handlers: [bidController.getProjectBidProposals],
+  },
+  {
+    method: "post",
+    path: "/bids",
+    operationId: "placeBid",
+    tag: "Bids",
+    scope: "bid",
+    summary: "Record a bid placed on-chain, with its proposal",
+    description:
+      "The transaction is verified against the chain and must come from the user's wallet. Each transaction can only be recorded once.",
+    requestBody: "PlaceBidRequest",
+    response: "Success",
+    handlers: [toPlaceBid, verifyBidTransaction, paymentsRoutes],
+  },
+  {
+    method: "post",
+    path: "/projects/:tokenId/bids/accept",
+    operationId: "acceptBid",
+    tag: "Bids",
+    scope: "manage",
+    summary: "Record the owner's on-chain acceptance of a bid",
+    requestBody: "AcceptBidRequest",
+    response: "AcceptBidResponse",
+    handlers: [bidController.acceptBid],
+  },
+  {
+    method: "get",
+    path: "/disputes",
+    operationId: "listDisputes",
+    tag: "Disputes",
+    scope: "read",
+    summary: "Milestone disputes the user is a party to",
+    query: [
+      { name: "status", schema: { type: "string" } },
+      { name: "projectId", schema: { type: "string" } },
+      ...pageQuery,
+    ],
+    response: "DisputePage",
+    handlers: [disputeController.getDisputes],
+  },
+  {
+    method: "post",
+    path: "/disputes",
+    operationId: "openDispute",
+    tag: "Disputes",
+    scope: "manage",
+    summary: "Dispute a completed milestone the owner hasn't verified",
+    requestBody: "OpenDisputeRequest",
+    response: "DisputeResponse",
+    status: 201,
+    handlers: [disputeController.createDispute],
+  },
+  {
+    method: "get",
+    path: "/disputes/:id",
+    operationId: "getDispute",
+    tag: "Disputes",
+    scope: "read",
+    summary: "A dispute the user is a party to",
+    response: "DisputeResponse",
+    handlers: [disputeController.getDispute],
+  },
+  {
+    method: "post",
+    path: "/disputes/:id/evidence",
+    operationId: "submitDisputeEvidence",
+    tag: "Disputes",
+    scope: "manage",
+    summary: "Add evidence to an open dispute",
+    requestBody: "EvidenceRequest",
+    response: "DisputeResponse",
+    status: 201,
+    handlers: [disputeController.submitEvidence],
+  },
+  {
+    method: "post",
+    path: "/disputes/:id/withdraw",
+    operationId: "withdrawDispute",
+    tag: "Disputes",
+    scope: "manage",
+    summary: "Withdraw an open dispute the user opened",
+    response: "DisputeResponse",
+    handlers: [disputeController.withdraw],
+  },
+  {
+    method: "get",
+    path: "/scors/:userId",
+    operationId: "getUserScors",
+    tag: "SCORS",
+    scope: "read",
+    summary: "A user's SCORS",
+    response: "Scors",
+    handlers: [publicApiController.getUserScors],
+  },
+  {
+    method: "get",
+    path: "/scors/:userId/history",
+    operationId: "getUserScorsHistory",
+    tag: "SCORS",
+    scope: "read",
+    summary: "The events behind the user's own SCORS",
+    response: "ScorsHistory",
+    handlers: [scorsHistoryController.getUserScorsHistory],
+  },
+];
+
+const openApiDocument = buildOpenApiDocument(endpoints, {
+  basePath: BASE_PATH,
+});
+
+const router = express.Router();
+
+// The spec is public, so integrators can read it before they have a key
+router.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+router.use(authenticateApiKey);
+
+for (const endpoint of endpoints) {
+  router[endpoint.method](
+    endpoint.path,
+    (req, res, next) => {
+      req.apiOperationId = endpoint.operationId;
+      next();
+    },
+    requireApiScope(endpoint.scope),
+    ...endpoint.handlers
+  );
+}
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const webhookController = require("../controllers/webhookController");
+
+const router = express.Router();
+
+router.get("/events", webhookController.getEvents);
+router.get("/deliveries", webhookController.getDeliveries);
+router.post("/deliveries/:id/replay", webhookController.replay);
+router.get("/", webhookController.getEndpoints);
+router.post("/", webhookController.registerEndpoint);
+router.put("/:id", webhookController.editEndpoint);
+router.delete("/:id", webhookController.removeEndpoint);
+router.post("/:id/rotate-secret", webhookController.rotateEndpointSecret);
+router.post("/:id/test", webhookController.testEndpoint);
+
+module.exports = router;
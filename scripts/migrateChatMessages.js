@@ -0,0 +1,107 @@
+// Moves messages embedded in Chat documents into the ChatMessage collection,
+// and rebuilds the read receipt indexes, which became per thread when bidders
+// got their own negotiation threads. Messages a bidder other than the
+// assigned developer sent to the old shared chat are moved into that bidder's
+// own thread, so the developer doesn't see the bids that lost. Safe to run
+// more than once: message ids are kept, so re-inserts are skipped.
+//
+//   MONGODB_URI=... node scripts/migrateChatMessages.js
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const ChatMessage = require("../models/ChatMessage");
+const ChatReadReceipt = require("../models/ChatReadReceipt");
+const Project = require("../models/Project");
+const User = require("../models/User");
+
+// Main chat messages from anyone but the owner, the assigned developer or an
+// admin were sent by bidders before threads existed. The owner's replies stay
+// in the main chat, since they don't say which bidder they answered.
+const moveBidderMessages = async () => {
+  const adminIds = (await User.find({ role: "admin" }).select("_id")).map(
+    (admin) => admin._id
+  );
+  const projectIds = await ChatMessage.distinct("projectId", {
+    bidderId: null,
+  });
+
+  let moved = 0;
+  for (const projectId of projectIds) {
+    const project = await Project.findById(projectId).select(
+      "userId developerId"
+    );
+    if (!project) continue;
+
+    const members = [project.userId, project.developerId, ...adminIds].filter(
+      Boolean
+    );
+    const bidderIds = await ChatMessage.distinct("sender", {
+      projectId,
+      bidderId: null,
+      sender: { $nin: members },
+    });
+    for (const bidderId of bidderIds) {
+      const result = await ChatMessage.updateMany(
+        { projectId, bidderId: null, sender: bidderId },
+        { $set: { bidderId } }
+      );
+      moved += result.modifiedCount;
+    }
+  }
+  return moved;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const chats = Chat.find({ "messages.0": { $exists: true } })
+    .select("projectId messages")
+    .lean()
+    .cursor();
+
+  let migratedChats = 0;
+  let migratedMessages = 0;
+
+  for await (const chat of chats) {
+    const messages = chat.messages.map((message) => ({
+      _id: message._id || new mongoose.Types.ObjectId(),
+      projectId: chat.projectId,
+      sender: message.sender,
+      content: message.content,
+      isAIMessage: !!message.isAIMessage,
+      timestamp: message.timestamp,
+      createdAt: message.timestamp,
+    }));
+
+    try {
+      const result = await ChatMessage.insertMany(messages, { ordered: false });
+      migratedMessages += result.length;
+    } catch (error) {
+      // Duplicate ids are messages copied by an earlier run
+      if (error.code !== 11000) throw error;
+      migratedMessages += error.insertedDocs?.length || 0;
+    }
+
+    await Chat.updateOne({ _id: chat._id }, { $unset: { messages: 1 } });
+    migratedChats++;
+  }
+
+  console.log(
+    `Migrated ${migratedMessages} messages from ${migratedChats} chats`
+  );
+
+  const moved = await moveBidderMessages();
+  console.log(`Moved ${moved} bidder messages into their own threads`);
+
+  // Drops the old one-receipt-per-project unique index, which would reject a
+  // user's receipt for a second thread
+  const dropped = await ChatReadReceipt.syncIndexes();
+  if (dropped.length) {
+    console.log(`Dropped read receipt indexes: ${dropped.join(", ")}`);
+  }
+  await mongoose.connection.close();
+};
+
+migrate().catch((error) => {
+  console.error("Chat message migration failed:", error);
+  process.exit(1);
+});
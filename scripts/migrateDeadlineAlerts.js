@@ -0,0 +1,30 @@
+// Marks deadline alerts recorded before they had a status as sent, which
+// they all were, and rebuilds the indexes now that an alert's deadline is
+// part of its unique key. Safe to run more than once.
+//
+//   MONGODB_URI=... node scripts/migrateDeadlineAlerts.js
+const mongoose = require("mongoose");
+const DeadlineAlert = require("../models/DeadlineAlert");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await DeadlineAlert.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "sent", attempts: 1 } }
+  );
+  console.log(`Marked ${result.modifiedCount} deadline alerts as sent`);
+
+  // Drops the old unique index without dueAt, which would reject the alerts
+  // for a milestone's new deadline
+  const dropped = await DeadlineAlert.syncIndexes();
+  if (dropped.length) {
+    console.log(`Dropped deadline alert indexes: ${dropped.join(", ")}`);
+  }
+  await mongoose.connection.close();
+};
+
+migrate().catch((error) => {
+  console.error("Deadline alert migration failed:", error);
+  process.exit(1);
+});
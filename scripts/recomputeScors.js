@@ -0,0 +1,53 @@
+// Recomputes every user's SCORS from their event log under the active rule
+// set and reports the users whose stored score differed. Pass --dry-run to
+// only report. When the active rule set decays scores, run this on a schedule
+// so stored scores keep up with the decay.
+//
+//   MONGODB_URI=... node scripts/recomputeScors.js [--dry-run]
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ScorsEvent = require("../models/ScorsEvent");
+const {
+  getActiveRules,
+  recomputeUserScore,
+} = require("../services/ScorsLedger");
+const { foldScore } = require("../utils/scorsRules");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const recompute = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { rules } = await getActiveRules();
+  const userIds = await ScorsEvent.distinct("userId");
+  let changed = 0;
+
+  for (const userId of userIds) {
+    const [user, events] = await Promise.all([
+      User.findById(userId).select("scors").lean(),
+      ScorsEvent.find({ userId }).sort({ occurredAt: 1, _id: 1 }).lean(),
+    ]);
+    if (!user) continue;
+
+    const { score } = foldScore(events, rules);
+    if (Number(user.scors) === score) continue;
+
+    changed++;
+    console.log(`${userId}: ${user.scors ?? "none"} -> ${score}`);
+    if (!dryRun) {
+      await recomputeUserScore(userId);
+    }
+  }
+
+  console.log(
+    `${changed} of ${userIds.length} scores ${
+      dryRun ? "would change" : "updated"
+    }`
+  );
+  await mongoose.connection.close();
+};
+
+recompute().catch((error) => {
+  console.error("SCORS recompute failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+// Records each user's current SCORS as a baseline event, so scores computed
+// before the event log existed survive the first recompute. Run once, before
+// deploying the event log. Users who already have events are skipped, and
+// re-runs are no-ops.
+//
+//   MONGODB_URI=... node scripts/seedScorsBaseline.js
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ScorsEvent = require("../models/ScorsEvent");
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = User.find({ scors: { $exists: true, $ne: null } })
+    .select("scors")
+    .lean()
+    .cursor();
+
+  let seeded = 0;
+  let skipped = 0;
+
+  for await (const user of users) {
+    if (await ScorsEvent.exists({ userId: user._id })) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      await ScorsEvent.create({
+        userId: user._id,
+        idempotencyKey: `baseline:${user._id}`,
+        type: "baseline",
+        // Before everything else in the log
+        occurredAt: new Date(0),
+        metadata: { score: Number(user.scors) },
+      });
+      seeded++;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      skipped++;
+    }
+  }
+
+  console.log(`Seeded ${seeded} SCORS baselines, skipped ${skipped} users`);
+  await mongoose.connection.close();
+};
+
+seed().catch((error) => {
+  console.error("SCORS baseline seeding failed:", error);
+  process.exit(1);
+});
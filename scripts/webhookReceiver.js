@@ -0,0 +1,45 @@
+// Local HTTP receiver for trying out webhook endpoints. Prints each delivery
+// and whether its signature checks out. Run the backend with
+// WEBHOOK_ALLOW_INSECURE=true, register http://localhost:<port>/webhooks with
+// the secret it returned, and send a test event.
+//
+// Pass --fail to answer 500 and watch the retries and dead-lettering.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js [--port 4000] [--fail]
+const http = require("http");
+const { verifySignature } = require("../services/Webhooks");
+
+const portIndex = process.argv.indexOf("--port");
+const port = portIndex === -1 ? 4000 : Number(process.argv[portIndex + 1]);
+const fail = process.argv.includes("--fail");
+const secret = process.env.WEBHOOK_SECRET;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const signature = req.headers["x-paxmata-signature"];
+    const verified = secret
+      ? verifySignature(secret, signature, body)
+      : "not checked, WEBHOOK_SECRET is not set";
+
+    console.log(
+      `${new Date().toISOString()} ${req.headers["x-paxmata-event"]} ${
+        req.headers["x-paxmata-delivery"]
+      } signature: ${verified}`
+    );
+    console.log(body);
+
+    res.writeHead(fail || verified === false ? 500 : 200).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
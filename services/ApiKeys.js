@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const ApiKeyUsage = require("../models/ApiKeyUsage");
+
+// Keys for the public /api/v1 API. Every key can read; "bid" also lets it
+// record bids, and "manage" lets it act on the user's own projects, such as
+// accepting bids and opening disputes. The routes still check the user may do
+// what is asked, so a key can never do more than the user who issued it, and
+// never has the user's admin powers.
+//
+// Keys start at DEFAULT_RATE_LIMIT requests per minute. Only admins can
+// change a key's limit, so users can't raise their own.
+const API_KEY_SCOPES = ["read", "bid", "manage"];
+const KEY_PREFIX = "pxm_";
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_DEFAULT_RATE_LIMIT) || 60;
+const MAX_RATE_LIMIT = Number(process.env.API_KEY_MAX_RATE_LIMIT) || 600;
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_KEYS_PER_USER = 10;
+const USAGE_DEFAULT_DAYS = 30;
+const USAGE_MAX_DAYS = 90;
+
+class ApiKeyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ApiKeyError";
+    this.statusCode = statusCode;
+  }
+}
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const generateKey = () =>
+  `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+const parseName = (name) => {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed || trimmed.length > 100) {
+    throw new ApiKeyError("name is required and at most 100 characters");
+  }
+  return trimmed;
+};
+
+// read is implied by the other scopes, so it is always included
+const parseScopes = (scopes) => {
+  if (!Array.isArray(scopes)) {
+    throw new ApiKeyError("scopes must be an array");
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ApiKeyError(`Unknown scopes: ${unknown.join(", ")}`);
+  }
+  return API_KEY_SCOPES.filter(
+    (scope) => scope === "read" || scopes.includes(scope)
+  );
+};
+
+const parseRateLimit = (rateLimit) => {
+  const value = Number(rateLimit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RATE_LIMIT) {
+    throw new ApiKeyError(
+      `rateLimit must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT}`
+    );
+  }
+  return value;
+};
+
+const findOwnKey = async (userId, keyId) => {
+  const key = mongoose.Types.ObjectId.isValid(keyId)
+    ? await ApiKey.findOne({ _id: keyId, userId })
+    : null;
+  if (!key) {
+    throw new ApiKeyError("API key not found", 404);
+  }
+  return key;
+};
+
+const rejectRateLimit = (changes) => {
+  if (changes.rateLimit !== undefined) {
+    throw new ApiKeyError("Rate limits can only be changed by an admin", 403);
+  }
+};
+
+// The only time the key itself is returned
+const createApiKey = async (userId, { name, scopes, ...rest }) => {
+  rejectRateLimit(rest);
+  const keyName = parseName(name);
+  const keyScopes = parseScopes(scopes ?? ["read"]);
+
+  const count = await ApiKey.countDocuments({ userId, revokedAt: null });
+  if (count >= MAX_KEYS_PER_USER) {
+    throw new ApiKeyError(
+      `You can have at most ${MAX_KEYS_PER_USER} active API keys`
+    );
+  }
+
+  const key = generateKey();
+  const apiKey = await ApiKey.create({
+    userId,
+    name: keyName,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    scopes: keyScopes,
+    rateLimit: DEFAULT_RATE_LIMIT,
+  });
+  const { keyHash, ...created } = apiKey.toObject();
+  return { ...created, key };
+};
+
+// Revoked keys are listed too, so their usage can still be looked up
+const listApiKeys = (userId) =>
+  ApiKey.find({ userId }).sort({ createdAt: -1 }).lean();
+
+const updateApiKey = async (userId, keyId, changes) => {
+  rejectRateLimit(changes);
+  const apiKey = await findOwnKey(userId, keyId);
+  if (apiKey.revokedAt) {
+    throw new ApiKeyError("Revoked API keys can't be changed", 409);
+  }
+  if (changes.name !== undefined) apiKey.name = parseName(changes.name);
+  if (changes.scopes !== undefined) {
+    apiKey.scopes = parseScopes(changes.scopes);
+  }
+  await apiKey.save();
+  return apiKey;
+};
+
+// Admin only: any user's keys, newest first
+const listUserApiKeys = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ApiKeyError("A valid userId is required");
+  }
+  return listApiKeys(userId);
+};
+
+// Admin only: sets the limit on any user's key
+const setApiKeyRateLimit = async (keyId, rateLimit) => {
+  const value = parseRateLimit(rateLimit);
+  const apiKey = mongoose.Types.ObjectId.isValid(keyId)
+    ? await ApiKey.findOneAndUpdate(
+        { _id: keyId, revokedAt: null },
+        { $set: { rateLimit: value } },
+        { new: true }
+      )
+    : null;
+  if (!apiKey) {
+    throw new ApiKeyError("Active API key not found", 404);
+  }
+  return apiKey;
+};
+
+const revokeApiKey = async (userId, keyId) => {
+  const apiKey = await findOwnKey(userId, keyId);
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+  return apiKey;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Daily counts for the last `days` days, oldest first, with days the key
+// wasn't used filled in as zero
+const getApiKeyUsage = async (userId, keyId, days = USAGE_DEFAULT_DAYS) => {
+  const apiKey = await findOwnKey(userId, keyId);
+  const dayCount = Math.min(
+    Math.max(Number(days) || USAGE_DEFAULT_DAYS, 1),
+    USAGE_MAX_DAYS
+  );
+
+  const start = new Date();
+  start.setUTCDate(start.getUTCDate() - (dayCount - 1));
+  const rows = await ApiKeyUsage.find({
+    keyId: apiKey._id,
+    day: { $gte: formatDay(start) },
+  }).lean();
+  const rowsByDay = new Map(rows.map((row) => [row.day, row]));
+
+  const usage = [];
+  const totals = { requests: 0, failedRequests: 0, rateLimited: 0 };
+  for (let i = 0; i < dayCount; i++) {
+    const day = new Date(start);
+    day.setUTCDate(start.getUTCDate() + i);
+    const row = rowsByDay.get(formatDay(day));
+    const entry = {
+      day: formatDay(day),
+      requests: row?.requests || 0,
+      failedRequests: row?.failedRequests || 0,
+      rateLimited: row?.rateLimited || 0,
+      operations: row?.operations || {},
+    };
+    totals.requests += entry.requests;
+    totals.failedRequests += entry.failedRequests;
+    totals.rateLimited += entry.rateLimited;
+    usage.push(entry);
+  }
+
+  return { apiKey, usage, totals };
+};
+
+// Returns the active key for a key presented by a client, or null
+const findActiveKey = async (key) => {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  return ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null }).lean();
+};
+
+// Counts the request against the key's current one-minute window. The window
+// is moved on by whichever request first sees it has expired.
+const consumeRateLimit = async (apiKey, now = new Date()) => {
+  const windowStart = new Date(
+    Math.floor(now.getTime() / RATE_WINDOW_MS) * RATE_WINDOW_MS
+  );
+  const resetAt = new Date(windowStart.getTime() + RATE_WINDOW_MS);
+
+  const countInWindow = () =>
+    ApiKey.findOneAndUpdate(
+      {
+        _id: apiKey._id,
+        rateWindowStart: windowStart,
+        rateWindowCount: { $lt: apiKey.rateLimit },
+      },
+      { $inc: { rateWindowCount: 1 } },
+      { new: true }
+    );
+
+  let updated = await countInWindow();
+  if (!updated) {
+    updated = await ApiKey.findOneAndUpdate(
+      {
+        _id: apiKey._id,
+        $or: [
+          { rateWindowStart: null },
+          { rateWindowStart: { $lt: windowStart } },
+        ],
+      },
+      { $set: { rateWindowStart: windowStart, rateWindowCount: 1 } },
+      { new: true }
+    );
+  }
+  // Another request may have just moved the window on
+  if (!updated) updated = await countInWindow();
+
+  return {
+    allowed: Boolean(updated),
+    limit: apiKey.rateLimit,
+    remaining: updated ? apiKey.rateLimit - updated.rateWindowCount : 0,
+    resetAt,
+  };
+};
+
+const recordUsage = async (
+  apiKey,
+  { operationId, statusCode, rateLimited = false }
+) => {
+  const now = new Date();
+  const inc = { requests: 1 };
+  if (statusCode >= 400) inc.failedRequests = 1;
+  if (rateLimited) inc.rateLimited = 1;
+  if (operationId) inc[`operations.${operationId}`] = 1;
+
+  await Promise.all([
+    ApiKeyUsage.updateOne(
+      { keyId: apiKey._id, day: formatDay(now) },
+      { $inc: inc, $setOnInsert: { userId: apiKey.userId } },
+      { upsert: true }
+    ),
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } }),
+  ]);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  ApiKeyError,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  listUserApiKeys,
+  setApiKeyRateLimit,
+  getApiKeyUsage,
+  findActiveKey,
+  consumeRateLimit,
+  recordUsage,
+};
@@ -0,0 +1,63 @@
+const Project = require("../models/Project");
+const User = require("../models/User");
+const BidTransaction = require("../models/BidTransaction");
+
+// Both the indexer and POST /api/bids/project/:tokenId/accept apply the same
+// on-chain outcome, so every update here only moves pending records and is
+// safe to run twice. Records are matched on the escrow's bid index, from
+// getSettledBidIndexes, since a bidder can have several bids of one amount.
+
+const settleBid = (tokenId, bidIndex, outcome, transactionHash) =>
+  BidTransaction.findOneAndUpdate(
+    { tokenId: tokenId.toString(), bidIndex, outcome: "pending" },
+    {
+      $set: {
+        outcome,
+        settlementTransactionHash: transactionHash,
+        settledAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+const findUserByAddress = (address) =>
+  User.findOne({
+    ethereumAddress: { $regex: `^${address}$`, $options: "i" },
+  });
+
+/**
+ * Records the accepted bid and moves a listed project into negotiation with
+ * the winning bidder as its developer. Returns the developer, if known.
+ */
+const recordBidAccepted = async (
+  project,
+  { bidIndex, selectedBidder, blockNumber, transactionHash }
+) => {
+  await settleBid(project.tokenId, bidIndex, "accepted", transactionHash);
+
+  const developer = await findUserByAddress(selectedBidder);
+  const update = { status: "In Negotiation", bidAcceptedBlock: blockNumber };
+  if (developer) {
+    update.developerId = developer._id;
+  }
+  await Project.updateOne(
+    { _id: project._id, status: "Listed" },
+    { $set: update }
+  );
+
+  return developer;
+};
+
+const recordBidRefunded = async (
+  project,
+  { bidIndex, bidder, transactionHash }
+) => {
+  await settleBid(project.tokenId, bidIndex, "refunded", transactionHash);
+  return findUserByAddress(bidder);
+};
+
+module.exports = {
+  findUserByAddress,
+  recordBidAccepted,
+  recordBidRefunded,
+};
@@ -0,0 +1,262 @@
+const { ethers } = require("ethers");
+const { ESCROW_ABI } = require("../utils/contractAbis");
+const { resolveCurrency } = require("../utils/currency");
+
+const REQUIRED_CONFIRMATIONS =
+  Number(process.env.BID_REQUIRED_CONFIRMATIONS) || 1;
+
+const escrowInterface = new ethers.utils.Interface(ESCROW_ABI);
+const BID_PLACED_TOPIC = escrowInterface.getEventTopic("BidPlaced");
+const BID_ACCEPTED_TOPIC = escrowInterface.getEventTopic("BidAccepted");
+const BID_REFUNDED_TOPIC = escrowInterface.getEventTopic("BidRefunded");
+
+class BidVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "BidVerificationError";
+    this.statusCode = statusCode;
+  }
+}
+
+// The escrow keeps bids in an array per project, so a bid's index is the
+// number of bids before its block plus the project's earlier bids in that block.
+const getBidIndex = async (provider, escrowAddress, log) => {
+  const parsedLog = escrowInterface.parseLog(log);
+  const escrow = new ethers.Contract(escrowAddress, ESCROW_ABI, provider);
+
+  const priorBids = await escrow.getProjectBids(parsedLog.args.projectId, {
+    blockTag: log.blockNumber - 1,
+  });
+  const blockBids = await provider.getLogs({
+    address: escrowAddress,
+    blockHash: log.blockHash,
+    topics: [BID_PLACED_TOPIC, log.topics[1]],
+  });
+  const earlierInBlock = blockBids.filter(
+    (other) => other.logIndex < log.logIndex
+  ).length;
+
+  return priorBids.bidders.length + earlierInBlock;
+};
+
+const getConfirmedReceipt = async (provider, transactionHash) => {
+  if (!ethers.utils.isHexString(transactionHash, 32)) {
+    throw new BidVerificationError("Invalid transaction hash");
+  }
+
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+  if (!receipt) {
+    throw new BidVerificationError("Transaction has not been mined yet", 409);
+  }
+  if (receipt.status !== 1) {
+    throw new BidVerificationError("Transaction reverted on-chain");
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  const confirmations = currentBlock - receipt.blockNumber + 1;
+  if (confirmations < REQUIRED_CONFIRMATIONS) {
+    throw new BidVerificationError(
+      `Transaction needs ${REQUIRED_CONFIRMATIONS} confirmations, has ${confirmations}`,
+      409
+    );
+  }
+
+  return receipt;
+};
+
+const parseEscrowLogs = (receipt, escrowAddress, topic, tokenId) =>
+  receipt.logs
+    .filter(
+      (log) =>
+        log.address.toLowerCase() === escrowAddress && log.topics[0] === topic
+    )
+    .map((log) => ({ args: escrowInterface.parseLog(log).args, log }))
+    .filter(({ args }) => args.projectId.toString() === tokenId.toString());
+
+/**
+ * Finds the bid index behind each BidAccepted and BidRefunded log an
+ * acceptBidAndTransfer transaction emitted for the project. The events don't
+ * carry the index, so each log is matched to a bid in the escrow's array, as
+ * of the transaction's block, with the same bidder, amount, currency and
+ * outcome. The escrow refunds in index order, so bids alike in all of those
+ * are taken in order. Returns { accepted, refunds }, with the log's logIndex on each.
+ */
+const getSettledBidIndexes = async (
+  provider,
+  receipt,
+  escrowAddress,
+  tokenId
+) => {
+  const address = escrowAddress.toLowerCase();
+  const escrow = new ethers.Contract(address, ESCROW_ABI, provider);
+  const bids = await escrow.getProjectBids(tokenId, {
+    blockTag: receipt.blockNumber,
+  });
+
+  const taken = new Set();
+  const matchBid = ({ amount, currency }, bidder, outcomes) => {
+    const index = bids.bidders.findIndex(
+      (other, i) =>
+        !taken.has(i) &&
+        outcomes[i] &&
+        other.toLowerCase() === bidder.toLowerCase() &&
+        bids.amounts[i].eq(amount) &&
+        Number(bids.currencies[i]) === Number(currency)
+    );
+    if (index === -1) {
+      throw new BidVerificationError(
+        "Settled bid not found in the project's escrow"
+      );
+    }
+    taken.add(index);
+    return index;
+  };
+
+  const [accepted] = parseEscrowLogs(
+    receipt,
+    address,
+    BID_ACCEPTED_TOPIC,
+    tokenId
+  );
+  const refunds = parseEscrowLogs(
+    receipt,
+    address,
+    BID_REFUNDED_TOPIC,
+    tokenId
+  ).sort((a, b) => a.log.logIndex - b.log.logIndex);
+
+  return {
+    accepted: accepted
+      ? {
+          bidIndex: matchBid(
+            accepted.args,
+            accepted.args.selectedBidder,
+            bids.selected
+          ),
+          selectedBidder: accepted.args.selectedBidder,
+          amountWei: accepted.args.amount.toString(),
+          logIndex: accepted.log.logIndex,
+        }
+      : null,
+    refunds: refunds.map(({ args, log }) => ({
+      bidIndex: matchBid(args, args.bidder, bids.refunded),
+      bidder: args.bidder,
+      amountWei: args.amount.toString(),
+      logIndex: log.logIndex,
+    })),
+  };
+};
+
+/**
+ * Checks a bid transaction against the chain and returns the bid as recorded
+ * by the project's escrow. Throws BidVerificationError when the transaction
+ * is unconfirmed or does not match what the client claimed.
+ */
+const verifyBidTransaction = async (
+  provider,
+  { transactionHash, project, expectedBidder, amount, currency }
+) => {
+  const receipt = await getConfirmedReceipt(provider, transactionHash);
+
+  const escrowAddress = project.escrowContractAddress.toLowerCase();
+  const bidLog = receipt.logs.find(
+    (log) =>
+      log.address.toLowerCase() === escrowAddress &&
+      log.topics[0] === BID_PLACED_TOPIC
+  );
+  if (!bidLog) {
+    throw new BidVerificationError(
+      "No BidPlaced event from the project escrow in this transaction"
+    );
+  }
+
+  const { args } = escrowInterface.parseLog(bidLog);
+
+  if (args.projectId.toString() !== project.tokenId.toString()) {
+    throw new BidVerificationError("Bid was placed on a different project");
+  }
+  if (
+    receipt.from.toLowerCase() !== args.bidder.toLowerCase() ||
+    (expectedBidder &&
+      expectedBidder.toLowerCase() !== args.bidder.toLowerCase())
+  ) {
+    throw new BidVerificationError(
+      "Bid sender does not match your wallet address",
+      403
+    );
+  }
+
+  const bidCurrency = await resolveCurrency(
+    provider,
+    escrowAddress,
+    args.currency
+  );
+  if (currency && currency !== bidCurrency.name) {
+    throw new BidVerificationError("Bid currency does not match transaction");
+  }
+
+  let claimedAmount;
+  try {
+    claimedAmount = ethers.utils.parseUnits(
+      amount.toString(),
+      bidCurrency.decimals
+    );
+  } catch (error) {
+    throw new BidVerificationError("Invalid bid amount");
+  }
+  if (!claimedAmount.eq(args.amount)) {
+    throw new BidVerificationError("Bid amount does not match transaction");
+  }
+
+  const bidIndex = await getBidIndex(provider, escrowAddress, bidLog);
+
+  return {
+    transactionHash: receipt.transactionHash,
+    escrowAddress,
+    tokenId: args.projectId.toString(),
+    bidder: args.bidder,
+    bidIndex,
+    amount: ethers.utils.formatUnits(args.amount, bidCurrency.decimals),
+    amountWei: args.amount.toString(),
+    currency: bidCurrency.name,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date(args.timestamp.toNumber() * 1000),
+  };
+};
+
+/**
+ * Checks an acceptBidAndTransfer transaction for the project and returns the
+ * accepted bid and the refunds the escrow made to the other bidders.
+ */
+const verifyBidAcceptance = async (provider, { transactionHash, project }) => {
+  const receipt = await getConfirmedReceipt(provider, transactionHash);
+
+  const { accepted, refunds } = await getSettledBidIndexes(
+    provider,
+    receipt,
+    project.escrowContractAddress,
+    project.tokenId
+  );
+  if (!accepted) {
+    throw new BidVerificationError(
+      "No BidAccepted event for this project in this transaction"
+    );
+  }
+
+  return {
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    bidIndex: accepted.bidIndex,
+    selectedBidder: accepted.selectedBidder,
+    amountWei: accepted.amountWei,
+    refunds,
+  };
+};
+
+module.exports = {
+  BidVerificationError,
+  getBidIndex,
+  getSettledBidIndexes,
+  verifyBidTransaction,
+  verifyBidAcceptance,
+};
@@ -0,0 +1,799 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const ChainCursor = require("../models/ChainCursor");
+const ChainEvent = require("../models/ChainEvent");
+const {
+  ESCROW_ABI,
+  OFFICE_ABI,
+  LENDING_POOL_ABI,
+  LENDING_REGISTRY_ABI,
+} = require("../utils/contractAbis");
+const { resolveCurrency } = require("../utils/currency");
+const { getBidIndex, getSettledBidIndexes } = require("./BidVerifier");
+const { recordBidAccepted, recordBidRefunded } = require("./BidSettlement");
+const {
+  verifyContractGeneration,
+  notifyVerifiedContract,
+} = require("./ContractVerifier");
+const {
+  isLendingConfigured,
+  getRegistry,
+  getPools,
+} = require("./LendingPools");
+const { alertLoanDefaulted } = require("./LoanMonitor");
+const {
+  recordRulingExecuted,
+  settleDisputeOnVerification,
+} = require("./Disputes");
+
+// Blocks are only indexed once they are CONFIRMATIONS deep, so notifications
+// are sent for confirmed events. Point the backend provider at a local
+// Hardhat/Anvil node and set INDEXER_CONFIRMATIONS=0 to test locally.
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS ?? 3);
+const MAX_BLOCK_RANGE = Number(process.env.INDEXER_MAX_BLOCK_RANGE) || 2000;
+const REORG_REWIND_BLOCKS = Number(process.env.INDEXER_REORG_REWIND) || 12;
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK) || 0;
+const MAX_HANDLER_ATTEMPTS =
+  Number(process.env.INDEXER_MAX_HANDLER_ATTEMPTS) || 5;
+const HANDLER_LEASE_MS = 5 * 60 * 1000;
+const RETRY_BATCH_SIZE = 100;
+// Every project is looked at again this often, in case an update was missed
+const FULL_CURSOR_SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+const escrowInterface = new ethers.utils.Interface(ESCROW_ABI);
+const officeInterface = new ethers.utils.Interface(OFFICE_ABI);
+const poolInterface = new ethers.utils.Interface(LENDING_POOL_ABI);
+const registryInterface = new ethers.utils.Interface(LENDING_REGISTRY_ABI);
+
+const TRACKED_EVENTS = {
+  escrow: [
+    "BidPlaced",
+    "BidAccepted",
+    "BidRefunded",
+    "PaymentReleased",
+    "OfficeRegistered",
+    "OfficeContractSet",
+  ],
+  office: [
+    "MerkleRootUpdated",
+    "BatchOperationCompleted",
+    "MilestoneCompleted",
+    "MilestoneVerified",
+    "DisputeResolved",
+  ],
+  pool: [
+    "Deposit",
+    "Withdrawal",
+    "TokenPriceUpdated",
+    "LoanApproved",
+    "LoanDisbursed",
+    "RepaymentReceived",
+    "DefaultProcessed",
+  ],
+  registry: [
+    "LoanRegistered",
+    "RepaymentRecorded",
+    "DefaultRecorded",
+    "InsuranceFundContribution",
+    "InsuranceClaimed",
+    "InsuranceFundWithdrawal",
+  ],
+};
+
+const interfaces = {
+  escrow: escrowInterface,
+  office: officeInterface,
+  pool: poolInterface,
+  registry: registryInterface,
+};
+
+const getInterface = (contractType) => interfaces[contractType];
+
+const getTopics = (contractType) => {
+  const iface = getInterface(contractType);
+  return [
+    TRACKED_EVENTS[contractType].map((name) => iface.getEventTopic(name)),
+  ];
+};
+
+let provider = null;
+let pollTimer = null;
+let isSyncing = false;
+let isRunning = false;
+// Between full scans, only projects updated since the last scan are looked at
+let lastCursorScanAt = null;
+let lastFullCursorScanAt = 0;
+let indexerFirstRunAt = null;
+
+const findUserByAddress = async (address) => {
+  if (!address) return null;
+  return User.findOne({
+    ethereumAddress: { $regex: `^${address}$`, $options: "i" },
+  });
+};
+
+const serializeArgs = (args) => {
+  const serialized = {};
+  Object.keys(args)
+    .filter((key) => isNaN(Number(key)))
+    .forEach((key) => {
+      const value = args[key];
+      serialized[key] = ethers.BigNumber.isBigNumber(value)
+        ? value.toString()
+        : value;
+    });
+  return serialized;
+};
+
+// The last block mined at or before the given time. Escrows and offices are
+// deployed after their project record is created, so indexing starts there
+// rather than at INDEXER_START_BLOCK for every new project.
+const findBlockAtTime = async (time) => {
+  const target = Math.floor(new Date(time).getTime() / 1000);
+  let low = START_BLOCK;
+  let high = await provider.getBlockNumber();
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp <= target) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+const getProjectStartBlock = (project) =>
+  project.createdAt ? findBlockAtTime(project.createdAt) : START_BLOCK;
+
+// When the first cursor was created, which is now on the first run
+const getIndexerFirstRunAt = async () => {
+  if (!indexerFirstRunAt) {
+    const oldest = await ChainCursor.findOne()
+      .sort({ createdAt: 1 })
+      .select("createdAt");
+    indexerFirstRunAt = oldest?.createdAt || new Date();
+  }
+  return indexerFirstRunAt;
+};
+
+// Projects created before the indexer first ran already had their
+// notifications sent and their SCORS seeded by scripts/seedScorsBaseline.js,
+// so their history is indexed as backfill. Only projects created since are
+// handled from their first block. Returns the head to backfill
+// up to, or null.
+const getProjectBackfillBlock = async (project) => {
+  const firstRunAt = await getIndexerFirstRunAt();
+  if (project.createdAt && project.createdAt >= firstRunAt) return null;
+  return provider.getBlockNumber();
+};
+
+const createCursor = (
+  contractAddress,
+  fields,
+  startBlock,
+  backfillUntilBlock = null
+) =>
+  ChainCursor.updateOne(
+    { contractAddress: contractAddress.toLowerCase() },
+    {
+      $setOnInsert: {
+        ...fields,
+        startBlock,
+        lastProcessedBlock: startBlock - 1,
+        backfillUntilBlock,
+      },
+    },
+    { upsert: true }
+  );
+
+const ensureProjectCursors = async (project) => {
+  const tokenId = project.tokenId.toString();
+  const escrowAddress = project.escrowContractAddress.toLowerCase();
+
+  const escrowCursor = await ChainCursor.findOne({
+    contractAddress: escrowAddress,
+  });
+  // Cursors from before startBlock was stored have none
+  let startBlock = escrowCursor?.startBlock;
+  if (!escrowCursor) {
+    startBlock = await getProjectStartBlock(project);
+    await createCursor(
+      escrowAddress,
+      { contractType: "escrow", projectTokenId: tokenId },
+      startBlock,
+      await getProjectBackfillBlock(project)
+    );
+  }
+
+  // Offices registered later are picked up from the escrow's
+  // OfficeRegistered events
+  const hasOfficeCursor = await ChainCursor.exists({
+    contractType: "office",
+    projectTokenId: tokenId,
+  });
+  if (hasOfficeCursor) return;
+
+  const escrow = new ethers.Contract(escrowAddress, ESCROW_ABI, provider);
+  const officeAddress = await escrow.getRegisteredOffice(tokenId);
+  if (officeAddress && officeAddress !== ethers.constants.AddressZero) {
+    await createCursor(
+      officeAddress,
+      { contractType: "office", projectTokenId: tokenId },
+      startBlock || (await getProjectStartBlock(project)),
+      await getProjectBackfillBlock(project)
+    );
+  }
+};
+
+// Make sure every project escrow, its office once registered, each lending
+// pool and the pool registry has a cursor. Between full scans only projects
+// updated since the last scan are looked at.
+const ensureCursors = async () => {
+  const scanStartedAt = new Date();
+  const isFullScan =
+    !lastCursorScanAt ||
+    scanStartedAt - lastFullCursorScanAt >= FULL_CURSOR_SCAN_INTERVAL_MS;
+  const filter = {
+    escrowContractAddress: { $exists: true, $ne: null },
+    tokenId: { $exists: true, $ne: null },
+  };
+  if (!isFullScan) filter.updatedAt = { $gte: lastCursorScanAt };
+
+  const projects = await Project.find(filter).select(
+    "tokenId escrowContractAddress createdAt"
+  );
+  let failed = false;
+  for (const project of projects) {
+    try {
+      await ensureProjectCursors(project);
+    } catch (error) {
+      failed = true;
+      console.error(
+        `Failed to create cursors for project ${project.tokenId}:`,
+        error
+      );
+    }
+  }
+  // Scan the same projects again next time if any of them failed
+  if (!failed) {
+    lastCursorScanAt = scanStartedAt;
+    if (isFullScan) lastFullCursorScanAt = scanStartedAt.getTime();
+  }
+
+  if (!isLendingConfigured()) return;
+  // The lending contracts' events before they are first indexed are history
+  try {
+    const head = await provider.getBlockNumber();
+    await createCursor(
+      getRegistry(provider).address,
+      { contractType: "registry" },
+      START_BLOCK,
+      head
+    );
+
+    const pools = await getPools(provider);
+    for (const pool of pools) {
+      await createCursor(
+        pool.address,
+        { contractType: "pool" },
+        START_BLOCK,
+        head
+      );
+    }
+  } catch (error) {
+    console.error("Failed to resolve lending pools:", error);
+  }
+};
+
+// If the block we last indexed is no longer canonical, rewind the cursor and
+// mark everything indexed above the new cursor as removed, so it is re-read
+// from the chain. Events that are still canonical come back with their
+// handled flag, so their notifications aren't sent again.
+const checkForReorg = async (cursor) => {
+  if (!cursor.lastProcessedHash || cursor.lastProcessedBlock < 0) return;
+
+  const block = await provider.getBlock(cursor.lastProcessedBlock);
+  if (block && block.hash === cursor.lastProcessedHash) return;
+
+  const rewindTo = Math.max(
+    cursor.lastProcessedBlock - REORG_REWIND_BLOCKS,
+    (cursor.startBlock ?? START_BLOCK) - 1
+  );
+  console.warn("Chain reorg detected, rewinding indexer cursor:", {
+    contractAddress: cursor.contractAddress,
+    from: cursor.lastProcessedBlock,
+    to: rewindTo,
+  });
+
+  await ChainEvent.updateMany(
+    { contractAddress: cursor.contractAddress, blockNumber: { $gt: rewindTo } },
+    { $set: { removed: true } }
+  );
+
+  const rewindBlock = rewindTo >= 0 ? await provider.getBlock(rewindTo) : null;
+  cursor.lastProcessedBlock = rewindTo;
+  cursor.lastProcessedHash = rewindBlock ? rewindBlock.hash : null;
+  await cursor.save();
+};
+
+// Starts indexing an office from the block its escrow registered it in
+const handleOfficeRegistered = async (chainEvent) => {
+  await createCursor(
+    chainEvent.args.officeContract,
+    { contractType: "office", projectTokenId: chainEvent.projectTokenId },
+    chainEvent.blockNumber
+  );
+};
+
+const handleBidPlaced = async (chainEvent, project) => {
+  const bidder = await findUserByAddress(chainEvent.args.bidder);
+  const currency = await resolveCurrency(
+    provider,
+    chainEvent.contractAddress,
+    chainEvent.args.currency
+  );
+  const { notifyProjectOwner } = require("../websocket");
+
+  await notifyProjectOwner(project.userId, {
+    projectId: project._id,
+    projectTitle: project.title,
+    tokenId: chainEvent.projectTokenId,
+    bidIndex: chainEvent.args.bidIndex,
+    amount: ethers.utils.formatUnits(chainEvent.args.amount, currency.decimals),
+    currency: currency.name,
+    bidderAddress: chainEvent.args.bidder,
+    userId: bidder ? bidder._id.toString() : null,
+    transactionHash: chainEvent.transactionHash,
+    blockNumber: chainEvent.blockNumber,
+  });
+};
+
+// The settlement events don't carry the bid index, and working it out needs
+// every settlement log in the transaction, so the receipt is read again
+const getSettledBidIndex = async (chainEvent) => {
+  const receipt = await provider.getTransactionReceipt(
+    chainEvent.transactionHash
+  );
+  const { accepted, refunds } = await getSettledBidIndexes(
+    provider,
+    receipt,
+    chainEvent.contractAddress,
+    chainEvent.projectTokenId
+  );
+  const settled = [accepted, ...refunds].find(
+    (bid) => bid && bid.logIndex === chainEvent.logIndex
+  );
+  if (!settled) {
+    throw new Error(
+      `No settled bid for log ${chainEvent.logIndex} of ${chainEvent.transactionHash}`
+    );
+  }
+  return settled.bidIndex;
+};
+
+const handleBidAccepted = async (chainEvent, project) => {
+  const bidder = await recordBidAccepted(project, {
+    bidIndex: await getSettledBidIndex(chainEvent),
+    selectedBidder: chainEvent.args.selectedBidder,
+    blockNumber: chainEvent.blockNumber,
+    transactionHash: chainEvent.transactionHash,
+  });
+  if (!bidder) {
+    console.warn(
+      "No user found for accepted bidder:",
+      chainEvent.args.selectedBidder
+    );
+    return;
+  }
+  const currency = await resolveCurrency(
+    provider,
+    chainEvent.contractAddress,
+    chainEvent.args.currency
+  );
+  const { notifyBidder } = require("../websocket");
+
+  await notifyBidder(bidder._id, {
+    projectId: project._id,
+    projectTitle: project.title,
+    projectOwnerId: project.userId,
+    tokenId: chainEvent.projectTokenId,
+    amount: ethers.utils.formatUnits(chainEvent.args.amount, currency.decimals),
+    currency: currency.name,
+    transactionHash: chainEvent.transactionHash,
+    bidAcceptedBlock: chainEvent.blockNumber,
+  });
+};
+
+const handleBidRefunded = async (chainEvent, project) => {
+  const bidder = await recordBidRefunded(project, {
+    bidIndex: await getSettledBidIndex(chainEvent),
+    bidder: chainEvent.args.bidder,
+    transactionHash: chainEvent.transactionHash,
+  });
+  if (!bidder) {
+    console.warn("No user found for refunded bidder:", chainEvent.args.bidder);
+    return;
+  }
+  const currency = await resolveCurrency(
+    provider,
+    chainEvent.contractAddress,
+    chainEvent.args.currency
+  );
+  const { notifyBidRefunded } = require("../websocket");
+
+  await notifyBidRefunded(bidder._id, {
+    projectId: project._id,
+    projectTitle: project.title,
+    tokenId: chainEvent.projectTokenId,
+    amount: ethers.utils.formatUnits(chainEvent.args.amount, currency.decimals),
+    currency: currency.name,
+    transactionHash: chainEvent.transactionHash,
+  });
+};
+
+// Milestone batches are what SCORS times contract creation by, so the
+// transaction is checked in full before anyone's score is touched.
+const handleBatchOperationCompleted = async (chainEvent, project) => {
+  const verified = await verifyContractGeneration(provider, {
+    transactionHash: chainEvent.transactionHash,
+    project,
+  });
+  await notifyVerifiedContract(project, verified);
+};
+
+const handleMilestoneCompleted = async (chainEvent, project) => {
+  if (!project.developerId) return;
+
+  const office = new ethers.Contract(
+    chainEvent.contractAddress,
+    OFFICE_ABI,
+    provider
+  );
+  const milestone = await office.getMilestoneData(chainEvent.args.milestoneId);
+  const { notifyMilestoneCompleted } = require("../websocket");
+
+  await notifyMilestoneCompleted(project.userId, project.developerId, {
+    projectId: project._id,
+    milestoneId: chainEvent.args.milestoneId,
+    title: `Milestone ${chainEvent.args.milestoneId}`,
+    completionPercentage: chainEvent.args.completionPercentage,
+    completionTime: chainEvent.blockTimestamp,
+    deadline: milestone.deadline.gt(0)
+      ? new Date(milestone.deadline.toNumber() * 1000)
+      : null,
+  });
+};
+
+const handleMilestoneVerified = async (chainEvent, project) => {
+  await settleDisputeOnVerification(
+    chainEvent.contractAddress,
+    chainEvent.args.milestoneId
+  );
+  if (!project.developerId) return;
+
+  const completedEvent = await ChainEvent.findOne({
+    contractAddress: chainEvent.contractAddress,
+    event: "MilestoneCompleted",
+    "args.milestoneId": chainEvent.args.milestoneId,
+  });
+  // The escrow keeps the milestone's currency after its payment is released
+  const escrow = new ethers.Contract(
+    project.escrowContractAddress,
+    ESCROW_ABI,
+    provider
+  );
+  const allocation = await escrow.getMilestoneAllocation(
+    chainEvent.projectTokenId,
+    chainEvent.args.milestoneId
+  );
+  const currency = await resolveCurrency(
+    provider,
+    project.escrowContractAddress,
+    allocation.currency
+  );
+  const { notifyMilestoneVerified } = require("../websocket");
+
+  await notifyMilestoneVerified(project.userId, project.developerId, {
+    projectId: project._id,
+    milestoneId: chainEvent.args.milestoneId,
+    title: `Milestone ${chainEvent.args.milestoneId}`,
+    completionTime: completedEvent ? completedEvent.blockTimestamp : null,
+    verificationTime: chainEvent.blockTimestamp,
+    payment: ethers.utils.formatUnits(
+      chainEvent.args.payment,
+      currency.decimals
+    ),
+    currency: currency.symbol,
+    transactionHash: chainEvent.transactionHash,
+  });
+};
+
+const handleDisputeResolved = async (chainEvent) => {
+  await recordRulingExecuted(
+    {
+      officeAddress: chainEvent.contractAddress,
+      milestoneId: chainEvent.args.milestoneId,
+    },
+    {
+      releasedToRecipient: chainEvent.args.releasedToRecipient,
+      transactionHash: chainEvent.transactionHash,
+      blockNumber: chainEvent.blockNumber,
+    }
+  );
+};
+
+const handleLoanDisbursed = async (chainEvent, project) => {
+  const { notifyLoanDisbursed } = require("../websocket");
+
+  await notifyLoanDisbursed(project.userId, {
+    projectId: project._id,
+    projectTitle: project.title,
+    tokenId: chainEvent.projectTokenId,
+    poolAddress: chainEvent.contractAddress,
+    escrow: chainEvent.args.escrow,
+    amount: ethers.utils.formatEther(chainEvent.args.amount),
+    transactionHash: chainEvent.transactionHash,
+  });
+};
+
+const handleDefaultProcessed = async (chainEvent, project) => {
+  const pool = new ethers.Contract(
+    chainEvent.contractAddress,
+    LENDING_POOL_ABI,
+    provider
+  );
+  const loan = await pool.getLoanDetails(chainEvent.projectTokenId);
+
+  await alertLoanDefaulted(project, loan.lendingManager, {
+    poolAddress: chainEvent.contractAddress,
+    amount: ethers.utils.formatEther(chainEvent.args.amount),
+    recovered: ethers.utils.formatEther(chainEvent.args.recovered),
+    transactionHash: chainEvent.transactionHash,
+  });
+};
+
+const eventHandlers = {
+  BidPlaced: handleBidPlaced,
+  BidAccepted: handleBidAccepted,
+  BidRefunded: handleBidRefunded,
+  OfficeRegistered: handleOfficeRegistered,
+  OfficeContractSet: handleOfficeRegistered,
+  BatchOperationCompleted: handleBatchOperationCompleted,
+  MilestoneCompleted: handleMilestoneCompleted,
+  MilestoneVerified: handleMilestoneVerified,
+  DisputeResolved: handleDisputeResolved,
+  LoanDisbursed: handleLoanDisbursed,
+  DefaultProcessed: handleDefaultProcessed,
+};
+
+// Runs the event's handler once across instances: the handler is leased
+// first and the event is marked handled once it succeeds. Failed handlers
+// are retried by retryUnhandledEvents, up to MAX_HANDLER_ATTEMPTS times.
+const handleChainEvent = async (chainEvent, project) => {
+  const now = new Date();
+  const claimed = await ChainEvent.findOneAndUpdate(
+    {
+      _id: chainEvent._id,
+      handled: false,
+      removed: false,
+      $or: [{ handlingUntil: null }, { handlingUntil: { $lt: now } }],
+    },
+    { $set: { handlingUntil: new Date(now.getTime() + HANDLER_LEASE_MS) } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  const eventProject =
+    project ||
+    (claimed.projectTokenId
+      ? await Project.findOne({ tokenId: claimed.projectTokenId })
+      : null);
+
+  try {
+    if (eventProject) {
+      await eventHandlers[claimed.event](claimed, eventProject);
+    }
+    await ChainEvent.updateOne(
+      { _id: claimed._id },
+      {
+        $set: { handled: true, handledAt: new Date() },
+        $unset: { handlingUntil: 1, lastHandleError: 1 },
+      }
+    );
+  } catch (error) {
+    console.error(`Error handling ${claimed.event} event:`, error);
+    await ChainEvent.updateOne(
+      { _id: claimed._id },
+      {
+        $inc: { handleAttempts: 1 },
+        $set: { lastHandleError: error.message },
+        $unset: { handlingUntil: 1 },
+      }
+    );
+  }
+};
+
+// Picks up events whose handler failed, or whose instance stopped before
+// the handler finished
+const retryUnhandledEvents = async () => {
+  const events = await ChainEvent.find({
+    handled: false,
+    removed: false,
+    handleAttempts: { $lt: MAX_HANDLER_ATTEMPTS },
+    $or: [{ handlingUntil: null }, { handlingUntil: { $lt: new Date() } }],
+  })
+    .sort({ blockNumber: 1, logIndex: 1 })
+    .limit(RETRY_BATCH_SIZE);
+
+  for (const chainEvent of events) {
+    await handleChainEvent(chainEvent, null);
+  }
+};
+
+const syncCursor = async (cursor, safeHead) => {
+  await checkForReorg(cursor);
+
+  const fromBlock = cursor.lastProcessedBlock + 1;
+  const toBlock = Math.min(safeHead, fromBlock + MAX_BLOCK_RANGE - 1);
+  if (fromBlock > toBlock) return;
+
+  const logs = await provider.getLogs({
+    address: cursor.contractAddress,
+    fromBlock,
+    toBlock,
+    topics: getTopics(cursor.contractType),
+  });
+
+  const iface = getInterface(cursor.contractType);
+  const parsedLogs = logs
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((log) => ({ log, parsedLog: iface.parseLog(log) }));
+
+  const project =
+    parsedLogs.length && cursor.projectTokenId
+      ? await Project.findOne({ tokenId: cursor.projectTokenId })
+      : null;
+  const blockTimestamps = new Map();
+
+  for (const { log, parsedLog } of parsedLogs) {
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimestamps.set(log.blockNumber, new Date(block.timestamp * 1000));
+    }
+
+    const args = serializeArgs(parsedLog.args);
+    if (parsedLog.name === "BidPlaced") {
+      args.bidIndex = await getBidIndex(provider, cursor.contractAddress, log);
+    }
+
+    // Pool and registry events carry the project they concern, when they
+    // concern one
+    const projectTokenId = cursor.projectTokenId || args.projectId;
+    const backfilled =
+      cursor.backfillUntilBlock != null &&
+      log.blockNumber <= cursor.backfillUntilBlock;
+
+    // Keyed on (transactionHash, logIndex): an event indexed again after a
+    // reorg updates its block and keeps whether it was handled
+    let chainEvent;
+    try {
+      chainEvent = await ChainEvent.findOneAndUpdate(
+        { transactionHash: log.transactionHash, logIndex: log.logIndex },
+        {
+          $set: {
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            blockTimestamp: blockTimestamps.get(log.blockNumber),
+            removed: false,
+          },
+          $setOnInsert: {
+            contractAddress: cursor.contractAddress,
+            contractType: cursor.contractType,
+            projectTokenId,
+            event: parsedLog.name,
+            args,
+            handled: backfilled || !eventHandlers[parsedLog.name],
+            backfilled,
+            handleAttempts: 0,
+          },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another instance indexed it at the same moment
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    if (!chainEvent.handled) {
+      await handleChainEvent(chainEvent, project);
+    }
+  }
+
+  // Whatever a reorg removed from this range and wasn't mined again. Handled
+  // events stay behind as removed, so they aren't handled twice.
+  await ChainEvent.deleteMany({
+    contractAddress: cursor.contractAddress,
+    removed: true,
+    handled: false,
+    blockNumber: { $lte: toBlock },
+  });
+
+  const lastBlock = await provider.getBlock(toBlock);
+  cursor.lastProcessedBlock = toBlock;
+  cursor.lastProcessedHash = lastBlock.hash;
+  await cursor.save();
+};
+
+const syncAll = async () => {
+  if (isSyncing) return;
+  isSyncing = true;
+
+  try {
+    const head = await provider.getBlockNumber();
+    const safeHead = head - CONFIRMATIONS;
+    if (safeHead < 0) return;
+
+    await retryUnhandledEvents();
+    await ensureCursors();
+
+    const cursors = await ChainCursor.find({});
+    for (const cursor of cursors) {
+      try {
+        await syncCursor(cursor, safeHead);
+      } catch (error) {
+        console.error(
+          `Indexer failed for ${cursor.contractType} ${cursor.contractAddress}:`,
+          error
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Chain indexer sync error:", error);
+  } finally {
+    isSyncing = false;
+  }
+};
+
+const scheduleNextSync = () => {
+  if (!isRunning) return;
+  pollTimer = setTimeout(async () => {
+    await syncAll();
+    scheduleNextSync();
+  }, POLL_INTERVAL_MS);
+};
+
+const startChainIndexer = (chainProvider) => {
+  if (isRunning) return;
+  if (!chainProvider) {
+    throw new Error("startChainIndexer requires a provider");
+  }
+
+  provider = chainProvider;
+  isRunning = true;
+  console.log("Chain event indexer started:", {
+    confirmations: CONFIRMATIONS,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    startBlock: START_BLOCK,
+  });
+
+  syncAll().then(scheduleNextSync);
+};
+
+const stopChainIndexer = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startChainIndexer,
+  stopChainIndexer,
+  syncAll,
+};
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const BidTransaction = require("../models/BidTransaction");
+const ChatModeration = require("../models/ChatModeration");
+
+const NO_ACCESS = { allowed: false, role: null };
+
+const hasRecordedBid = (project, userId) =>
+  BidTransaction.exists({
+    tokenId: project.tokenId.toString(),
+    userId,
+    status: "recorded",
+  });
+
+// Each project has a main chat, private to the owner and the assigned
+// developer, and a negotiation thread per bidder, private to the owner and
+// that bidder, so competing bidders never see each other's terms. bidderId
+// picks the thread; bidders always get their own. While no developer is
+// assigned, developers with a recorded bid can use their thread, and the
+// developer who is assigned keeps theirs. Admins can always read, write and
+// moderate. The returned bidderId is the thread, or null for the main chat.
+const getChatAccess = async (userId, projectId, bidderId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return { ...NO_ACCESS, projectFound: false };
+  }
+
+  const [project, user] = await Promise.all([
+    Project.findById(projectId).select("userId developerId tokenId"),
+    User.findById(userId).select("role"),
+  ]);
+  if (!project) {
+    return { ...NO_ACCESS, projectFound: false };
+  }
+
+  const access = (role, thread = bidderId) => ({
+    allowed: true,
+    role,
+    projectFound: true,
+    bidderId: thread,
+  });
+  const denied = { ...NO_ACCESS, projectFound: true };
+
+  if (user?.role === "admin") return access("admin");
+  if (project.userId?.toString() === userId) {
+    if (!bidderId) return access("owner");
+    return project.tokenId && (await hasRecordedBid(project, bidderId))
+      ? access("owner")
+      : denied;
+  }
+  if (project.developerId?.toString() === userId) {
+    return !bidderId || bidderId === userId ? access("developer") : denied;
+  }
+
+  if (bidderId && bidderId !== userId) return denied;
+  if (!project.developerId && project.tokenId) {
+    if (await hasRecordedBid(project, userId)) return access("bidder", userId);
+  }
+
+  return denied;
+};
+
+const isMutedInChat = async (projectId, userId) => {
+  const latest = await ChatModeration.findOne({
+    projectId,
+    targetUserId: userId,
+    action: { $in: ["mute", "unmute"] },
+  }).sort({ createdAt: -1 });
+
+  if (!latest || latest.action === "unmute") return false;
+  return !latest.expiresAt || latest.expiresAt > new Date();
+};
+
+module.exports = {
+  getChatAccess,
+  isMutedInChat,
+};
@@ -0,0 +1,54 @@
+const ChatMessage = require("../models/ChatMessage");
+
+const CHAT_HISTORY_PAGE_SIZE = 30;
+const CHAT_HISTORY_MAX_PAGE_SIZE = 100;
+
+// Deleted messages keep their place in the history but lose their content
+const toChatMessageFrame = (chatMessage) => ({
+  _id: chatMessage._id,
+  bidderId: chatMessage.bidderId || null,
+  sender: chatMessage.sender,
+  content: chatMessage.deletedAt ? null : chatMessage.content,
+  isAIMessage: chatMessage.isAIMessage,
+  clientId: chatMessage.clientId,
+  timestamp: chatMessage.timestamp,
+  editedAt: chatMessage.editedAt,
+  deleted: !!chatMessage.deletedAt,
+});
+
+// One page of a project's main chat, or of a bidder's thread, oldest first
+// and ending before the `before` message when given. Shared by the /ws
+// fetchHistory frame and the /api/chat routes; callers check access first.
+const fetchChatHistory = async ({
+  projectId,
+  bidderId = null,
+  before = null,
+  limit,
+}) => {
+  const pageSize = Math.min(
+    Math.max(Number(limit) || CHAT_HISTORY_PAGE_SIZE, 1),
+    CHAT_HISTORY_MAX_PAGE_SIZE
+  );
+  const query = { projectId, bidderId };
+  if (before) {
+    query._id = { $lt: before };
+  }
+
+  const page = await ChatMessage.find(query)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .lean();
+  const hasMore = page.length > pageSize;
+  const messages = page.slice(0, pageSize).reverse();
+
+  return {
+    messages: messages.map(toChatMessageFrame),
+    nextCursor: hasMore ? messages[0]._id : null,
+    hasMore,
+  };
+};
+
+module.exports = {
+  toChatMessageFrame,
+  fetchChatHistory,
+};
@@ -0,0 +1,217 @@
+const { ethers } = require("ethers");
+const User = require("../models/User");
+const ChainEvent = require("../models/ChainEvent");
+const { ESCROW_ABI, OFFICE_ABI } = require("../utils/contractAbis");
+
+const REQUIRED_CONFIRMATIONS =
+  Number(process.env.CONTRACT_REQUIRED_CONFIRMATIONS) || 1;
+
+const escrowInterface = new ethers.utils.Interface(ESCROW_ABI);
+const officeInterface = new ethers.utils.Interface(OFFICE_ABI);
+const BID_ACCEPTED_TOPIC = escrowInterface.getEventTopic("BidAccepted");
+const BATCH_COMPLETED_TOPIC = officeInterface.getEventTopic(
+  "BatchOperationCompleted"
+);
+
+class ContractVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ContractVerificationError";
+    this.statusCode = statusCode;
+  }
+}
+
+// The block the project's bid was accepted in. Prefers the indexed event, and
+// otherwise only trusts the stored block once its BidAccepted log is found
+// on-chain.
+const getBidAcceptedEvent = async (provider, project, beforeBlock) => {
+  const escrowAddress = project.escrowContractAddress.toLowerCase();
+  const tokenId = project.tokenId.toString();
+
+  const indexed = await ChainEvent.findOne({
+    contractAddress: escrowAddress,
+    event: "BidAccepted",
+    projectTokenId: tokenId,
+    blockNumber: { $lte: beforeBlock },
+  }).sort({ blockNumber: -1 });
+  if (indexed) {
+    return {
+      blockNumber: indexed.blockNumber,
+      selectedBidder: indexed.args.selectedBidder,
+    };
+  }
+
+  if (!project.bidAcceptedBlock || project.bidAcceptedBlock > beforeBlock) {
+    return null;
+  }
+  const logs = await provider.getLogs({
+    address: escrowAddress,
+    fromBlock: project.bidAcceptedBlock,
+    toBlock: project.bidAcceptedBlock,
+    topics: [
+      BID_ACCEPTED_TOPIC,
+      ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32),
+    ],
+  });
+  if (!logs.length) return null;
+
+  const { args } = escrowInterface.parseLog(logs[logs.length - 1]);
+  return {
+    blockNumber: logs[logs.length - 1].blockNumber,
+    selectedBidder: args.selectedBidder,
+  };
+};
+
+/**
+ * Confirms that a transaction is a successful batchCreateMilestonesAndAllocate
+ * call on the project's registered office, made after the bid was accepted.
+ * Returns the block numbers SCORS uses, read from the chain rather than from
+ * the client. Throws ContractVerificationError otherwise.
+ */
+const verifyContractGeneration = async (
+  provider,
+  { transactionHash, project }
+) => {
+  if (!ethers.utils.isHexString(transactionHash, 32)) {
+    throw new ContractVerificationError("Invalid transaction hash");
+  }
+  if (!project.escrowContractAddress || !project.tokenId) {
+    throw new ContractVerificationError("Project has no escrow on-chain");
+  }
+
+  const [transaction, receipt] = await Promise.all([
+    provider.getTransaction(transactionHash),
+    provider.getTransactionReceipt(transactionHash),
+  ]);
+  if (!transaction || !receipt) {
+    throw new ContractVerificationError(
+      "Transaction has not been mined yet",
+      409
+    );
+  }
+  if (receipt.status !== 1) {
+    throw new ContractVerificationError("Transaction reverted on-chain");
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  const confirmations = currentBlock - receipt.blockNumber + 1;
+  if (confirmations < REQUIRED_CONFIRMATIONS) {
+    throw new ContractVerificationError(
+      `Transaction needs ${REQUIRED_CONFIRMATIONS} confirmations, has ${confirmations}`,
+      409
+    );
+  }
+
+  const escrow = new ethers.Contract(
+    project.escrowContractAddress,
+    ESCROW_ABI,
+    provider
+  );
+  const officeAddress = await escrow.getRegisteredOffice(project.tokenId, {
+    blockTag: receipt.blockNumber,
+  });
+  if (
+    !transaction.to ||
+    transaction.to.toLowerCase() !== officeAddress.toLowerCase()
+  ) {
+    throw new ContractVerificationError(
+      "Transaction was not sent to the project's office contract"
+    );
+  }
+
+  let call;
+  try {
+    call = officeInterface.parseTransaction({
+      data: transaction.data,
+      value: transaction.value,
+    });
+  } catch (error) {
+    call = null;
+  }
+  if (!call || call.name !== "batchCreateMilestonesAndAllocate") {
+    throw new ContractVerificationError(
+      "Transaction is not a batchCreateMilestonesAndAllocate call"
+    );
+  }
+
+  const batchLog = receipt.logs.find(
+    (log) =>
+      log.address.toLowerCase() === officeAddress.toLowerCase() &&
+      log.topics[0] === BATCH_COMPLETED_TOPIC
+  );
+  if (!batchLog) {
+    throw new ContractVerificationError(
+      "No BatchOperationCompleted event in this transaction"
+    );
+  }
+  const { args } = officeInterface.parseLog(batchLog);
+  if (args.tokenId.toString() !== project.tokenId.toString()) {
+    throw new ContractVerificationError(
+      "Milestones were created for a different project"
+    );
+  }
+
+  const bidAccepted = await getBidAcceptedEvent(
+    provider,
+    project,
+    receipt.blockNumber
+  );
+  if (!bidAccepted) {
+    throw new ContractVerificationError(
+      "No accepted bid found on-chain before this transaction",
+      409
+    );
+  }
+
+  return {
+    transactionHash: receipt.transactionHash,
+    officeAddress: officeAddress.toLowerCase(),
+    tokenId: project.tokenId.toString(),
+    bidAcceptedBlock: bidAccepted.blockNumber,
+    contractCreationBlock: receipt.blockNumber,
+    selectedBidder: bidAccepted.selectedBidder,
+    batchLog,
+    batchArgs: {
+      tokenId: args.tokenId.toString(),
+      totalMilestones: args.totalMilestones.toString(),
+      newMerkleRoot: args.newMerkleRoot,
+      timestamp: args.timestamp.toString(),
+    },
+  };
+};
+
+// Sends CONTRACT_GENERATED and the SCORS updates for a verified batch.
+const notifyVerifiedContract = async (project, verified) => {
+  let developerId = project.developerId;
+  if (!developerId) {
+    const developer = await User.findOne({
+      ethereumAddress: {
+        $regex: `^${verified.selectedBidder}$`,
+        $options: "i",
+      },
+    }).select("_id");
+    developerId = developer?._id;
+  }
+  if (!developerId) {
+    console.warn("No developer found for verified contract:", {
+      tokenId: verified.tokenId,
+      selectedBidder: verified.selectedBidder,
+    });
+    return;
+  }
+
+  const { notifyContractGenerated } = require("../websocket");
+  await notifyContractGenerated(project.userId, developerId, {
+    projectId: project._id,
+    bidAcceptedBlock: verified.bidAcceptedBlock,
+    contractCreationBlock: verified.contractCreationBlock,
+    transactionHash: verified.transactionHash,
+  });
+};
+
+module.exports = {
+  ContractVerificationError,
+  getBidAcceptedEvent,
+  verifyContractGeneration,
+  notifyVerifiedContract,
+};
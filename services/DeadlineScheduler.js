@@ -0,0 +1,297 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const ChainEvent = require("../models/ChainEvent");
+const Dispute = require("../models/Dispute");
+const DeadlineAlert = require("../models/DeadlineAlert");
+const { ESCROW_ABI, OFFICE_ABI } = require("../utils/contractAbis");
+const { checkAllLoans } = require("./LoanMonitor");
+const { supportsDisputes } = require("./Disputes");
+
+// Deadlines don't emit anything on-chain, so every run reads each project's
+// milestones and works out which reminders and escalations are due. The
+// schedule is derived from the chain on each run and each alert is claimed
+// through DeadlineAlert before it is sent, so a restart picks up where the
+// last run left off and multiple instances never send the same alert twice.
+// An alert whose send failed is retried on later runs while it is still due,
+// up to MAX_ALERT_ATTEMPTS.
+//
+// A completed milestone the owner hasn't verified is escalated to the owner
+// after DEADLINE_OWNER_ESCALATION_DAYS, then to admins after
+// DEADLINE_ADMIN_ESCALATION_DAYS. Disputed milestones are left to the
+// dispute. Loan repayment deadlines are checked on the same run.
+const POLL_INTERVAL_MS =
+  Number(process.env.DEADLINE_SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000;
+const REMINDER_LEAD_SECONDS =
+  (Number(process.env.DEADLINE_REMINDER_HOURS) || 48) * 60 * 60;
+const OWNER_ESCALATION_SECONDS =
+  (Number(process.env.DEADLINE_OWNER_ESCALATION_DAYS) || 3) * 24 * 60 * 60;
+const ADMIN_ESCALATION_SECONDS =
+  (Number(process.env.DEADLINE_ADMIN_ESCALATION_DAYS) || 7) * 24 * 60 * 60;
+const MAX_ALERT_ATTEMPTS = 5;
+// A run that dies mid-send leaves its claim to expire
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+let provider = null;
+let pollTimer = null;
+let isChecking = false;
+let isRunning = false;
+
+// Returns the alert to the one caller that gets to send it: whoever creates
+// it, or later whoever picks it up again after a failed send. Null if it was
+// sent, given up on, or is being sent elsewhere.
+const claimAlert = async (alert) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + SEND_LOCK_MS);
+  try {
+    return await DeadlineAlert.create({
+      ...alert,
+      status: "sending",
+      lockedUntil,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  return DeadlineAlert.findOneAndUpdate(
+    {
+      ...alert,
+      $or: [
+        { status: "pending" },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    { $set: { status: "sending", lockedUntil } },
+    { new: true }
+  );
+};
+
+// Sent, or back to pending for the next run, or failed on the last attempt
+const recordAttempt = async (claimed, error) => {
+  const attempts = claimed.attempts + 1;
+  const update = error
+    ? {
+        status: attempts >= MAX_ALERT_ATTEMPTS ? "failed" : "pending",
+        lastError: error.message,
+      }
+    : { status: "sent", sentAt: new Date() };
+  await DeadlineAlert.updateOne(
+    { _id: claimed._id, status: "sending" },
+    { $set: { ...update, attempts }, $unset: { lockedUntil: "" } }
+  );
+};
+
+// Completion time comes from the indexed MilestoneCompleted event, so
+// escalations wait for the indexer to have seen it
+const getCompletionTime = async (officeAddress, milestoneId) => {
+  const completedEvent = await ChainEvent.findOne({
+    contractAddress: officeAddress.toLowerCase(),
+    event: "MilestoneCompleted",
+    "args.milestoneId": milestoneId,
+  }).select("blockTimestamp");
+  return completedEvent
+    ? Math.floor(completedEvent.blockTimestamp.getTime() / 1000)
+    : null;
+};
+
+// Returns the alerts due for one milestone at chain time now
+const getDueAlerts = async (officeAddress, milestone, now) => {
+  const milestoneId = milestone.id.toString();
+  const deadline = milestone.deadline.toNumber();
+
+  if (!milestone.completed) {
+    if (!deadline) return [];
+    if (now > deadline) {
+      return [{ kind: "deadline_overdue", dueAt: deadline }];
+    }
+    if (now >= deadline - REMINDER_LEAD_SECONDS) {
+      return [{ kind: "deadline_upcoming", dueAt: deadline }];
+    }
+    return [];
+  }
+
+  if (milestone.verified) return [];
+  const completedAt = await getCompletionTime(officeAddress, milestoneId);
+  if (!completedAt || now - completedAt < OWNER_ESCALATION_SECONDS) return [];
+
+  const disputed = await Dispute.exists({
+    officeAddress: officeAddress.toLowerCase(),
+    milestoneId,
+    active: true,
+  });
+  if (disputed) return [];
+
+  const alerts = [{ kind: "verification_owner", dueAt: completedAt }];
+  if (now - completedAt >= ADMIN_ESCALATION_SECONDS) {
+    alerts.push({ kind: "verification_admin", dueAt: completedAt });
+  }
+  return alerts;
+};
+
+const sendAlert = async (project, milestone, alert) => {
+  const {
+    notifyMilestoneDeadline,
+    notifyMilestoneEscalated,
+  } = require("../websocket");
+  const details = {
+    projectId: project._id,
+    projectTitle: project.title,
+    tokenId: project.tokenId.toString(),
+    milestoneId: milestone.id.toString(),
+    kind: alert.kind,
+  };
+
+  switch (alert.kind) {
+    case "deadline_upcoming":
+      await notifyMilestoneDeadline([project.developerId], {
+        ...details,
+        deadline: new Date(alert.dueAt * 1000),
+      });
+      break;
+    case "deadline_overdue":
+      await notifyMilestoneDeadline([project.developerId, project.userId], {
+        ...details,
+        deadline: new Date(alert.dueAt * 1000),
+      });
+      break;
+    case "verification_owner":
+      await notifyMilestoneEscalated([project.userId], {
+        ...details,
+        completionTime: new Date(alert.dueAt * 1000),
+      });
+      break;
+    case "verification_admin": {
+      const admins = await User.find({ role: "admin" }).select("_id").lean();
+      await notifyMilestoneEscalated(
+        admins.map((admin) => admin._id),
+        { ...details, completionTime: new Date(alert.dueAt * 1000) }
+      );
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+const checkProjectMilestones = async (project, now) => {
+  const officeAddress = await new ethers.Contract(
+    project.escrowContractAddress,
+    ESCROW_ABI,
+    provider
+  ).getRegisteredOffice(project.tokenId.toString());
+  if (officeAddress === ethers.constants.AddressZero) return;
+
+  const office = new ethers.Contract(officeAddress, OFFICE_ABI, provider);
+  const [milestoneCount, hasDisputes] = await Promise.all([
+    office.milestoneCounter(),
+    supportsDisputes(office),
+  ]);
+
+  for (let id = 1; id <= milestoneCount.toNumber(); id++) {
+    // Only offices with disputes can have refunded a milestone
+    const [milestone, refunded] = await Promise.all([
+      office.getMilestoneData(id),
+      hasDisputes && office.refundedMilestones(id),
+    ]);
+    if (refunded) continue;
+
+    for (const alert of await getDueAlerts(officeAddress, milestone, now)) {
+      const claimed = await claimAlert({
+        projectId: project._id,
+        officeAddress: officeAddress.toLowerCase(),
+        milestoneId: milestone.id.toString(),
+        kind: alert.kind,
+        dueAt: new Date(alert.dueAt * 1000),
+      });
+      if (!claimed) continue;
+
+      let sendError = null;
+      try {
+        await sendAlert(project, milestone, alert);
+      } catch (error) {
+        console.error(
+          `Deadline alert ${alert.kind} for milestone ${id} of project ${project.tokenId} failed:`,
+          error
+        );
+        sendError = error;
+      }
+      await recordAttempt(claimed, sendError);
+    }
+  }
+};
+
+const checkAllMilestones = async (now) => {
+  const cursor = Project.find({
+    tokenId: { $exists: true, $ne: null },
+    escrowContractAddress: { $exists: true, $ne: null },
+    developerId: { $exists: true, $ne: null },
+  })
+    .select("title tokenId userId developerId escrowContractAddress")
+    .lean()
+    .cursor();
+
+  for await (const project of cursor) {
+    try {
+      await checkProjectMilestones(project, now);
+    } catch (error) {
+      console.error(
+        `Deadline check failed for project ${project.tokenId}:`,
+        error
+      );
+    }
+  }
+};
+
+const runDeadlineChecks = async () => {
+  if (isChecking) return;
+  isChecking = true;
+
+  try {
+    // Deadlines are compared to chain time, as the contracts do
+    const { timestamp: now } = await provider.getBlock("latest");
+    await checkAllMilestones(now);
+    await checkAllLoans(provider, now);
+  } catch (error) {
+    console.error("Deadline scheduler error:", error);
+  } finally {
+    isChecking = false;
+  }
+};
+
+const scheduleNextCheck = () => {
+  if (!isRunning) return;
+  pollTimer = setTimeout(async () => {
+    await runDeadlineChecks();
+    scheduleNextCheck();
+  }, POLL_INTERVAL_MS);
+};
+
+const startDeadlineScheduler = (chainProvider) => {
+  if (isRunning) return;
+  if (!chainProvider) {
+    throw new Error("startDeadlineScheduler requires a provider");
+  }
+
+  provider = chainProvider;
+  isRunning = true;
+  console.log("Deadline scheduler started:", {
+    pollIntervalMs: POLL_INTERVAL_MS,
+    reminderLeadSeconds: REMINDER_LEAD_SECONDS,
+    ownerEscalationSeconds: OWNER_ESCALATION_SECONDS,
+    adminEscalationSeconds: ADMIN_ESCALATION_SECONDS,
+  });
+
+  runDeadlineChecks().then(scheduleNextCheck);
+};
+
+const stopDeadlineScheduler = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  startDeadlineScheduler,
+  stopDeadlineScheduler,
+};
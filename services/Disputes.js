@@ -0,0 +1,480 @@
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
+const Dispute = require("../models/Dispute");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const { ESCROW_ABI, OFFICE_ABI } = require("../utils/contractAbis");
+
+const MAX_EVIDENCE_FILES = 10;
+const MAX_TEXT_LENGTH = 5000;
+// First office version with resolveDispute and refundedMilestones
+const DISPUTES_OFFICE_VERSION = 2;
+
+class DisputeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "DisputeError";
+    this.statusCode = statusCode;
+  }
+}
+
+const getRevertReason = (error) =>
+  error.reason || error.error?.message || error.message;
+
+/**
+ * The office's OFFICE_VERSION. Offices deployed before it was added revert
+ * on the call and are version 1; any other error is thrown.
+ */
+const getOfficeVersion = async (office) => {
+  try {
+    return (await office.OFFICE_VERSION()).toNumber();
+  } catch (error) {
+    if (error.code === "CALL_EXCEPTION") return 1;
+    throw error;
+  }
+};
+
+const supportsDisputes = async (office) =>
+  (await getOfficeVersion(office)) >= DISPUTES_OFFICE_VERSION;
+
+const requireText = (value, name) => {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new DisputeError(`${name} is required`);
+  }
+  if (value.length > MAX_TEXT_LENGTH) {
+    throw new DisputeError(
+      `${name} must be at most ${MAX_TEXT_LENGTH} characters`
+    );
+  }
+  return value.trim();
+};
+
+// Evidence files are uploaded through /api/upload first and referenced here
+// by the URL it returned
+const parseFiles = (files = []) => {
+  if (!Array.isArray(files) || files.length > MAX_EVIDENCE_FILES) {
+    throw new DisputeError(`Attach at most ${MAX_EVIDENCE_FILES} files`);
+  }
+  return files.map((file) => {
+    if (!file || !/^https?:\/\//i.test(String(file.url || ""))) {
+      throw new DisputeError("Each file needs the URL /api/upload returned");
+    }
+    return { url: String(file.url), name: String(file.name || "") };
+  });
+};
+
+const partyRole = (dispute, userId) => {
+  if (dispute.developerId.toString() === userId.toString()) return "developer";
+  if (dispute.ownerId.toString() === userId.toString()) return "owner";
+  return null;
+};
+
+const findDispute = async (disputeId) => {
+  const dispute = mongoose.Types.ObjectId.isValid(disputeId)
+    ? await Dispute.findById(disputeId)
+    : null;
+  if (!dispute) {
+    throw new DisputeError("Dispute not found", 404);
+  }
+  return dispute;
+};
+
+const notifyParties = async (dispute, userIds, message) => {
+  const { notifyDisputeUpdate } = require("../websocket");
+  await notifyDisputeUpdate(userIds, {
+    disputeId: dispute._id,
+    projectId: dispute.projectId,
+    milestoneId: dispute.milestoneId,
+    status: dispute.status,
+    message,
+  });
+};
+
+/**
+ * Opens a dispute for the project's developer over a milestone they have
+ * completed on-chain and the owner hasn't verified. Admins are notified so
+ * one can take it up.
+ */
+const openDispute = async (
+  provider,
+  userId,
+  { projectId, milestoneId, reason }
+) => {
+  const project = mongoose.Types.ObjectId.isValid(projectId)
+    ? await Project.findById(projectId).select(
+        "title tokenId userId developerId escrowContractAddress"
+      )
+    : null;
+  if (!project) {
+    throw new DisputeError("Project not found", 404);
+  }
+  if (
+    !project.developerId ||
+    project.developerId.toString() !== userId.toString()
+  ) {
+    throw new DisputeError(
+      "Only the project's developer can open a dispute",
+      403
+    );
+  }
+  if (!project.escrowContractAddress || !project.tokenId) {
+    throw new DisputeError("Project has no escrow on-chain");
+  }
+  const disputeReason = requireText(reason, "A reason");
+
+  const escrow = new ethers.Contract(
+    project.escrowContractAddress,
+    ESCROW_ABI,
+    provider
+  );
+  const officeAddress = await escrow.getRegisteredOffice(project.tokenId);
+  if (officeAddress === ethers.constants.AddressZero) {
+    throw new DisputeError("Project has no office contract yet");
+  }
+  const office = new ethers.Contract(officeAddress, OFFICE_ABI, provider);
+  if (!(await supportsDisputes(office))) {
+    throw new DisputeError(
+      "This project's office was deployed before disputes and can't execute a ruling",
+      409
+    );
+  }
+
+  let milestone;
+  try {
+    milestone = await office.getMilestoneData(milestoneId);
+  } catch (error) {
+    throw new DisputeError("Milestone not found", 404);
+  }
+  if (milestone.id.isZero()) {
+    throw new DisputeError("Milestone not found", 404);
+  }
+  if (!milestone.completed) {
+    throw new DisputeError("Only completed milestones can be disputed");
+  }
+  if (milestone.verified) {
+    throw new DisputeError("This milestone has already been verified", 409);
+  }
+
+  let dispute;
+  try {
+    dispute = await Dispute.create({
+      projectId: project._id,
+      projectTokenId: project.tokenId.toString(),
+      officeAddress,
+      milestoneId: milestone.id.toString(),
+      developerId: project.developerId,
+      ownerId: project.userId,
+      reason: disputeReason,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DisputeError("This milestone is already in dispute", 409);
+    }
+    throw error;
+  }
+
+  const admins = await User.find({ role: "admin" }).select("_id").lean();
+  await notifyParties(
+    dispute,
+    [project.userId, ...admins.map((admin) => admin._id)],
+    `A dispute was opened over milestone #${dispute.milestoneId} of "${project.title}"`
+  );
+  return dispute;
+};
+
+const addEvidence = async (userId, disputeId, { description, files }) => {
+  const dispute = await findDispute(disputeId);
+  const role = partyRole(dispute, userId);
+  if (!role) {
+    throw new DisputeError("Only the parties can submit evidence", 403);
+  }
+  const entry = {
+    submittedBy: userId,
+    role,
+    description: requireText(description, "A description"),
+    files: parseFiles(files),
+  };
+
+  // Evidence closes once a ruling has been issued
+  const updated = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: "open" },
+    { $push: { evidence: entry } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new DisputeError("This dispute is no longer open", 409);
+  }
+
+  await notifyParties(
+    updated,
+    [role === "developer" ? updated.ownerId : updated.developerId],
+    `New evidence was submitted in the dispute over milestone #${updated.milestoneId}`
+  );
+  return updated;
+};
+
+const withdrawDispute = async (userId, disputeId) => {
+  const dispute = await findDispute(disputeId);
+  if (partyRole(dispute, userId) !== "developer") {
+    throw new DisputeError("Only the developer can withdraw a dispute", 403);
+  }
+  const updated = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: "open" },
+    { $set: { status: "withdrawn", active: false, closedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new DisputeError("This dispute is no longer open", 409);
+  }
+
+  await notifyParties(
+    updated,
+    [updated.ownerId],
+    `The dispute over milestone #${updated.milestoneId} was withdrawn`
+  );
+  return updated;
+};
+
+// Parties and admins only
+const getDispute = async (userId, disputeId, isAdmin) => {
+  const dispute = await findDispute(disputeId);
+  if (!isAdmin && !partyRole(dispute, userId)) {
+    throw new DisputeError("You are not a party to this dispute", 403);
+  }
+  return dispute;
+};
+
+const listDisputes = async ({
+  userId,
+  isAdmin,
+  status,
+  projectId,
+  page,
+  limit,
+}) => {
+  const filter = isAdmin
+    ? {}
+    : { $or: [{ developerId: userId }, { ownerId: userId }] };
+  if (status) filter.status = String(status);
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      throw new DisputeError("Invalid project id");
+    }
+    filter.projectId = projectId;
+  }
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-evidence")
+      .populate("projectId", "title tokenId")
+      .lean(),
+    Dispute.countDocuments(filter),
+  ]);
+  return { disputes, total, page, limit };
+};
+
+/**
+ * Closes an executing dispute once its ruling is on-chain, and notifies and
+ * scores both parties. Shared by issueRuling and the indexer's
+ * DisputeResolved handler, so whichever sees the transaction first records
+ * it. A ruling made on-chain outside the app is recorded from the event.
+ */
+const recordRulingExecuted = async (
+  { officeAddress, milestoneId },
+  { releasedToRecipient, transactionHash, blockNumber }
+) => {
+  const now = new Date();
+  const dispute = await Dispute.findOneAndUpdate(
+    {
+      officeAddress: officeAddress.toLowerCase(),
+      milestoneId: milestoneId.toString(),
+      active: true,
+    },
+    {
+      $set: {
+        status: "resolved",
+        active: false,
+        transactionHash,
+        blockNumber,
+        closedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (!dispute) return null;
+
+  if (!dispute.ruling?.outcome) {
+    dispute.ruling = {
+      outcome: releasedToRecipient ? "release" : "refund",
+      rationale: "Ruled directly on-chain",
+      ruledAt: now,
+    };
+    await dispute.save();
+  }
+
+  const { notifyDisputeRuled } = require("../websocket");
+  await notifyDisputeRuled(dispute.developerId, dispute.ownerId, {
+    disputeId: dispute._id,
+    projectId: dispute.projectId,
+    milestoneId: dispute.milestoneId,
+    outcome: dispute.ruling.outcome,
+    rationale: dispute.ruling.rationale,
+    transactionHash,
+    ruledAt: dispute.ruling.ruledAt,
+  });
+  return dispute;
+};
+
+// Only moves an executing dispute, and with a hash only while it is still
+// that transaction's, so a ruling the indexer recorded is never undone.
+// Returns the dispute as it now stands either way.
+const markExecutionFailed = async (disputeId, transactionHash, reason) => {
+  const filter = { _id: disputeId, status: "executing" };
+  if (transactionHash) filter.transactionHash = transactionHash;
+  const updated = await Dispute.findOneAndUpdate(
+    filter,
+    { $set: { status: "execution_failed", executionError: reason } },
+    { new: true }
+  );
+  return updated || Dispute.findById(disputeId);
+};
+
+// A reverted receipt is final, so the ruling can be issued again. Anything
+// else, such as the wait timing out, leaves the dispute for the indexer.
+const trackRulingReceipt = (disputeId, tx) =>
+  tx
+    .wait()
+    .catch(async (error) => {
+      if (error.receipt?.status !== 0) {
+        console.error(`Waiting for ruling ${tx.hash} failed:`, error);
+        return;
+      }
+      await markExecutionFailed(disputeId, tx.hash, "Transaction reverted");
+    })
+    .catch((error) => {
+      console.error(`Failed to record ruling ${tx.hash}:`, error);
+    });
+
+/**
+ * Records an admin's ruling and sends it with the arbitrator signer: a
+ * release pays the milestone's recipient, a refund returns the payment to
+ * the owner. The dispute is claimed first so only one ruling is sent.
+ *
+ * Once the transaction is sent the dispute stays executing with its hash,
+ * and the indexer's DisputeResolved handler resolves it. Only a failure
+ * before sending, or a receipt showing the transaction reverted, leaves it
+ * execution_failed so the ruling can be issued again.
+ */
+const issueRuling = async (
+  signer,
+  adminId,
+  disputeId,
+  { outcome, rationale }
+) => {
+  if (!["release", "refund"].includes(outcome)) {
+    throw new DisputeError("outcome must be release or refund");
+  }
+  const ruling = {
+    outcome,
+    rationale: requireText(rationale, "A rationale"),
+    arbitratorId: adminId,
+    ruledAt: new Date(),
+  };
+
+  const dispute = await findDispute(disputeId);
+  const claimed = await Dispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: ["open", "execution_failed"] } },
+    {
+      $set: { status: "executing", ruling },
+      $unset: { executionError: "", transactionHash: "" },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new DisputeError("This dispute can't be ruled on now", 409);
+  }
+
+  await notifyParties(
+    claimed,
+    [claimed.developerId, claimed.ownerId],
+    `A ruling was issued in the dispute over milestone #${claimed.milestoneId} and is being executed`
+  );
+
+  let tx;
+  try {
+    const project = await Project.findById(claimed.projectId).select(
+      "escrowContractAddress"
+    );
+    const allocation = await new ethers.Contract(
+      project.escrowContractAddress,
+      ESCROW_ABI,
+      signer
+    ).getMilestoneAllocation(claimed.projectTokenId, claimed.milestoneId);
+
+    const office = new ethers.Contract(
+      claimed.officeAddress,
+      OFFICE_ABI,
+      signer
+    );
+    const args = [
+      claimed.milestoneId,
+      allocation.currency,
+      outcome === "release",
+    ];
+    await office.callStatic.resolveDispute(...args);
+    tx = await office.resolveDispute(...args);
+  } catch (error) {
+    console.error(`Ruling on dispute ${claimed._id} failed:`, error);
+    return markExecutionFailed(claimed._id, null, getRevertReason(error));
+  }
+
+  const sent = await Dispute.findOneAndUpdate(
+    { _id: claimed._id, status: "executing" },
+    { $set: { transactionHash: tx.hash } },
+    { new: true }
+  );
+  trackRulingReceipt(claimed._id, tx);
+  // The indexer may already have resolved it
+  return sent || Dispute.findById(claimed._id);
+};
+
+/**
+ * Closes an open dispute once the owner verifies the milestone themselves.
+ * Called by the indexer's MilestoneVerified handler.
+ */
+const settleDisputeOnVerification = async (officeAddress, milestoneId) => {
+  const dispute = await Dispute.findOneAndUpdate(
+    {
+      officeAddress: officeAddress.toLowerCase(),
+      milestoneId: milestoneId.toString(),
+      status: "open",
+    },
+    { $set: { status: "settled", active: false, closedAt: new Date() } },
+    { new: true }
+  );
+  if (!dispute) return null;
+
+  await notifyParties(
+    dispute,
+    [dispute.developerId, dispute.ownerId],
+    `Milestone #${dispute.milestoneId} was verified, so its dispute is closed`
+  );
+  return dispute;
+};
+
+module.exports = {
+  DisputeError,
+  getOfficeVersion,
+  supportsDisputes,
+  openDispute,
+  addEvidence,
+  withdrawDispute,
+  getDispute,
+  listDisputes,
+  issueRuling,
+  recordRulingExecuted,
+  settleDisputeOnVerification,
+};
@@ -0,0 +1,260 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const ChainCursor = require("../models/ChainCursor");
+const ChainEvent = require("../models/ChainEvent");
+const { LENDING_POOL_ABI } = require("../utils/contractAbis");
+const {
+  POOL_TIERS,
+  LendingPoolError,
+  getRegistry,
+  getPools,
+} = require("./LendingPools");
+
+const { BigNumber } = ethers;
+const { formatEther } = ethers.utils;
+
+// How each indexed registry event moves the insurance fund balance.
+// DefaultRecorded books coverage against the fund without a transfer;
+// InsuranceClaimed pays it out to the pool.
+const FUND_MOVEMENTS = {
+  InsuranceFundContribution: (args) => BigNumber.from(args.amount),
+  InsuranceFundWithdrawal: (args) => BigNumber.from(args.amount).mul(-1),
+  DefaultRecorded: (args) => BigNumber.from(args.coverageAmount).mul(-1),
+  InsuranceClaimed: (args) => BigNumber.from(args.coverageProvided).mul(-1),
+};
+
+const toPercentage = (numerator, denominator) =>
+  denominator.isZero()
+    ? null
+    : numerator.mul(10000).div(denominator).toNumber() / 100;
+
+const getRegistryCursor = async (registryAddress) => {
+  const cursor = await ChainCursor.findOne({
+    contractAddress: registryAddress,
+  });
+  if (!cursor || cursor.lastProcessedBlock < 0) {
+    throw new LendingPoolError(
+      "The insurance fund has not been indexed yet",
+      503
+    );
+  }
+  return cursor;
+};
+
+/**
+ * Insurance fund balance after every indexed movement, oldest first. The
+ * series is anchored on the on-chain balance at the last indexed block, so
+ * it stays correct when indexing started after the registry was deployed.
+ */
+const getFundBalanceHistory = async (provider, { from, to } = {}) => {
+  const registry = getRegistry(provider);
+  const registryAddress = registry.address.toLowerCase();
+  const cursor = await getRegistryCursor(registryAddress);
+
+  const [events, indexedBalance] = await Promise.all([
+    ChainEvent.find({
+      contractAddress: registryAddress,
+      event: { $in: Object.keys(FUND_MOVEMENTS) },
+      blockNumber: { $lte: cursor.lastProcessedBlock },
+    })
+      .sort({ blockNumber: 1, logIndex: 1 })
+      .lean(),
+    registry.insuranceFundBalance({ blockTag: cursor.lastProcessedBlock }),
+  ]);
+
+  const movements = events.map((event) => ({
+    event,
+    delta: FUND_MOVEMENTS[event.event](event.args),
+  }));
+  const openingBalance = movements.reduce(
+    (balance, { delta }) => balance.sub(delta),
+    indexedBalance
+  );
+
+  let balance = openingBalance;
+  const history = [];
+  const totals = Object.fromEntries(
+    Object.keys(FUND_MOVEMENTS).map((name) => [name, BigNumber.from(0)])
+  );
+  for (const { event, delta } of movements) {
+    balance = balance.add(delta);
+    if (from && event.blockTimestamp < from) continue;
+    if (to && event.blockTimestamp > to) continue;
+
+    totals[event.event] = totals[event.event].add(delta.abs());
+
+    history.push({
+      timestamp: event.blockTimestamp,
+      blockNumber: event.blockNumber,
+      event: event.event,
+      projectTokenId: event.projectTokenId || null,
+      account: event.args.contributor || event.args.recipient || null,
+      change: formatEther(delta),
+      balance: formatEther(balance),
+      transactionHash: event.transactionHash,
+    });
+  }
+
+  return {
+    openingBalance: formatEther(openingBalance),
+    indexedThroughBlock: cursor.lastProcessedBlock,
+    totals: {
+      contributions: formatEther(totals.InsuranceFundContribution),
+      withdrawals: formatEther(totals.InsuranceFundWithdrawal),
+      coverageAtDefault: formatEther(totals.DefaultRecorded),
+      claimsPaid: formatEther(totals.InsuranceClaimed),
+    },
+    history,
+  };
+};
+
+const sumOutstanding = async (provider, pool) => {
+  const contract = new ethers.Contract(
+    pool.address,
+    LENDING_POOL_ABI,
+    provider
+  );
+  const projectIds = await contract.getActiveProjects();
+  const loans = await Promise.all(
+    projectIds.map((id) => contract.getLoanDetails(id))
+  );
+  return {
+    activeLoans: projectIds.length,
+    outstanding: loans.reduce(
+      (total, loan) => total.add(loan.remainingAmount),
+      BigNumber.from(0)
+    ),
+  };
+};
+
+/**
+ * Live fund balance against what it would owe if every active loan in a
+ * tier defaulted at its coverage rate. Coverage ratios are percentages;
+ * the fund is shared, so each tier's ratio assumes it is the only claimant.
+ */
+const getCoverageReport = async (provider) => {
+  const registry = getRegistry(provider);
+  const [fundBalance, insuranceFundPercentage, pools] = await Promise.all([
+    registry.insuranceFundBalance(),
+    registry.getInsuranceFundPercentage(),
+    getPools(provider),
+  ]);
+
+  const tiers = await Promise.all(
+    POOL_TIERS.map(async (tier) => {
+      const pool = pools.find((entry) => entry.riskTier === tier.riskTier);
+      const { activeLoans, outstanding } = pool
+        ? await sumOutstanding(provider, pool)
+        : { activeLoans: 0, outstanding: BigNumber.from(0) };
+      const [coverageRate, insuredExposure] = await Promise.all([
+        registry.coverageRate(tier.riskTier),
+        registry.getLoanCoverage(outstanding, tier.riskTier),
+      ]);
+
+      return {
+        riskTier: tier.riskTier,
+        name: tier.name,
+        poolAddress: pool ? pool.address : null,
+        activeLoans,
+        outstanding,
+        coverageRate: coverageRate.toNumber() / 100,
+        insuredExposure,
+      };
+    })
+  );
+
+  const totalInsuredExposure = tiers.reduce(
+    (total, tier) => total.add(tier.insuredExposure),
+    BigNumber.from(0)
+  );
+
+  return {
+    fundBalance: formatEther(fundBalance),
+    insuranceFundPercentage: insuranceFundPercentage.toNumber() / 100,
+    totalInsuredExposure: formatEther(totalInsuredExposure),
+    coverageRatio: toPercentage(fundBalance, totalInsuredExposure),
+    tiers: tiers.map((tier) => ({
+      ...tier,
+      outstanding: formatEther(tier.outstanding),
+      insuredExposure: formatEther(tier.insuredExposure),
+      coverageRatio: toPercentage(fundBalance, tier.insuredExposure),
+    })),
+  };
+};
+
+/**
+ * Every project whose loan defaulted, with what it owed, what the fund
+ * covered at default, what was claimed afterwards and the resulting loss.
+ */
+const getProjectClaims = async (provider) => {
+  const registryAddress = getRegistry(provider).address.toLowerCase();
+  const defaults = await ChainEvent.find({
+    contractAddress: registryAddress,
+    event: "DefaultRecorded",
+  })
+    .sort({ blockNumber: 1, logIndex: 1 })
+    .lean();
+  if (!defaults.length) return [];
+
+  const tokenIds = defaults.map((event) => event.projectTokenId);
+  const [related, projects] = await Promise.all([
+    ChainEvent.find({
+      contractAddress: registryAddress,
+      event: {
+        $in: ["LoanRegistered", "RepaymentRecorded", "InsuranceClaimed"],
+      },
+      projectTokenId: { $in: tokenIds },
+    }).lean(),
+    Project.find({ tokenId: { $in: tokenIds } }).select("tokenId title"),
+  ]);
+  const titles = new Map(
+    projects.map((project) => [project.tokenId.toString(), project.title])
+  );
+
+  return defaults.map((defaultEvent) => {
+    const tokenId = defaultEvent.projectTokenId;
+    const events = related.filter((event) => event.projectTokenId === tokenId);
+    const registered = events.find((event) => event.event === "LoanRegistered");
+    const sumOf = (name, field) =>
+      events
+        .filter((event) => event.event === name)
+        .reduce(
+          (total, event) => total.add(event.args[field]),
+          BigNumber.from(0)
+        );
+
+    const defaultAmount = BigNumber.from(defaultEvent.args.defaultAmount);
+    const coverageAtDefault = BigNumber.from(defaultEvent.args.coverageAmount);
+    const claimsPaid = sumOf("InsuranceClaimed", "coverageProvided");
+    const recovered = coverageAtDefault.add(claimsPaid);
+    const tier = registered
+      ? POOL_TIERS.find(
+          (entry) => entry.riskTier === Number(registered.args.riskTier)
+        )
+      : null;
+
+    return {
+      tokenId,
+      title: titles.get(tokenId) || null,
+      riskTier: tier ? tier.riskTier : null,
+      tierName: tier ? tier.name : null,
+      loanAmount: registered ? formatEther(registered.args.amount) : null,
+      repaid: formatEther(sumOf("RepaymentRecorded", "amount")),
+      defaultAmount: formatEther(defaultAmount),
+      coverageAtDefault: formatEther(coverageAtDefault),
+      claimed: formatEther(sumOf("InsuranceClaimed", "claimedAmount")),
+      claimsPaid: formatEther(claimsPaid),
+      recovered: formatEther(recovered),
+      recoveryRate: toPercentage(recovered, defaultAmount),
+      netLoss: formatEther(defaultAmount.sub(recovered)),
+      defaultedAt: defaultEvent.blockTimestamp,
+      transactionHash: defaultEvent.transactionHash,
+    };
+  });
+};
+
+module.exports = {
+  getFundBalanceHistory,
+  getCoverageReport,
+  getProjectClaims,
+};
@@ -0,0 +1,265 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const ChainEvent = require("../models/ChainEvent");
+const {
+  LENDING_REGISTRY_ABI,
+  LENDING_POOL_ABI,
+} = require("../utils/contractAbis");
+
+const REGISTRY_ADDRESS = process.env.LENDING_POOL_REGISTRY_ADDRESS;
+
+// Registry getter for each RISK_TIER value the pools declare
+const POOL_TIERS = [
+  { riskTier: 1, name: "Low Risk", registryGetter: "lowRiskPool" },
+  { riskTier: 2, name: "Medium Risk", registryGetter: "mediumRiskPool" },
+  { riskTier: 3, name: "High Risk", registryGetter: "highRiskPool" },
+];
+
+class LendingPoolError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "LendingPoolError";
+    this.statusCode = statusCode;
+  }
+}
+
+const isLendingConfigured = () => !!REGISTRY_ADDRESS;
+
+const getRegistry = (provider) => {
+  if (!REGISTRY_ADDRESS) {
+    throw new LendingPoolError("Lending pools are not configured", 503);
+  }
+  return new ethers.Contract(REGISTRY_ADDRESS, LENDING_REGISTRY_ABI, provider);
+};
+
+// Pool addresses as currently set in the registry. Tiers whose pool hasn't
+// been set yet are left out.
+const getPools = async (provider) => {
+  const registry = getRegistry(provider);
+  const addresses = await Promise.all(
+    POOL_TIERS.map((tier) => registry[tier.registryGetter]())
+  );
+  return POOL_TIERS.map((tier, i) => ({
+    riskTier: tier.riskTier,
+    name: tier.name,
+    address: addresses[i].toLowerCase(),
+  })).filter((pool) => pool.address !== ethers.constants.AddressZero);
+};
+
+const getPool = async (provider, riskTier) => {
+  const pools = await getPools(provider);
+  const pool = pools.find((entry) => entry.riskTier === Number(riskTier));
+  if (!pool) {
+    throw new LendingPoolError("Lending pool not found", 404);
+  }
+  return pool;
+};
+
+// Amounts are DEV in wei; rates and SCORS bounds are basis points
+const formatBasisPoints = (value) => value.toNumber() / 100;
+
+const getActiveLoans = async (contract) => {
+  const projectIds = await contract.getActiveProjects();
+  if (!projectIds.length) return [];
+
+  const [loans, projects] = await Promise.all([
+    Promise.all(projectIds.map((id) => contract.getLoanDetails(id))),
+    Project.find({
+      tokenId: { $in: projectIds.map((id) => id.toString()) },
+    }).select("tokenId title"),
+  ]);
+  const projectsByToken = new Map(
+    projects.map((project) => [project.tokenId.toString(), project])
+  );
+
+  return projectIds.map((id, i) => {
+    const project = projectsByToken.get(id.toString());
+    return {
+      tokenId: id.toString(),
+      projectId: project ? project._id : null,
+      title: project ? project.title : null,
+      amount: ethers.utils.formatEther(loans[i].amount),
+      remainingAmount: ethers.utils.formatEther(loans[i].remainingAmount),
+      interestRate: formatBasisPoints(loans[i].interestRate),
+      startTime: new Date(loans[i].startTime.toNumber() * 1000),
+      endTime: new Date(loans[i].endTime.toNumber() * 1000),
+    };
+  });
+};
+
+const getLenderPosition = async (contract, lenderAddress) => {
+  const [balance, percentage] = await Promise.all([
+    contract.balanceOf(lenderAddress),
+    contract.getUserPoolPercentage(lenderAddress),
+  ]);
+  const value = await contract.getTokenValue(balance);
+  return {
+    address: lenderAddress,
+    tokens: ethers.utils.formatEther(balance),
+    value: ethers.utils.formatEther(value),
+    sharePercentage: formatBasisPoints(percentage),
+  };
+};
+
+/**
+ * Reads one pool's state from the chain, with the lender's position when an
+ * address is given.
+ */
+const getPoolOverview = async (provider, pool, lenderAddress) => {
+  const contract = new ethers.Contract(
+    pool.address,
+    LENDING_POOL_ABI,
+    provider
+  );
+  const [
+    symbol,
+    stats,
+    minScors,
+    maxScors,
+    baseRate,
+    maxRate,
+    isPaused,
+    withdrawalsEnabled,
+    activeLoans,
+    position,
+  ] = await Promise.all([
+    contract.symbol(),
+    contract.getPoolStats(),
+    contract.minScorsRequirement(),
+    contract.maxScorsRequirement(),
+    contract.baseInterestRate(),
+    contract.maxInterestRate(),
+    contract.isPaused(),
+    contract.withdrawalsEnabled(),
+    getActiveLoans(contract),
+    lenderAddress ? getLenderPosition(contract, lenderAddress) : null,
+  ]);
+
+  return {
+    ...pool,
+    symbol,
+    tvl: ethers.utils.formatEther(stats.tvl),
+    utilizationPercentage: formatBasisPoints(stats.utilized),
+    activeLoanCount: stats.activeLoans.toNumber(),
+    tokenPrice: ethers.utils.formatEther(stats.currentPrice),
+    scorsRange: {
+      min: formatBasisPoints(minScors),
+      max: formatBasisPoints(maxScors),
+    },
+    interestRateRange: {
+      min: formatBasisPoints(baseRate),
+      max: formatBasisPoints(maxRate),
+    },
+    isPaused,
+    withdrawalsEnabled,
+    activeLoans,
+    position,
+  };
+};
+
+// Each tier's SCORS range and rate band from the registry, in basis points
+const getScoreTiers = async (provider) => {
+  const registry = getRegistry(provider);
+  return Promise.all(
+    POOL_TIERS.map(async (tier) => {
+      const [minScore, maxScore, baseRate, maxRate] = await Promise.all([
+        registry.minScoreRequirement(tier.riskTier),
+        registry.maxScoreRequirement(tier.riskTier),
+        registry.baseInterestRate(tier.riskTier),
+        registry.maxInterestRate(tier.riskTier),
+      ]);
+      return {
+        riskTier: tier.riskTier,
+        name: tier.name,
+        minScore: minScore.toNumber(),
+        maxScore: maxScore.toNumber(),
+        baseRate: baseRate.toNumber(),
+        maxRate: maxRate.toNumber(),
+      };
+    })
+  );
+};
+
+/**
+ * Tier and interest rate for a SCORS in basis points, worked out the way the
+ * registry's getPoolForScore and getInterestRateForScore do, so many scores
+ * can be priced from one read of getScoreTiers. riskTier is 0 and the rate
+ * null when no pool takes the score.
+ */
+const priceScore = (tiers, scorsBasisPoints) => {
+  const tier = tiers.find(
+    (entry) =>
+      scorsBasisPoints >= entry.minScore && scorsBasisPoints <= entry.maxScore
+  );
+  if (!tier) return { riskTier: 0, interestRate: null };
+  if (scorsBasisPoints >= tier.maxScore) {
+    return { riskTier: tier.riskTier, interestRate: tier.baseRate / 100 };
+  }
+  const scoreRange = tier.maxScore - tier.minScore;
+  const rateRange = tier.maxRate - tier.baseRate;
+  const scoreFromTop = tier.maxScore - scorsBasisPoints;
+  return {
+    riskTier: tier.riskTier,
+    interestRate:
+      (tier.baseRate + Math.floor((scoreFromTop * rateRange) / scoreRange)) /
+      100,
+  };
+};
+
+const getInsuranceFundPercentage = async (provider) =>
+  formatBasisPoints(await getRegistry(provider).getInsuranceFundPercentage());
+
+// Price history comes from the indexer's TokenPriceUpdated records, oldest
+// first so it can be charted directly.
+const getTokenPriceHistory = async (poolAddress, { limit }) => {
+  const events = await ChainEvent.find({
+    contractAddress: poolAddress,
+    event: "TokenPriceUpdated",
+  })
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .limit(limit)
+    .lean();
+
+  return events.reverse().map((event) => ({
+    price: ethers.utils.formatEther(event.args.newPrice),
+    previousPrice: ethers.utils.formatEther(event.args.oldPrice),
+    blockNumber: event.blockNumber,
+    timestamp: event.blockTimestamp,
+    transactionHash: event.transactionHash,
+  }));
+};
+
+const getLenderActivity = async (poolAddress, lenderAddress, { limit }) => {
+  const events = await ChainEvent.find({
+    contractAddress: poolAddress,
+    event: { $in: ["Deposit", "Withdrawal"] },
+    "args.lender": { $regex: `^${lenderAddress}$`, $options: "i" },
+  })
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .limit(limit)
+    .lean();
+
+  return events.map((event) => ({
+    type: event.event,
+    amount: ethers.utils.formatEther(event.args.amount),
+    tokens: ethers.utils.formatEther(event.args.tokens),
+    blockNumber: event.blockNumber,
+    timestamp: event.blockTimestamp,
+    transactionHash: event.transactionHash,
+  }));
+};
+
+module.exports = {
+  POOL_TIERS,
+  LendingPoolError,
+  isLendingConfigured,
+  getRegistry,
+  getPools,
+  getPool,
+  getPoolOverview,
+  getScoreTiers,
+  priceScore,
+  getInsuranceFundPercentage,
+  getTokenPriceHistory,
+  getLenderActivity,
+};
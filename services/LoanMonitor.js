@@ -0,0 +1,138 @@
+const { ethers } = require("ethers");
+const Project = require("../models/Project");
+const LoanAlert = require("../models/LoanAlert");
+const {
+  LENDING_POOL_ABI,
+  LENDING_MANAGER_ABI,
+} = require("../utils/contractAbis");
+const { isLendingConfigured, getPools } = require("./LendingPools");
+const { DEFAULT_GRACE_PERIOD_SECONDS } = require("./ProjectLoans");
+
+// Overdue repayments don't emit anything on-chain, so active loans are
+// checked on each DeadlineScheduler run. Each alert is claimed through
+// LoanAlert first, so restarts and multiple instances never notify the same
+// repayment twice.
+
+// Returns true only for the caller that created the alert
+const claimAlert = async (alert) => {
+  try {
+    await LoanAlert.create(alert);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Notifies the project owner once that their loan is in default. Shared by
+ * the monitor and the indexer's DefaultProcessed handler.
+ */
+const alertLoanDefaulted = async (project, lendingManager, details) => {
+  const claimed = await claimAlert({
+    projectTokenId: project.tokenId.toString(),
+    lendingManager,
+    kind: "defaulted",
+  });
+  if (!claimed) return;
+
+  const { notifyLoanDefaulted } = require("../websocket");
+  await notifyLoanDefaulted(project.userId, {
+    projectId: project._id,
+    projectTitle: project.title,
+    tokenId: project.tokenId.toString(),
+    ...details,
+  });
+};
+
+const checkLoan = async (provider, pool, tokenId, now) => {
+  const loan = await new ethers.Contract(
+    pool.address,
+    LENDING_POOL_ABI,
+    provider
+  ).getLoanDetails(tokenId);
+  if (!loan.isActive || loan.lendingManager === ethers.constants.AddressZero) {
+    return;
+  }
+
+  const manager = new ethers.Contract(
+    loan.lendingManager,
+    LENDING_MANAGER_ABI,
+    provider
+  );
+  // The schedule is only read once the manager reports a missed deadline
+  const { overdueCount } = await manager.checkOverduePayments();
+  if (overdueCount.isZero()) return;
+
+  const project = await Project.findOne({ tokenId: tokenId.toString() });
+  if (!project) return;
+
+  const schedule = await manager.getAllRepaymentMilestones();
+  const { notifyLoanOverdue } = require("../websocket");
+
+  for (let i = 0; i < schedule.ids.length; i++) {
+    const deadline = schedule.deadlines[i].toNumber();
+    if (schedule.isPaid[i] || now <= deadline) continue;
+
+    const repaymentId = schedule.ids[i].toNumber();
+    const details = {
+      poolName: pool.name,
+      lendingManager: loan.lendingManager,
+      repaymentId,
+      amount: ethers.utils.formatEther(schedule.amounts[i]),
+      deadline: new Date(deadline * 1000),
+      defaultsAt: new Date((deadline + DEFAULT_GRACE_PERIOD_SECONDS) * 1000),
+    };
+
+    if (now > deadline + DEFAULT_GRACE_PERIOD_SECONDS) {
+      await alertLoanDefaulted(project, loan.lendingManager, details);
+      continue;
+    }
+
+    const claimed = await claimAlert({
+      projectTokenId: tokenId.toString(),
+      lendingManager: loan.lendingManager,
+      kind: "overdue",
+      repaymentId,
+    });
+    if (claimed) {
+      await notifyLoanOverdue(project.userId, {
+        projectId: project._id,
+        projectTitle: project.title,
+        tokenId: tokenId.toString(),
+        ...details,
+      });
+    }
+  }
+};
+
+/**
+ * Checks every active loan's repayment deadlines against chain time, as the
+ * contracts do, and sends the overdue and default alerts not yet sent.
+ * Does nothing when lending pools are not configured.
+ */
+const checkAllLoans = async (provider, now) => {
+  if (!isLendingConfigured()) return;
+
+  const pools = await getPools(provider);
+  for (const pool of pools) {
+    const tokenIds = await new ethers.Contract(
+      pool.address,
+      LENDING_POOL_ABI,
+      provider
+    ).getActiveProjects();
+
+    for (const tokenId of tokenIds) {
+      try {
+        await checkLoan(provider, pool, tokenId, now);
+      } catch (error) {
+        console.error(`Loan check failed for project ${tokenId}:`, error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  checkAllLoans,
+  alertLoanDefaulted,
+};
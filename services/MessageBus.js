@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+
+const NODE_ID = process.env.NODE_ID || crypto.randomUUID();
+
+// A message bus fans WebSocket traffic out to every server instance and keeps
+// track of which users are connected anywhere. Implementations provide:
+//
+//   publish(channel, payload)   -> Promise, deliver payload to all nodes
+//   subscribe(channel, handler) -> Promise, handler(payload) on every publish
+//   addPresence(userId)         -> Promise, a connection opened on this node
+//   removePresence(userId)      -> Promise, a connection closed on this node
+//   isUserOnline(userId)        -> Promise<boolean>, connected on any node
+//   close()                     -> Promise
+//
+// The in-memory bus is used for a single instance; set MESSAGE_BUS=redis and
+// REDIS_URL to run several instances behind the load balancer.
+const createInMemoryMessageBus = () => {
+  const handlers = new Map();
+  const presence = new Map();
+
+  return {
+    nodeId: NODE_ID,
+
+    publish: async (channel, payload) => {
+      (handlers.get(channel) || []).forEach((handler) => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`Message bus handler error on ${channel}:`, error);
+        }
+      });
+    },
+
+    subscribe: async (channel, handler) => {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+      }
+      handlers.get(channel).push(handler);
+    },
+
+    addPresence: async (userId) => {
+      presence.set(userId, (presence.get(userId) || 0) + 1);
+    },
+
+    removePresence: async (userId) => {
+      const count = (presence.get(userId) || 0) - 1;
+      if (count > 0) {
+        presence.set(userId, count);
+      } else {
+        presence.delete(userId);
+      }
+    },
+
+    isUserOnline: async (userId) => presence.has(userId),
+
+    close: async () => {
+      handlers.clear();
+      presence.clear();
+    },
+  };
+};
+
+const createMessageBus = async () => {
+  if (process.env.MESSAGE_BUS === "redis") {
+    const { createRedisMessageBus } = require("./RedisMessageBus");
+    return createRedisMessageBus(process.env.REDIS_URL, NODE_ID);
+  }
+  return createInMemoryMessageBus();
+};
+
+module.exports = {
+  createMessageBus,
+  createInMemoryMessageBus,
+};
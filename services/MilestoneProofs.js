@@ -0,0 +1,269 @@
+const { ethers } = require("ethers");
+const ChainEvent = require("../models/ChainEvent");
+const { ESCROW_ABI, OFFICE_ABI } = require("../utils/contractAbis");
+const { resolveCurrency } = require("../utils/currency");
+const {
+  hashMilestoneData,
+  computeMerkleRoot,
+  buildMerkleProof,
+  verifyMerkleProof,
+} = require("../utils/milestoneMerkle");
+
+const officeInterface = new ethers.utils.Interface(OFFICE_ABI);
+const MERKLE_ROOT_UPDATED_TOPIC =
+  officeInterface.getEventTopic("MerkleRootUpdated");
+const PROJECT_HASH_UPDATED_TOPIC =
+  officeInterface.getEventTopic("ProjectHashUpdated");
+
+class MilestoneProofError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "MilestoneProofError";
+    this.statusCode = statusCode;
+  }
+}
+
+const sameHash = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// The most recent MerkleRootUpdated that covers the milestone. Leaf 0 is the
+// previous project hash, so milestone N is in every root with more than N
+// leaves. Falls back to the chain when the indexer hasn't caught up.
+const getRootEvent = async (provider, officeAddress, tokenId, milestoneId) => {
+  const indexed = await ChainEvent.findOne({
+    contractAddress: officeAddress,
+    event: "MerkleRootUpdated",
+  }).sort({ blockNumber: -1, logIndex: -1 });
+  if (indexed && Number(indexed.args.totalLeaves) > milestoneId) {
+    return {
+      merkleRoot: indexed.args.merkleRoot,
+      totalLeaves: Number(indexed.args.totalLeaves),
+      blockNumber: indexed.blockNumber,
+      transactionHash: indexed.transactionHash,
+      indexed: true,
+    };
+  }
+
+  const logs = await provider.getLogs({
+    address: officeAddress,
+    fromBlock: indexed ? indexed.blockNumber + 1 : 0,
+    toBlock: "latest",
+    topics: [
+      MERKLE_ROOT_UPDATED_TOPIC,
+      ethers.utils.hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32),
+    ],
+  });
+  if (!logs.length) return null;
+
+  const log = logs[logs.length - 1];
+  const { args } = officeInterface.parseLog(log);
+  return {
+    merkleRoot: args.merkleRoot,
+    totalLeaves: args.totalLeaves.toNumber(),
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    indexed: false,
+  };
+};
+
+// The project hash the root was built on top of, from the ProjectHashUpdated
+// emitted alongside it.
+const getPreviousProjectHash = async (provider, officeAddress, rootEvent) => {
+  const receipt = await provider.getTransactionReceipt(
+    rootEvent.transactionHash
+  );
+  const log = receipt.logs.find(
+    (entry) =>
+      entry.address.toLowerCase() === officeAddress &&
+      entry.topics[0] === PROJECT_HASH_UPDATED_TOPIC
+  );
+  if (!log) return null;
+
+  const { args } = officeInterface.parseLog(log);
+  return sameHash(args.newHash, rootEvent.merkleRoot) ? args.oldHash : null;
+};
+
+// Recomputes the leaf from the stored record. The creation timestamp isn't a
+// negotiated term, so it is taken from the chain.
+const hashRecordedTerms = (record, onChain, decimals) => {
+  const terms = {
+    milestoneId: Number(record.milestoneId),
+    parentId: Number(record.parentId || 0),
+    payment: ethers.utils
+      .parseUnits(String(record.payment ?? "0"), decimals)
+      .toString(),
+    deadline: record.deadline
+      ? Math.floor(new Date(record.deadline).getTime() / 1000)
+      : 0,
+    timestamp: onChain.timestamp.toNumber(),
+    recipient: record.recipient || ethers.constants.AddressZero,
+  };
+  return { terms, leaf: hashMilestoneData(terms) };
+};
+
+const findTermDrift = (terms, onChain) => {
+  const chainTerms = {
+    parentId: onChain.parentMilestoneId.toNumber(),
+    payment: onChain.payment.toString(),
+    deadline: onChain.deadline.toNumber(),
+    recipient: onChain.recipient,
+  };
+  return Object.keys(chainTerms)
+    .filter((field) =>
+      field === "recipient"
+        ? terms.recipient.toLowerCase() !== chainTerms.recipient.toLowerCase()
+        : String(terms[field]) !== String(chainTerms[field])
+    )
+    .map((field) => ({
+      type: "terms",
+      field,
+      recorded: terms[field],
+      onChain: chainTerms[field],
+    }));
+};
+
+/**
+ * Builds a Merkle proof for a stored milestone against the latest root its
+ * office committed, and reports any drift between the stored terms, the
+ * milestone hash on-chain and the MerkleRootUpdated history.
+ * Throws MilestoneProofError when the milestone can't be proven yet.
+ */
+const buildMilestoneProof = async (provider, { milestone, project }) => {
+  if (!project.escrowContractAddress || !project.tokenId) {
+    throw new MilestoneProofError("Project has no escrow on-chain", 409);
+  }
+  const milestoneId = Number(milestone.milestoneId);
+  if (!Number.isInteger(milestoneId) || milestoneId < 1) {
+    throw new MilestoneProofError(
+      "Milestone has not been created on-chain yet",
+      409
+    );
+  }
+
+  const tokenId = project.tokenId.toString();
+  const escrow = new ethers.Contract(
+    project.escrowContractAddress,
+    ESCROW_ABI,
+    provider
+  );
+  const officeAddress = (
+    await escrow.getRegisteredOffice(tokenId)
+  ).toLowerCase();
+  if (officeAddress === ethers.constants.AddressZero) {
+    throw new MilestoneProofError("Project has no office contract", 409);
+  }
+  const office = new ethers.Contract(officeAddress, OFFICE_ABI, provider);
+
+  const [onChain, allocation, projectDataHash] = await Promise.all([
+    office.milestones(milestoneId),
+    escrow.getMilestoneAllocation(tokenId, milestoneId),
+    office.projectDataHash(),
+  ]);
+  if (onChain.id.isZero()) {
+    throw new MilestoneProofError("Milestone not found on-chain", 404);
+  }
+
+  const rootEvent = await getRootEvent(
+    provider,
+    officeAddress,
+    tokenId,
+    milestoneId
+  );
+  if (!rootEvent) {
+    throw new MilestoneProofError(
+      "No Merkle root covering this milestone was found",
+      409
+    );
+  }
+  const previousHash = await getPreviousProjectHash(
+    provider,
+    officeAddress,
+    rootEvent
+  );
+  if (!previousHash) {
+    throw new MilestoneProofError(
+      "Could not find the project hash this root was built on",
+      409
+    );
+  }
+
+  // Milestone hashes are fixed at creation, so today's values rebuild any
+  // earlier root as long as only its first totalLeaves - 1 are used
+  const milestoneHashes = await Promise.all(
+    Array.from({ length: rootEvent.totalLeaves - 1 }, (_, i) =>
+      i + 1 === milestoneId
+        ? onChain.milestoneHash
+        : office.milestones(i + 1).then((entry) => entry.milestoneHash)
+    )
+  );
+  const leaves = [previousHash, ...milestoneHashes];
+  const computedRoot = computeMerkleRoot(leaves);
+  const proof = buildMerkleProof(leaves, milestoneId);
+
+  const drift = [];
+  const currency = await resolveCurrency(
+    provider,
+    project.escrowContractAddress,
+    allocation.currency
+  );
+  let recorded = null;
+  try {
+    recorded = hashRecordedTerms(milestone, onChain, currency.decimals);
+  } catch (error) {
+    drift.push({
+      type: "terms",
+      field: "payment",
+      recorded: milestone.payment,
+      message: "Stored payment is not a valid amount",
+    });
+  }
+  if (recorded) {
+    drift.push(...findTermDrift(recorded.terms, onChain));
+    if (!sameHash(recorded.leaf, onChain.milestoneHash)) {
+      drift.push({
+        type: "leaf",
+        recorded: recorded.leaf,
+        onChain: onChain.milestoneHash,
+      });
+    }
+  }
+  if (!sameHash(computedRoot, rootEvent.merkleRoot)) {
+    drift.push({
+      type: "root",
+      computed: computedRoot,
+      onChain: rootEvent.merkleRoot,
+    });
+  }
+  if (!sameHash(projectDataHash, rootEvent.merkleRoot)) {
+    drift.push({
+      type: "stale",
+      message: "A newer root has been committed than the one indexed",
+      onChain: projectDataHash,
+    });
+  }
+
+  return {
+    milestoneId,
+    tokenId,
+    officeAddress,
+    leafIndex: milestoneId,
+    leaf: onChain.milestoneHash,
+    recordedLeaf: recorded ? recorded.leaf : null,
+    terms: recorded ? recorded.terms : null,
+    proof,
+    root: rootEvent.merkleRoot,
+    rootBlockNumber: rootEvent.blockNumber,
+    rootTransactionHash: rootEvent.transactionHash,
+    totalLeaves: rootEvent.totalLeaves,
+    valid: verifyMerkleProof(
+      onChain.milestoneHash,
+      proof,
+      rootEvent.merkleRoot
+    ),
+    drift,
+  };
+};
+
+module.exports = {
+  MilestoneProofError,
+  buildMilestoneProof,
+};
@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const NotificationPreference = require("../models/NotificationPreference");
+const DigestItem = require("../models/DigestItem");
+const { isEmailConfigured, sendMail } = require("./Mailer");
+const {
+  EMAIL_TEMPLATES,
+  renderNotificationEmail,
+  renderDigestEmail,
+} = require("../utils/emailTemplates");
+
+// Every notification is stored and sent over the socket by
+// deliverNotification. The user's preference for its type then picks where
+// else it goes: nowhere (socket), an email straight away, or the next daily
+// or weekly digest email. Only types with an email template can be routed
+// off the socket.
+const CHANNELS = ["socket", "email", "daily_digest", "weekly_digest"];
+const DEFAULT_CHANNELS = {
+  NEW_BID: "email",
+  BID_ACCEPTED: "email",
+  BID_REFUNDED: "daily_digest",
+  MILESTONES_ADDED: "daily_digest",
+  MILESTONE_COMPLETED: "email",
+  MILESTONE_VERIFIED: "daily_digest",
+  PROJECT_COMPLETION: "email",
+};
+
+// Digests cover everything queued before DIGEST_HOUR_UTC, daily, and before
+// that hour on Monday, weekly
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC ?? 8);
+const DIGEST_INTERVAL_MS =
+  Number(process.env.DIGEST_INTERVAL_MS) || 15 * 60 * 1000;
+const MAX_DIGEST_ITEMS = 100;
+
+let digestTimer = null;
+let isSending = false;
+let isRunning = false;
+
+class NotificationPreferenceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "NotificationPreferenceError";
+    this.statusCode = statusCode;
+  }
+}
+
+const getPreferences = async (userId) => {
+  const preference = await NotificationPreference.findOne({ userId }).lean();
+  return {
+    channels: {
+      ...DEFAULT_CHANNELS,
+      ...Object.fromEntries(Object.entries(preference?.channels || {})),
+    },
+    emailEnabled: isEmailConfigured(),
+  };
+};
+
+const updatePreferences = async (userId, channels) => {
+  if (!channels || typeof channels !== "object" || Array.isArray(channels)) {
+    throw new NotificationPreferenceError("channels must be an object");
+  }
+  const update = {};
+  for (const [event, channel] of Object.entries(channels)) {
+    if (!EMAIL_TEMPLATES[event]) {
+      throw new NotificationPreferenceError(
+        `${event} notifications can't be routed off the socket`
+      );
+    }
+    if (!CHANNELS.includes(channel)) {
+      throw new NotificationPreferenceError(
+        `channel must be one of ${CHANNELS.join(", ")}`
+      );
+    }
+    update[`channels.${event}`] = channel;
+  }
+
+  await NotificationPreference.updateOne(
+    { userId },
+    { $set: update },
+    { upsert: true }
+  );
+  return getPreferences(userId);
+};
+
+const getEmailAddress = async (userId) => {
+  const user = await User.findById(userId).select("email").lean();
+  return user?.email || null;
+};
+
+const sendNotificationEmail = async (userId, event, notification) => {
+  const to = await getEmailAddress(userId);
+  if (!to) return;
+  await sendMail({ to, ...renderNotificationEmail(event, notification) });
+};
+
+const queueDigestItem = async (userId, frequency, event, notification) => {
+  // Digests are claimed on the preference, so users on the defaults need one
+  try {
+    await NotificationPreference.updateOne(
+      { userId },
+      { $setOnInsert: { userId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  await DigestItem.create({
+    userId,
+    frequency,
+    event,
+    notificationId: mongoose.Types.ObjectId.isValid(notification._id)
+      ? notification._id
+      : undefined,
+    message: notification.message,
+    metadata: notification.metadata || {},
+  });
+};
+
+/**
+ * Sends a stored notification on to the channel the user picked for its
+ * type. Called by deliverNotification in WebSocket.js after the socket.
+ */
+const sendToPreferredChannel = async (userId, event, notification) => {
+  if (!EMAIL_TEMPLATES[event] || !isEmailConfigured()) return;
+
+  const { channels } = await getPreferences(userId);
+  switch (channels[event]) {
+    case "email":
+      // Not awaited, so a slow SMTP server doesn't hold up the notify call
+      sendNotificationEmail(userId, event, notification).catch((error) =>
+        console.error(`Error emailing ${event} notification:`, error)
+      );
+      break;
+    case "daily_digest":
+      await queueDigestItem(userId, "daily", event, notification);
+      break;
+    case "weekly_digest":
+      await queueDigestItem(userId, "weekly", event, notification);
+      break;
+    default:
+      break;
+  }
+};
+
+// Lets a user check their address, or a developer their local mail catcher
+const sendTestEmail = async (userId) => {
+  if (!isEmailConfigured()) {
+    throw new NotificationPreferenceError("Email is not configured", 503);
+  }
+  const to = await getEmailAddress(userId);
+  if (!to) {
+    throw new NotificationPreferenceError("Your account has no email address");
+  }
+  await sendMail({
+    to,
+    ...renderNotificationEmail("NEW_BID", {
+      message:
+        'This is a test. New bids on your projects will look like this: New bid of 100 DEV received for project "Example"',
+      metadata: { projectTitle: "Example" },
+    }),
+  });
+  return to;
+};
+
+// Start of the digest period that has just ended
+const getPeriodStart = (frequency, now) => {
+  const start = new Date(
+    Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate(),
+      DIGEST_HOUR_UTC
+    )
+  );
+  if (start > now) start.setUTCDate(start.getUTCDate() - 1);
+  if (frequency === "weekly") {
+    // Back to the most recent Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Only the caller that moves the user's last digest up to this period gets
+// claimed, along with where it was so a failed send can put it back
+const claimDigest = async (userId, frequency, periodStart) => {
+  const field = `lastDigestAt.${frequency}`;
+  const previous = await NotificationPreference.findOneAndUpdate(
+    {
+      userId,
+      $or: [{ [field]: null }, { [field]: { $lt: periodStart } }],
+    },
+    { $set: { [field]: periodStart } }
+  );
+  return previous
+    ? { claimed: true, previousAt: previous.lastDigestAt?.[frequency] || null }
+    : { claimed: false };
+};
+
+const sendDigest = async (userId, frequency, periodStart) => {
+  const items = await DigestItem.find({
+    userId,
+    frequency,
+    status: "pending",
+    createdAt: { $lt: periodStart },
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_DIGEST_ITEMS)
+    .lean();
+  if (items.length === 0) return;
+
+  const to = await getEmailAddress(userId);
+  if (to) {
+    await sendMail({ to, ...renderDigestEmail(frequency, items) });
+  }
+  await DigestItem.updateMany(
+    { _id: { $in: items.map((item) => item._id) } },
+    { $set: { status: to ? "sent" : "skipped", sentAt: new Date() } }
+  );
+};
+
+const sendDueDigests = async (frequency, now) => {
+  const periodStart = getPeriodStart(frequency, now);
+  const userIds = await DigestItem.distinct("userId", {
+    frequency,
+    status: "pending",
+    createdAt: { $lt: periodStart },
+  });
+
+  for (const userId of userIds) {
+    const { claimed, previousAt } = await claimDigest(
+      userId,
+      frequency,
+      periodStart
+    );
+    if (!claimed) continue;
+
+    try {
+      await sendDigest(userId, frequency, periodStart);
+    } catch (error) {
+      console.error(`${frequency} digest failed for user ${userId}:`, error);
+      // Release the period so the next run tries again
+      await NotificationPreference.updateOne(
+        { userId, [`lastDigestAt.${frequency}`]: periodStart },
+        { $set: { [`lastDigestAt.${frequency}`]: previousAt } }
+      );
+    }
+  }
+};
+
+const runDigests = async () => {
+  if (isSending) return;
+  isSending = true;
+
+  try {
+    const now = new Date();
+    await sendDueDigests("daily", now);
+    await sendDueDigests("weekly", now);
+  } catch (error) {
+    console.error("Digest scheduler error:", error);
+  } finally {
+    isSending = false;
+  }
+};
+
+const scheduleNextRun = () => {
+  if (!isRunning) return;
+  digestTimer = setTimeout(async () => {
+    await runDigests();
+    scheduleNextRun();
+  }, DIGEST_INTERVAL_MS);
+};
+
+const startDigestScheduler = () => {
+  if (isRunning) return;
+  if (!isEmailConfigured()) {
+    console.log("Digest scheduler not started: SMTP_URL is not set");
+    return;
+  }
+
+  isRunning = true;
+  console.log("Digest scheduler started:", {
+    intervalMs: DIGEST_INTERVAL_MS,
+    digestHourUtc: DIGEST_HOUR_UTC,
+  });
+
+  runDigests().then(scheduleNextRun);
+};
+
+const stopDigestScheduler = () => {
+  isRunning = false;
+  if (digestTimer) {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+  }
+};
+
+module.exports = {
+  CHANNELS,
+  EMAIL_EVENTS: Object.keys(EMAIL_TEMPLATES),
+  NotificationPreferenceError,
+  getPreferences,
+  updatePreferences,
+  sendToPreferredChannel,
+  sendTestEmail,
+  startDigestScheduler,
+  stopDigestScheduler,
+};
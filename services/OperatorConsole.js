@@ -0,0 +1,712 @@
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
+const OperatorAction = require("../models/OperatorAction");
+const {
+  LENDING_REGISTRY_ABI,
+  LENDING_POOL_ABI,
+} = require("../utils/contractAbis");
+const {
+  POOL_TIERS,
+  getRegistry,
+  getPools,
+  getPool,
+} = require("./LendingPools");
+
+// Local node forked from the live chain (anvil or hardhat node) used for dry
+// runs. Each run is reverted to a snapshot afterwards.
+const FORK_RPC_URL = process.env.OPERATOR_FORK_RPC_URL;
+
+// How long a destructive action waits for its confirmation
+const CONFIRMATION_WINDOW_MS = 10 * 60 * 1000;
+
+class OperatorActionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "OperatorActionError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Params are entered in display units: DEV, percent and SCORS (9.5), and
+// converted to wei and basis points for the contracts. `role` is the
+// contract role the backend signer needs for the call. Actions with an
+// `unavailable` reason are listed in the catalog but never sent.
+const OPERATOR_ACTIONS = {
+  updateRiskParameters: {
+    contractType: "pool",
+    role: "owner",
+    params: [
+      { name: "maxExposure", type: "ether" },
+      { name: "maxUtilization", type: "percent" },
+      { name: "dailyLimit", type: "ether" },
+      { name: "maxWalletPercentage", type: "percent" },
+    ],
+  },
+  updateRatesAndRequirements: {
+    contractType: "pool",
+    role: "owner",
+    params: [
+      { name: "minScors", type: "scors" },
+      { name: "maxScors", type: "scors" },
+      { name: "baseRate", type: "percent" },
+      { name: "maxRate", type: "percent" },
+    ],
+  },
+  setPaused: {
+    contractType: "pool",
+    role: "operator",
+    params: [{ name: "paused", type: "bool" }],
+  },
+  setWithdrawalsEnabled: {
+    contractType: "pool",
+    role: "operator",
+    params: [{ name: "enabled", type: "bool" }],
+  },
+  processDefault: {
+    contractType: "pool",
+    role: "operator",
+    destructive: true,
+    params: [{ name: "tokenId", type: "uint" }],
+    confirmationPhrase: (params) => `default project ${params.tokenId}`,
+  },
+  emergencyFundRecovery: {
+    contractType: "pool",
+    role: "owner",
+    destructive: true,
+    params: [
+      { name: "recipient", type: "address" },
+      { name: "amount", type: "ether" },
+    ],
+    confirmationPhrase: (params) => `recover ${params.amount} DEV`,
+  },
+  // Registry setters take the risk tier as their first argument
+  setScoreRequirements: {
+    contractType: "registry",
+    role: "owner",
+    params: [
+      { name: "minScore", type: "scors" },
+      { name: "maxScore", type: "scors" },
+    ],
+  },
+  setInterestRates: {
+    contractType: "registry",
+    role: "owner",
+    params: [
+      { name: "baseRate", type: "percent" },
+      { name: "maxRate", type: "percent" },
+    ],
+  },
+  setCoverageRate: {
+    contractType: "registry",
+    role: "owner",
+    params: [{ name: "rate", type: "percent" }],
+  },
+  // onlyAuthorizedPool, and the registry also requires msg.sender to be the
+  // defaulted loan's own pool, so no wallet the backend holds can call it
+  claimInsuranceCoverage: {
+    contractType: "registry",
+    role: "pool",
+    destructive: true,
+    params: [
+      { name: "tokenId", type: "uint" },
+      { name: "amount", type: "ether" },
+    ],
+    unavailable:
+      "Only the defaulted loan's pool contract can claim insurance coverage, so the console can't send it",
+  },
+};
+
+const toBasisPoints = (name, value) => {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < 0) {
+    throw new OperatorActionError(`${name} must be a non-negative number`);
+  }
+  return Math.round(number * 100);
+};
+
+const encodeParam = (param, value) => {
+  if (value === undefined || value === null) {
+    throw new OperatorActionError(`${param.name} is required`);
+  }
+
+  switch (param.type) {
+    case "ether":
+      try {
+        const wei = ethers.utils.parseEther(String(value));
+        if (wei.gte(0)) return wei;
+      } catch (error) {
+        // Reported below
+      }
+      throw new OperatorActionError(`${param.name} must be a DEV amount`);
+    case "percent":
+    case "scors":
+      return toBasisPoints(param.name, value);
+    case "bool":
+      if (typeof value !== "boolean") {
+        throw new OperatorActionError(`${param.name} must be true or false`);
+      }
+      return value;
+    case "address":
+      if (!ethers.utils.isAddress(value)) {
+        throw new OperatorActionError(`${param.name} must be an address`);
+      }
+      return ethers.utils.getAddress(value);
+    case "uint":
+      if (!/^\d+$/.test(String(value))) {
+        throw new OperatorActionError(`${param.name} must be a whole number`);
+      }
+      return ethers.BigNumber.from(String(value));
+    default:
+      throw new Error(`Unknown operator param type: ${param.type}`);
+  }
+};
+
+/**
+ * Validates an operator request and resolves the contract it targets.
+ * Throws OperatorActionError for anything the console should not send.
+ */
+const buildCall = async (provider, { action, riskTier, params = {} }) => {
+  const definition = OPERATOR_ACTIONS[action];
+  if (!definition) {
+    throw new OperatorActionError(`Unknown operator action: ${action}`);
+  }
+  if (definition.unavailable) {
+    throw new OperatorActionError(definition.unavailable, 409);
+  }
+  const tier = POOL_TIERS.find((entry) => entry.riskTier === Number(riskTier));
+  if (!tier) {
+    throw new OperatorActionError("riskTier must be 1, 2 or 3");
+  }
+
+  const values = {};
+  const args = definition.params.map((param) => {
+    values[param.name] = params[param.name];
+    return encodeParam(param, params[param.name]);
+  });
+
+  let contract;
+  let targetName;
+  if (definition.contractType === "pool") {
+    const pool = await getPool(provider, tier.riskTier);
+    contract = new ethers.Contract(pool.address, LENDING_POOL_ABI, provider);
+    targetName = `${tier.name} pool`;
+  } else {
+    contract = getRegistry(provider);
+    targetName = `registry (${tier.name} tier)`;
+    args.unshift(tier.riskTier);
+  }
+
+  const paramSummary = definition.params
+    .map((param) => `${param.name}=${values[param.name]}`)
+    .join(", ");
+
+  return {
+    action,
+    definition,
+    contract,
+    riskTier: tier.riskTier,
+    targetName,
+    params: values,
+    args,
+    summary: `${action}(${paramSummary}) on the ${targetName}`,
+  };
+};
+
+const getRevertReason = (error) =>
+  error.reason || error.error?.message || error.message;
+
+const checkSignerRole = async (call, signerAddress) => {
+  const { contract, definition } = call;
+  const holders = await Promise.all(
+    definition.role === "operator"
+      ? [contract.owner(), contract.operator()]
+      : [contract.owner()]
+  );
+  const address = signerAddress.toLowerCase();
+  if (!holders.some((holder) => holder.toLowerCase() === address)) {
+    throw new OperatorActionError(
+      `The backend signer is not the ${definition.role} of the ${call.targetName}`,
+      409
+    );
+  }
+};
+
+const formatEther = (value) => ethers.utils.formatEther(value);
+const formatBasisPoints = (value) => value.toNumber() / 100;
+const formatValue = (value) => value;
+
+const POOL_STATE = {
+  maxExposurePerProject: formatEther,
+  maxUtilizationRate: formatBasisPoints,
+  dailyOutflowLimit: formatEther,
+  maxWalletPercentage: formatBasisPoints,
+  minScorsRequirement: formatBasisPoints,
+  maxScorsRequirement: formatBasisPoints,
+  baseInterestRate: formatBasisPoints,
+  maxInterestRate: formatBasisPoints,
+  isPaused: formatValue,
+  withdrawalsEnabled: formatValue,
+};
+
+const REGISTRY_TIER_STATE = {
+  minScoreRequirement: formatBasisPoints,
+  maxScoreRequirement: formatBasisPoints,
+  baseInterestRate: formatBasisPoints,
+  maxInterestRate: formatBasisPoints,
+  coverageRate: formatBasisPoints,
+};
+
+const readGetters = async (getters, read) => {
+  const keys = Object.keys(getters);
+  const values = await Promise.all(keys.map(read));
+  const state = {};
+  keys.forEach((key, i) => {
+    state[key] = getters[key](values[i]);
+  });
+  return state;
+};
+
+// The parameters the console can change plus the balances that move when a
+// default or recovery goes through
+const readPoolState = async (contract) => {
+  const [state, stats, balance] = await Promise.all([
+    readGetters(POOL_STATE, (key) => contract[key]()),
+    contract.getPoolStats(),
+    contract.provider.getBalance(contract.address),
+  ]);
+  return {
+    ...state,
+    tvl: formatEther(stats.tvl),
+    utilization: formatBasisPoints(stats.utilized),
+    activeLoans: stats.activeLoans.toNumber(),
+    tokenPrice: formatEther(stats.currentPrice),
+    balance: formatEther(balance),
+  };
+};
+
+const readRegistryTierState = (contract, riskTier) =>
+  readGetters(REGISTRY_TIER_STATE, (key) => contract[key](riskTier));
+
+const readCallState = async (call, contract) => {
+  if (call.definition.contractType === "pool") {
+    return readPoolState(contract);
+  }
+  const [state, insuranceFundBalance] = await Promise.all([
+    readRegistryTierState(contract, call.riskTier),
+    contract.insuranceFundBalance(),
+  ]);
+  return { ...state, insuranceFundBalance: formatEther(insuranceFundBalance) };
+};
+
+const diffState = (before, after) =>
+  Object.keys(after)
+    .filter((key) => before[key] !== after[key])
+    .map((key) => ({ key, before: before[key], after: after[key] }));
+
+const eventInterfaces = [
+  new ethers.utils.Interface(LENDING_POOL_ABI),
+  new ethers.utils.Interface(LENDING_REGISTRY_ABI),
+];
+
+const parseEvents = (logs) =>
+  logs
+    .map((log) => {
+      for (const iface of eventInterfaces) {
+        try {
+          const parsed = iface.parseLog(log);
+          const args = {};
+          parsed.eventFragment.inputs.forEach((input, i) => {
+            args[input.name] = parsed.args[i].toString();
+          });
+          return { address: log.address, event: parsed.name, args };
+        } catch (error) {
+          // Not this interface
+        }
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+const isForkConfigured = () => !!FORK_RPC_URL;
+
+/**
+ * Runs the call on the forked node as the backend signer and reports the
+ * events and state changes it produced. The fork is reverted afterwards, so
+ * nothing persists between dry runs.
+ */
+const simulateOnFork = async (call, signerAddress) => {
+  if (!FORK_RPC_URL) {
+    throw new OperatorActionError("Dry runs are not configured", 503);
+  }
+
+  const fork = new ethers.providers.JsonRpcProvider(FORK_RPC_URL);
+  const [forkBlock, liveBlock] = await Promise.all([
+    fork.getBlockNumber(),
+    call.contract.provider.getBlockNumber(),
+  ]);
+  const snapshotId = await fork.send("evm_snapshot", []);
+
+  try {
+    await fork.send("hardhat_impersonateAccount", [signerAddress]);
+    const contract = call.contract.connect(fork.getSigner(signerAddress));
+    const before = await readCallState(call, contract);
+
+    try {
+      await contract.callStatic[call.action](...call.args);
+    } catch (error) {
+      return {
+        success: false,
+        forkBlock,
+        liveBlock,
+        error: getRevertReason(error),
+        events: [],
+        stateChanges: [],
+      };
+    }
+
+    const tx = await contract[call.action](...call.args);
+    const receipt = await tx.wait();
+    const after = await readCallState(call, contract);
+
+    return {
+      success: receipt.status === 1,
+      forkBlock,
+      liveBlock,
+      gasUsed: receipt.gasUsed.toString(),
+      events: parseEvents(receipt.logs),
+      stateChanges: diffState(before, after),
+    };
+  } finally {
+    // The fork is reverted first, so a failure to stop impersonating can't
+    // leave the simulated call applied for the next one
+    await fork.send("evm_revert", [snapshotId]);
+    await fork
+      .send("hardhat_stopImpersonatingAccount", [signerAddress])
+      .catch((error) =>
+        console.error("Failed to stop impersonating on the fork:", error)
+      );
+  }
+};
+
+const createActionRecord = (userId, call, fields) =>
+  OperatorAction.create({
+    userId,
+    action: call.action,
+    contractType: call.definition.contractType,
+    contractAddress: call.contract.address,
+    riskTier: call.riskTier,
+    params: call.params,
+    args: call.args.map(String),
+    summary: call.summary,
+    destructive: !!call.definition.destructive,
+    ...fields,
+  });
+
+const settleRecord = async (record, receipt) => {
+  record.status = receipt.status === 1 ? "confirmed" : "failed";
+  record.blockNumber = receipt.blockNumber;
+  if (receipt.status !== 1) record.error = "Transaction reverted";
+  await record.save();
+};
+
+// Runs after the request has returned, so a slow block doesn't hold it open.
+// Actions still submitted after a restart are settled by
+// refreshSubmittedActions instead.
+const trackReceipt = (record, tx, call) =>
+  tx
+    .wait()
+    .then((receipt) => settleRecord(record, receipt))
+    .catch(async (error) => {
+      console.error(`Operator action ${call.action} failed:`, error);
+      record.status = "failed";
+      record.error = getRevertReason(error);
+      record.blockNumber = error.receipt?.blockNumber ?? null;
+      await record.save();
+    })
+    .catch((error) => {
+      console.error(`Failed to record operator action ${record._id}:`, error);
+    });
+
+// Checks the call against the live chain before sending it, so reverts are
+// reported without spending gas. Once sent the record is returned as
+// submitted with its hash, and confirmed or failed when the receipt arrives.
+const submitCall = async (record, call, signer) => {
+  let tx;
+  try {
+    const signerAddress = await signer.getAddress();
+    record.signerAddress = signerAddress;
+    await checkSignerRole(call, signerAddress);
+
+    const contract = call.contract.connect(signer);
+    await contract.callStatic[call.action](...call.args);
+    tx = await contract[call.action](...call.args);
+  } catch (error) {
+    console.error(`Operator action ${call.action} failed:`, error);
+    record.status = "failed";
+    record.error = getRevertReason(error);
+    await record.save();
+    return record;
+  }
+
+  record.status = "submitted";
+  record.transactionHash = tx.hash;
+  await record.save();
+  trackReceipt(record, tx, call);
+  return record;
+};
+
+/**
+ * Settles submitted actions whose receipts arrived while nothing was waiting
+ * on them, e.g. across a restart. Transactions still pending are left alone.
+ */
+const refreshSubmittedActions = async (provider) => {
+  const submitted = await OperatorAction.find({
+    status: "submitted",
+    transactionHash: { $ne: null },
+  });
+  await Promise.all(
+    submitted.map(async (record) => {
+      try {
+        const receipt = await provider.getTransactionReceipt(
+          record.transactionHash
+        );
+        if (receipt) await settleRecord(record, receipt);
+      } catch (error) {
+        console.error(
+          `Failed to refresh operator action ${record._id}:`,
+          error
+        );
+      }
+    })
+  );
+};
+
+const simulateOperatorAction = async (signer, userId, input) => {
+  const call = await buildCall(signer.provider, input);
+  const signerAddress = await signer.getAddress();
+  const simulation = await simulateOnFork(call, signerAddress);
+
+  return createActionRecord(userId, call, {
+    dryRun: true,
+    status: "simulated",
+    signerAddress,
+    simulation,
+  });
+};
+
+/**
+ * Sends a non-destructive action straight away. Destructive ones are only
+ * recorded, with a dry run when a fork is configured, and wait for
+ * confirmOperatorAction with the confirmation phrase.
+ */
+const requestOperatorAction = async (signer, userId, input) => {
+  const call = await buildCall(signer.provider, input);
+
+  if (!call.definition.destructive) {
+    const record = await createActionRecord(userId, call, {
+      status: "submitted",
+    });
+    return submitCall(record, call, signer);
+  }
+
+  const signerAddress = await signer.getAddress();
+  let simulation = null;
+  if (isForkConfigured()) {
+    try {
+      simulation = await simulateOnFork(call, signerAddress);
+    } catch (error) {
+      console.error(`Dry run for ${call.action} failed:`, error);
+      simulation = { success: false, error: getRevertReason(error) };
+    }
+  }
+
+  return createActionRecord(userId, call, {
+    status: "awaiting_confirmation",
+    signerAddress,
+    simulation,
+    confirmationPhrase: call.definition.confirmationPhrase(call.params),
+    expiresAt: new Date(Date.now() + CONFIRMATION_WINDOW_MS),
+  });
+};
+
+const findPendingAction = async (actionId) => {
+  const record = mongoose.Types.ObjectId.isValid(actionId)
+    ? await OperatorAction.findById(actionId)
+    : null;
+  if (!record) {
+    throw new OperatorActionError("Operator action not found", 404);
+  }
+  if (record.status !== "awaiting_confirmation") {
+    throw new OperatorActionError(
+      `This action is ${record.status.replace("_", " ")}`,
+      409
+    );
+  }
+  if (record.expiresAt <= new Date()) {
+    throw new OperatorActionError(
+      "The confirmation window has passed. Request the action again.",
+      410
+    );
+  }
+  return record;
+};
+
+const confirmOperatorAction = async (
+  signer,
+  userId,
+  actionId,
+  confirmationPhrase
+) => {
+  const pending = await findPendingAction(actionId);
+  if (String(confirmationPhrase || "").trim() !== pending.confirmationPhrase) {
+    throw new OperatorActionError(
+      `Type "${pending.confirmationPhrase}" to confirm this action`
+    );
+  }
+
+  // Rebuilt from the stored request so the confirmed call is exactly the one
+  // that was reviewed
+  const call = await buildCall(signer.provider, {
+    action: pending.action,
+    riskTier: pending.riskTier,
+    params: pending.params,
+  });
+  if (call.contract.address.toLowerCase() !== pending.contractAddress) {
+    throw new OperatorActionError(
+      "The registry now points this tier at a different contract. Request the action again.",
+      409
+    );
+  }
+
+  // Claimed atomically so a double-submitted confirm only sends once
+  const record = await OperatorAction.findOneAndUpdate(
+    {
+      _id: pending._id,
+      status: "awaiting_confirmation",
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        status: "submitted",
+        confirmedBy: userId,
+        confirmedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!record) {
+    throw new OperatorActionError("This action is no longer pending", 409);
+  }
+
+  return submitCall(record, call, signer);
+};
+
+const cancelOperatorAction = async (userId, actionId) => {
+  const pending = await findPendingAction(actionId);
+  const record = await OperatorAction.findOneAndUpdate(
+    { _id: pending._id, status: "awaiting_confirmation" },
+    { $set: { status: "cancelled", confirmedBy: userId } },
+    { new: true }
+  );
+  if (!record) {
+    throw new OperatorActionError("This action is no longer pending", 409);
+  }
+  return record;
+};
+
+const listOperatorActions = async ({ page, limit }) => {
+  const [actions, total] = await Promise.all([
+    OperatorAction.find()
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", "ethereumAddress")
+      .populate("confirmedBy", "ethereumAddress")
+      .lean(),
+    OperatorAction.countDocuments(),
+  ]);
+  return { actions, total, page, limit };
+};
+
+const getActionCatalog = () =>
+  Object.entries(OPERATOR_ACTIONS).map(([action, definition]) => ({
+    action,
+    contractType: definition.contractType,
+    role: definition.role,
+    destructive: !!definition.destructive,
+    params: definition.params,
+    unavailable: definition.unavailable || null,
+  }));
+
+/**
+ * Current parameters of every pool and registry tier, and whether the
+ * backend signer holds the roles the console's actions need.
+ */
+const getOperatorState = async (signer) => {
+  const provider = signer.provider;
+  const signerAddress = (await signer.getAddress()).toLowerCase();
+  const registry = getRegistry(provider);
+
+  const [pools, registryOwner, insuranceFundBalance, tiers] = await Promise.all(
+    [
+      getPools(provider),
+      registry.owner(),
+      registry.insuranceFundBalance(),
+      Promise.all(
+        POOL_TIERS.map(async (tier) => ({
+          riskTier: tier.riskTier,
+          name: tier.name,
+          ...(await readRegistryTierState(registry, tier.riskTier)),
+        }))
+      ),
+    ]
+  );
+
+  const poolStates = await Promise.all(
+    pools.map(async (pool) => {
+      const contract = new ethers.Contract(
+        pool.address,
+        LENDING_POOL_ABI,
+        provider
+      );
+      const [owner, operator, state] = await Promise.all([
+        contract.owner(),
+        contract.operator(),
+        readPoolState(contract),
+      ]);
+      return {
+        ...pool,
+        owner,
+        operator,
+        signerIsOwner: owner.toLowerCase() === signerAddress,
+        signerIsOperator: operator.toLowerCase() === signerAddress,
+        state,
+      };
+    })
+  );
+
+  return {
+    signerAddress,
+    forkConfigured: isForkConfigured(),
+    registry: {
+      address: registry.address.toLowerCase(),
+      owner: registryOwner,
+      signerIsOwner: registryOwner.toLowerCase() === signerAddress,
+      insuranceFundBalance: formatEther(insuranceFundBalance),
+      tiers,
+    },
+    pools: poolStates,
+    actions: getActionCatalog(),
+  };
+};
+
+module.exports = {
+  OperatorActionError,
+  getOperatorState,
+  simulateOperatorAction,
+  requestOperatorAction,
+  confirmOperatorAction,
+  cancelOperatorAction,
+  listOperatorActions,
+  refreshSubmittedActions,
+};
@@ -0,0 +1,240 @@
+const { ethers } = require("ethers");
+const ChainEvent = require("../models/ChainEvent");
+const {
+  LENDING_POOL_ABI,
+  LENDING_MANAGER_ABI,
+  LOAN_PROJECT_MANAGER_ABI,
+} = require("../utils/contractAbis");
+const { getRegistry, getPools } = require("./LendingPools");
+
+// Missed repayments count as a default this long after their deadline,
+// matching ProjectLendingManager.checkOverduePayments
+const DEFAULT_GRACE_PERIOD_SECONDS = 30 * 24 * 60 * 60;
+
+// SCORS is stored as a decimal (e.g. 9.5); the pools and registry take it in
+// basis points (950).
+const toScorsBasisPoints = (scors) => Math.round(Number(scors || 0) * 100);
+
+const formatBasisPoints = (value) =>
+  ethers.BigNumber.from(value).toNumber() / 100;
+
+const getPoolContract = (provider, pool) =>
+  new ethers.Contract(pool.address, LENDING_POOL_ABI, provider);
+
+// A project holds at most one active loan. Returns it, or otherwise the most
+// recent finished one, with the pool it came from.
+const findProjectLoan = async (provider, tokenId) => {
+  const pools = await getPools(provider);
+  const loans = await Promise.all(
+    pools.map(async (pool) => ({
+      pool,
+      loan: await getPoolContract(provider, pool).getLoanDetails(tokenId),
+    }))
+  );
+
+  const issued = loans.filter((entry) => entry.loan.amount.gt(0));
+  return (
+    issued.find((entry) => entry.loan.isActive) ||
+    issued.sort((a, b) =>
+      b.loan.startTime.gt(a.loan.startTime) ? 1 : -1
+    )[0] ||
+    null
+  );
+};
+
+/**
+ * Checks whether the project owner can borrow `amountWei` against the
+ * project, and previews the tier and rate their SCORS would get. The same
+ * SCORS is what the wallet must pass to userApplyForLoan.
+ */
+const checkLoanEligibility = async (
+  provider,
+  { project, owner, amountWei }
+) => {
+  const tokenId = project.tokenId.toString();
+  const scors = Number(owner.scors || 0);
+  const scorsBasisPoints = toScorsBasisPoints(scors);
+  const registry = getRegistry(provider);
+
+  const [[poolAddress, riskTier], interestRate, projectManagerAddress] =
+    await Promise.all([
+      registry.getPoolForScore(scorsBasisPoints),
+      registry.getInterestRateForScore(scorsBasisPoints),
+      registry.getProjectManager(),
+    ]);
+  const projectManager = new ethers.Contract(
+    projectManagerAddress,
+    LOAN_PROJECT_MANAGER_ABI,
+    provider
+  );
+  const [[projectEligible, projectOwner], existing] = await Promise.all([
+    projectManager.checkProjectLoanEligibility(tokenId),
+    findProjectLoan(provider, tokenId),
+  ]);
+
+  const reasons = [];
+  if (!projectEligible) {
+    reasons.push("This project is not eligible for lending yet");
+  }
+  if (
+    !owner.ethereumAddress ||
+    owner.ethereumAddress.toLowerCase() !== projectOwner.toLowerCase()
+  ) {
+    reasons.push("Your linked wallet does not own this project on-chain");
+  }
+  if (existing?.loan.isActive) {
+    reasons.push("This project already has an active loan");
+  }
+
+  let pool = null;
+  let maxAmount = null;
+  if (poolAddress === ethers.constants.AddressZero) {
+    reasons.push(`A SCORS of ${scors} is outside every lending pool's range`);
+  } else {
+    pool = (await getPools(provider)).find(
+      (entry) => entry.address === poolAddress.toLowerCase()
+    );
+    const contract = new ethers.Contract(
+      poolAddress,
+      LENDING_POOL_ABI,
+      provider
+    );
+    const [maxExposure, isPaused] = await Promise.all([
+      contract.maxExposurePerProject(),
+      contract.isPaused(),
+    ]);
+    maxAmount = ethers.utils.formatEther(maxExposure);
+    if (isPaused) {
+      reasons.push("The lending pool for your tier is paused");
+    }
+    if (amountWei && amountWei.gt(maxExposure)) {
+      reasons.push(`Loans from this pool are capped at ${maxAmount} DEV`);
+    }
+  }
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    scors,
+    scorsBasisPoints,
+    riskTier,
+    poolName: pool ? pool.name : null,
+    poolAddress: pool ? pool.address : null,
+    interestRate: formatBasisPoints(interestRate),
+    maxAmount,
+  };
+};
+
+const getRepaymentSchedule = async (manager, now) => {
+  const schedule = await manager.getAllRepaymentMilestones();
+  return Promise.all(
+    schedule.ids.map(async (id, i) => {
+      const amount = schedule.amounts[i];
+      const deadline = schedule.deadlines[i].toNumber();
+      const isPaid = schedule.isPaid[i];
+      // Only unpaid, not-yet-due repayments can still earn a discount
+      const dueAmount =
+        isPaid || now >= deadline
+          ? amount
+          : await manager.calculateEarlyRepaymentDiscount(id);
+
+      return {
+        id: id.toNumber(),
+        amount: ethers.utils.formatEther(amount),
+        dueAmount: ethers.utils.formatEther(dueAmount),
+        discount: ethers.utils.formatEther(amount.sub(dueAmount)),
+        deadline: new Date(deadline * 1000),
+        isPaid,
+        paidAmount: ethers.utils.formatEther(schedule.paidAmounts[i]),
+        paidTime: schedule.paidTimes[i].gt(0)
+          ? new Date(schedule.paidTimes[i].toNumber() * 1000)
+          : null,
+        overdue: !isPaid && now > deadline,
+        defaulted: !isPaid && now > deadline + DEFAULT_GRACE_PERIOD_SECONDS,
+      };
+    })
+  );
+};
+
+const toEventSummary = (event) =>
+  event
+    ? {
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        timestamp: event.blockTimestamp,
+      }
+    : null;
+
+/**
+ * The project's loan as the pool and its ProjectLendingManager see it, with
+ * the repayment schedule and the indexed approval and disbursement.
+ */
+const loadProjectLoan = async (provider, project) => {
+  const tokenId = project.tokenId.toString();
+  const found = await findProjectLoan(provider, tokenId);
+  if (!found) return null;
+
+  const { pool, loan } = found;
+  const [approved, disbursed, latestBlock] = await Promise.all([
+    ChainEvent.findOne({
+      contractAddress: pool.address,
+      event: "LoanApproved",
+      projectTokenId: tokenId,
+    }).sort({ blockNumber: -1 }),
+    ChainEvent.findOne({
+      contractAddress: pool.address,
+      event: "LoanDisbursed",
+      projectTokenId: tokenId,
+    }).sort({ blockNumber: -1 }),
+    provider.getBlock("latest"),
+  ]);
+
+  let repayment = null;
+  if (loan.lendingManager !== ethers.constants.AddressZero) {
+    const manager = new ethers.Contract(
+      loan.lendingManager,
+      LENDING_MANAGER_ABI,
+      provider
+    );
+    const [details, schedule] = await Promise.all([
+      manager.getLoanDetails(),
+      getRepaymentSchedule(manager, latestBlock.timestamp),
+    ]);
+    repayment = {
+      totalRepaid: ethers.utils.formatEther(details.totalRepaid),
+      remainingBalance: ethers.utils.formatEther(details.remainingBalance),
+      schedule,
+    };
+  }
+
+  return {
+    riskTier: pool.riskTier,
+    poolName: pool.name,
+    poolAddress: pool.address,
+    lendingManager: loan.lendingManager,
+    amount: ethers.utils.formatEther(loan.amount),
+    remainingAmount: ethers.utils.formatEther(loan.remainingAmount),
+    interestRate: formatBasisPoints(loan.interestRate),
+    startTime: new Date(loan.startTime.toNumber() * 1000),
+    endTime: new Date(loan.endTime.toNumber() * 1000),
+    isActive: loan.isActive,
+    isDefaulted: loan.isDefaulted,
+    approval: toEventSummary(approved),
+    disbursement: disbursed
+      ? {
+          ...toEventSummary(disbursed),
+          escrow: disbursed.args.escrow,
+          amount: ethers.utils.formatEther(disbursed.args.amount),
+        }
+      : null,
+    repayment,
+  };
+};
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD_SECONDS,
+  toScorsBasisPoints,
+  findProjectLoan,
+  checkLoanEligibility,
+  loadProjectLoan,
+};
@@ -0,0 +1,425 @@
+const { ethers } = require("ethers");
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const ProjectDrift = require("../models/ProjectDrift");
+const {
+  ESCROW_ABI,
+  PROJECT_MANAGER_ABI,
+  FACTORY_ABI,
+} = require("../utils/contractAbis");
+const { getBidAcceptedEvent } = require("./ContractVerifier");
+const { findUserByAddress } = require("./BidSettlement");
+
+// Compares every minted project's record with the project manager, the
+// factory and the project's escrow, and records what differs as ProjectDrift.
+// Repairs only ever move a field from the value it was found with to the
+// chain's value, so they are safe to race across instances.
+const PROJECT_MANAGER_ADDRESS = process.env.PROJECT_MANAGER_ADDRESS;
+const POLL_INTERVAL_MS =
+  Number(process.env.PROJECT_RECONCILER_INTERVAL_MS) || 60 * 60 * 1000;
+const AUTO_REPAIR = process.env.PROJECT_RECONCILER_AUTO_REPAIR === "true";
+
+let provider = null;
+let pollTimer = null;
+let isReconciling = false;
+let isRunning = false;
+
+class ReconciliationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ReconciliationError";
+    this.statusCode = statusCode;
+  }
+}
+
+const isReconcilerConfigured = () => !!PROJECT_MANAGER_ADDRESS;
+
+const getChainContracts = async (chainProvider) => {
+  if (!PROJECT_MANAGER_ADDRESS) {
+    throw new ReconciliationError(
+      "Project reconciliation is not configured",
+      503
+    );
+  }
+  const projectManager = new ethers.Contract(
+    PROJECT_MANAGER_ADDRESS,
+    PROJECT_MANAGER_ABI,
+    chainProvider
+  );
+  const factory = new ethers.Contract(
+    await projectManager.factoryContract(),
+    FACTORY_ABI,
+    chainProvider
+  );
+  return { projectManager, factory };
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Compares one project with the chain and returns the drifts found, with
+ * repairable set where the chain says what the field should hold.
+ */
+const checkProject = async (chainProvider, contracts, project, latestBlock) => {
+  const tokenId = project.tokenId.toString();
+  const drifts = [];
+
+  const [state, [, escrowAddress]] = await Promise.all([
+    contracts.projectManager.getProjectState(tokenId),
+    contracts.factory.getProjectContracts(tokenId),
+  ]);
+
+  if (!state.hasNFT) {
+    drifts.push({
+      field: "tokenId",
+      actual: tokenId,
+      expected: null,
+      detail: `Token ${tokenId} doesn't exist on-chain`,
+    });
+    return drifts;
+  }
+
+  if (escrowAddress === ethers.constants.AddressZero) {
+    if (project.escrowContractAddress) {
+      drifts.push({
+        field: "escrowContractAddress",
+        actual: project.escrowContractAddress,
+        expected: null,
+        detail: "The factory has no escrow for this project",
+      });
+    }
+    return drifts;
+  }
+
+  if (!sameAddress(project.escrowContractAddress, escrowAddress)) {
+    drifts.push({
+      field: "escrowContractAddress",
+      actual: project.escrowContractAddress || null,
+      expected: escrowAddress,
+      repairable: true,
+      detail: project.escrowContractAddress
+        ? "The escrow differs from the one the factory created"
+        : "The escrow the factory created isn't recorded",
+    });
+  }
+
+  const bids = await new ethers.Contract(
+    escrowAddress,
+    ESCROW_ABI,
+    chainProvider
+  ).getProjectBids(tokenId);
+  const selectedIndex = bids.selected.findIndex(Boolean);
+
+  if (selectedIndex === -1) {
+    // Moving a project back to the marketplace is left to an admin
+    if (project.status === "In Negotiation") {
+      drifts.push({
+        field: "status",
+        actual: project.status,
+        expected: "Listed",
+        detail: "In negotiation, but no bid has been accepted on-chain",
+      });
+    }
+    return drifts;
+  }
+
+  const selectedBidder = bids.bidders[selectedIndex];
+  if (project.status === "Listed") {
+    drifts.push({
+      field: "status",
+      actual: project.status,
+      expected: "In Negotiation",
+      repairable: true,
+      detail: `Still listed, but the bid from ${selectedBidder} was accepted on-chain`,
+    });
+  }
+
+  const developer = await findUserByAddress(selectedBidder);
+  if (developer && String(project.developerId) !== String(developer._id)) {
+    drifts.push({
+      field: "developerId",
+      actual: project.developerId || null,
+      expected: developer._id,
+      repairable: true,
+      detail: `The accepted bidder ${selectedBidder} isn't the recorded developer`,
+    });
+  }
+
+  const accepted = await getBidAcceptedEvent(
+    chainProvider,
+    { ...project, escrowContractAddress: escrowAddress },
+    latestBlock
+  );
+  if (!accepted) {
+    drifts.push({
+      field: "bidAcceptedBlock",
+      actual: project.bidAcceptedBlock || null,
+      expected: null,
+      detail: project.bidAcceptedBlock
+        ? `No BidAccepted event at block ${project.bidAcceptedBlock}`
+        : "The block the bid was accepted in isn't recorded or indexed yet",
+    });
+  } else if (accepted.blockNumber !== project.bidAcceptedBlock) {
+    drifts.push({
+      field: "bidAcceptedBlock",
+      actual: project.bidAcceptedBlock || null,
+      expected: accepted.blockNumber,
+      repairable: true,
+      detail: `The bid was accepted in block ${accepted.blockNumber}`,
+    });
+  }
+
+  return drifts;
+};
+
+// Upserts this run's drifts for the project and resolves the open ones it no
+// longer finds. Drifts an admin ignored stay ignored while nothing changes.
+const recordDrifts = async (project, drifts, now) => {
+  await ProjectDrift.updateMany(
+    {
+      projectId: project._id,
+      status: "open",
+      field: { $nin: drifts.map((drift) => drift.field) },
+    },
+    { $set: { status: "resolved", resolvedAt: now } }
+  );
+
+  const recorded = [];
+  for (const drift of drifts) {
+    const ignored = await ProjectDrift.exists({
+      projectId: project._id,
+      field: drift.field,
+      status: "ignored",
+      actual: drift.actual,
+      expected: drift.expected,
+    });
+    if (ignored) continue;
+
+    try {
+      recorded.push(
+        await ProjectDrift.findOneAndUpdate(
+          { projectId: project._id, field: drift.field, status: "open" },
+          {
+            $set: {
+              projectTokenId: project.tokenId.toString(),
+              actual: drift.actual,
+              expected: drift.expected,
+              detail: drift.detail,
+              repairable: !!drift.repairable,
+              lastDetectedAt: now,
+            },
+            $setOnInsert: { firstDetectedAt: now },
+          },
+          { upsert: true, new: true }
+        )
+      );
+    } catch (error) {
+      // Another instance recorded it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return recorded;
+};
+
+const findDrift = async (driftId) => {
+  const drift = mongoose.Types.ObjectId.isValid(driftId)
+    ? await ProjectDrift.findById(driftId)
+    : null;
+  if (!drift) {
+    throw new ReconciliationError("Drift not found", 404);
+  }
+  return drift;
+};
+
+/**
+ * Sets the project field to the chain's value. The drift is claimed first so
+ * only one caller repairs it, and the project is only updated if it still
+ * holds the value the drift was found with. userId is null for automatic
+ * repairs.
+ */
+const repairDrift = async (driftId, userId = null) => {
+  const drift = await findDrift(driftId);
+  if (!drift.repairable) {
+    throw new ReconciliationError("This drift has to be fixed by hand");
+  }
+
+  const now = new Date();
+  const claimed = await ProjectDrift.findOneAndUpdate(
+    { _id: drift._id, status: "open" },
+    { $set: { status: "repaired", repairedBy: userId, repairedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ReconciliationError("This drift is no longer open", 409);
+  }
+
+  const updated = await Project.findOneAndUpdate(
+    {
+      _id: drift.projectId,
+      [drift.field]: drift.actual === null ? { $in: [null] } : drift.actual,
+    },
+    { $set: { [drift.field]: drift.expected } },
+    { new: true }
+  );
+  if (!updated) {
+    await ProjectDrift.updateOne(
+      { _id: drift._id },
+      {
+        $set: { status: "resolved", resolvedAt: now },
+        $unset: { repairedBy: "", repairedAt: "" },
+      }
+    );
+    throw new ReconciliationError(
+      "The project changed since this drift was found, run reconciliation again",
+      409
+    );
+  }
+  return claimed;
+};
+
+const ignoreDrift = async (driftId, userId) => {
+  const drift = await findDrift(driftId);
+  const ignored = await ProjectDrift.findOneAndUpdate(
+    { _id: drift._id, status: "open" },
+    { $set: { status: "ignored", ignoredBy: userId } },
+    { new: true }
+  );
+  if (!ignored) {
+    throw new ReconciliationError("This drift is no longer open", 409);
+  }
+  return ignored;
+};
+
+const listDrifts = async ({ status, page, limit }) => {
+  const filter = status ? { status } : {};
+  const [drifts, total] = await Promise.all([
+    ProjectDrift.find(filter)
+      .sort({ lastDetectedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("projectId", "title status")
+      .lean(),
+    ProjectDrift.countDocuments(filter),
+  ]);
+  return { drifts, total, page, limit };
+};
+
+/**
+ * Checks every minted project against the chain. With autoRepair, repairable
+ * drifts are fixed as they are found. Returns counts for the run.
+ */
+const reconcileProjects = async (
+  chainProvider,
+  { autoRepair = AUTO_REPAIR, repairedBy = null } = {}
+) => {
+  const contracts = await getChainContracts(chainProvider);
+  const latestBlock = await chainProvider.getBlockNumber();
+  const now = new Date();
+  const summary = {
+    projectsChecked: 0,
+    driftsFound: 0,
+    repaired: 0,
+    failed: 0,
+  };
+
+  const cursor = Project.find({ tokenId: { $exists: true, $ne: null } })
+    .select("tokenId status developerId escrowContractAddress bidAcceptedBlock")
+    .lean()
+    .cursor();
+
+  for await (const project of cursor) {
+    try {
+      const drifts = await checkProject(
+        chainProvider,
+        contracts,
+        project,
+        latestBlock
+      );
+      const recorded = await recordDrifts(project, drifts, now);
+      summary.projectsChecked++;
+      summary.driftsFound += recorded.length;
+
+      if (!autoRepair) continue;
+      for (const drift of recorded.filter((entry) => entry.repairable)) {
+        try {
+          await repairDrift(drift._id, repairedBy);
+          summary.repaired++;
+        } catch (error) {
+          if (!(error instanceof ReconciliationError)) throw error;
+        }
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(
+        `Reconciliation failed for project ${project.tokenId}:`,
+        error
+      );
+    }
+  }
+
+  return summary;
+};
+
+const runScheduledReconciliation = async () => {
+  if (isReconciling) return;
+  isReconciling = true;
+
+  try {
+    const summary = await reconcileProjects(provider);
+    if (summary.driftsFound > 0 || summary.failed > 0) {
+      console.log("Project reconciliation:", summary);
+    }
+  } catch (error) {
+    console.error("Project reconciler error:", error);
+  } finally {
+    isReconciling = false;
+  }
+};
+
+const scheduleNextRun = () => {
+  if (!isRunning) return;
+  pollTimer = setTimeout(async () => {
+    await runScheduledReconciliation();
+    scheduleNextRun();
+  }, POLL_INTERVAL_MS);
+};
+
+const startProjectReconciler = (chainProvider) => {
+  if (isRunning) return;
+  if (!chainProvider) {
+    throw new Error("startProjectReconciler requires a provider");
+  }
+  if (!isReconcilerConfigured()) {
+    console.log(
+      "Project reconciler not started: PROJECT_MANAGER_ADDRESS is not set"
+    );
+    return;
+  }
+
+  provider = chainProvider;
+  isRunning = true;
+  console.log("Project reconciler started:", {
+    pollIntervalMs: POLL_INTERVAL_MS,
+    autoRepair: AUTO_REPAIR,
+  });
+
+  runScheduledReconciliation().then(scheduleNextRun);
+};
+
+const stopProjectReconciler = () => {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  ReconciliationError,
+  startProjectReconciler,
+  stopProjectReconciler,
+  reconcileProjects,
+  listDrifts,
+  repairDrift,
+  ignoreDrift,
+};
@@ -0,0 +1,106 @@
+const { createClient } = require("redis");
+
+const NODE_HEARTBEAT_MS = 10000;
+const NODE_TTL_SECONDS = 30;
+
+const presenceKey = (userId) => `ws:presence:${userId}`;
+const nodeKey = (nodeId) => `ws:node:${nodeId}`;
+
+// Redis implementation of the message bus described in MessageBus.js. Pub/sub
+// needs its own connection, so commands and subscriptions use separate
+// clients. Presence is a hash per user of nodeId -> open connections; each
+// node keeps a short-lived heartbeat key so entries left behind by a crashed
+// node are ignored and cleaned up.
+const createRedisMessageBus = async (redisUrl, nodeId) => {
+  const client = createClient({ url: redisUrl });
+  const subscriber = client.duplicate();
+
+  client.on("error", (error) => console.error("Redis client error:", error));
+  subscriber.on("error", (error) =>
+    console.error("Redis subscriber error:", error)
+  );
+
+  await client.connect();
+  await subscriber.connect();
+
+  const localPresence = new Map();
+
+  const heartbeat = () =>
+    client
+      .set(nodeKey(nodeId), "1", { EX: NODE_TTL_SECONDS })
+      .catch((error) => console.error("Redis heartbeat error:", error));
+
+  await heartbeat();
+  const heartbeatInterval = setInterval(heartbeat, NODE_HEARTBEAT_MS);
+
+  const writePresence = async (userId) => {
+    const count = localPresence.get(userId) || 0;
+    if (count > 0) {
+      await client.hSet(presenceKey(userId), nodeId, count);
+    } else {
+      await client.hDel(presenceKey(userId), nodeId);
+    }
+  };
+
+  console.log(`Redis message bus connected as node ${nodeId}`);
+
+  return {
+    nodeId,
+
+    publish: async (channel, payload) => {
+      await client.publish(channel, JSON.stringify(payload));
+    },
+
+    subscribe: async (channel, handler) => {
+      await subscriber.subscribe(channel, (raw) => {
+        try {
+          handler(JSON.parse(raw));
+        } catch (error) {
+          console.error(`Message bus handler error on ${channel}:`, error);
+        }
+      });
+    },
+
+    addPresence: async (userId) => {
+      localPresence.set(userId, (localPresence.get(userId) || 0) + 1);
+      await writePresence(userId);
+    },
+
+    removePresence: async (userId) => {
+      const count = (localPresence.get(userId) || 0) - 1;
+      if (count > 0) {
+        localPresence.set(userId, count);
+      } else {
+        localPresence.delete(userId);
+      }
+      await writePresence(userId);
+    },
+
+    isUserOnline: async (userId) => {
+      const nodes = await client.hGetAll(presenceKey(userId));
+      for (const presentNodeId of Object.keys(nodes)) {
+        if (await client.exists(nodeKey(presentNodeId))) {
+          return true;
+        }
+        await client.hDel(presenceKey(userId), presentNodeId);
+      }
+      return false;
+    },
+
+    close: async () => {
+      clearInterval(heartbeatInterval);
+      await Promise.all(
+        [...localPresence.keys()].map((userId) =>
+          client.hDel(presenceKey(userId), nodeId)
+        )
+      );
+      await client.del(nodeKey(nodeId));
+      await subscriber.quit();
+      await client.quit();
+    },
+  };
+};
+
+module.exports = {
+  createRedisMessageBus,
+};
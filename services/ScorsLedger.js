@@ -0,0 +1,156 @@
+const ScorsEvent = require("../models/ScorsEvent");
+const ScorsRuleSet = require("../models/ScorsRuleSet");
+const User = require("../models/User");
+const {
+  DEFAULT_RULES,
+  withDefaultRules,
+  foldScore,
+} = require("../utils/scorsRules");
+
+// One key per user per domain event. contract_created, for example, is
+// reported both when milestones are added and when the contract is
+// generated, and only the first report counts.
+const buildIdempotencyKey = ({ type, userId, projectId, milestoneId }) =>
+  [type, projectId, milestoneId, userId]
+    .filter((part) => part !== undefined && part !== null)
+    .map(String)
+    .join(":");
+
+const loadUserEvents = (userId) =>
+  ScorsEvent.find({ userId }).sort({ occurredAt: 1, _id: 1 }).lean();
+
+// The admin-activated rule set, or the built-in rules (version null) until
+// one has been activated
+const getActiveRules = async () => {
+  const ruleSet = await ScorsRuleSet.findOne({ status: "active" })
+    .select("version rules")
+    .lean();
+  return ruleSet
+    ? { version: ruleSet.version, rules: withDefaultRules(ruleSet.rules) }
+    : { version: null, rules: DEFAULT_RULES };
+};
+
+/**
+ * Folds the user's whole event log into their score and stores it on the
+ * user. scorsEventCount only moves forward, so when two events land at once
+ * the recompute that read fewer events can't overwrite the newer score.
+ */
+const recomputeUserScore = async (userId) => {
+  const [events, { rules }] = await Promise.all([
+    loadUserEvents(userId),
+    getActiveRules(),
+  ]);
+  const { score } = foldScore(events, rules);
+
+  await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { scorsEventCount: { $exists: false } },
+        { scorsEventCount: { $lte: events.length } },
+      ],
+    },
+    { $set: { scors: score, scorsEventCount: events.length } },
+    // scorsEventCount is bookkeeping for this guard and isn't in the schema
+    { strict: false }
+  );
+
+  return score;
+};
+
+// Used after a rule set is activated. Returns how many users were rescored.
+const recomputeAllScores = async () => {
+  const userIds = await ScorsEvent.distinct("userId");
+  for (const userId of userIds) {
+    await recomputeUserScore(userId);
+  }
+  return userIds.length;
+};
+
+/**
+ * Records a score-affecting event and returns the user's new score, or null
+ * if the event had already been recorded.
+ */
+const recordScorsEvent = async ({
+  type,
+  userId,
+  role = null,
+  projectId = null,
+  milestoneId = null,
+  occurredAt = new Date(),
+  metadata = {},
+}) => {
+  if (!userId) {
+    throw new Error(`recordScorsEvent called without a userId for ${type}`);
+  }
+
+  try {
+    await ScorsEvent.create({
+      userId,
+      idempotencyKey: buildIdempotencyKey({
+        type,
+        userId,
+        projectId,
+        milestoneId,
+      }),
+      type,
+      role,
+      projectId,
+      milestoneId: milestoneId === null ? null : String(milestoneId),
+      occurredAt,
+      metadata,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return recomputeUserScore(userId);
+};
+
+/**
+ * The user's score with every event that contributed to it, newest first.
+ */
+const getScorsHistory = async (userId) => {
+  const [events, { version, rules }] = await Promise.all([
+    loadUserEvents(userId),
+    getActiveRules(),
+  ]);
+  const { score, contributions } = foldScore(events, rules);
+
+  const totalsByType = {};
+  for (const contribution of contributions) {
+    const { type } = contribution.event;
+    totalsByType[type] =
+      Math.round(((totalsByType[type] || 0) + contribution.applied) * 100) /
+      100;
+  }
+
+  return {
+    score,
+    ruleSetVersion: version,
+    totalsByType,
+    contributions: contributions.reverse().map((contribution) => ({
+      id: contribution.event._id,
+      type: contribution.event.type,
+      role: contribution.event.role,
+      projectId: contribution.event.projectId,
+      milestoneId: contribution.event.milestoneId,
+      occurredAt: contribution.event.occurredAt,
+      reason: contribution.reason,
+      delta: contribution.delta,
+      weight: contribution.weight,
+      applied: contribution.applied,
+      scoreBefore: contribution.scoreBefore,
+      scoreAfter: contribution.scoreAfter,
+    })),
+  };
+};
+
+module.exports = {
+  getActiveRules,
+  recordScorsEvent,
+  recomputeUserScore,
+  recomputeAllScores,
+  getScorsHistory,
+};
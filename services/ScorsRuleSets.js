@@ -0,0 +1,336 @@
+const mongoose = require("mongoose");
+const ScorsEvent = require("../models/ScorsEvent");
+const ScorsRuleSet = require("../models/ScorsRuleSet");
+const {
+  DEFAULT_RULES,
+  withDefaultRules,
+  validateRules,
+  foldScore,
+} = require("../utils/scorsRules");
+const { getActiveRules, recomputeAllScores } = require("./ScorsLedger");
+const {
+  isLendingConfigured,
+  getScoreTiers,
+  priceScore,
+} = require("./LendingPools");
+const { toScorsBasisPoints } = require("./ProjectLoans");
+
+// How many of the largest score changes a backtest keeps for review
+const BACKTEST_SAMPLE_SIZE = 25;
+
+class ScorsRuleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ScorsRuleError";
+    this.statusCode = statusCode;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const assertValidRules = (rules) => {
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    throw new ScorsRuleError(`Invalid rule set: ${errors.join("; ")}`);
+  }
+};
+
+const findRuleSet = async (ruleSetId) => {
+  const ruleSet = mongoose.Types.ObjectId.isValid(ruleSetId)
+    ? await ScorsRuleSet.findById(ruleSetId)
+    : null;
+  if (!ruleSet) {
+    throw new ScorsRuleError("Rule set not found", 404);
+  }
+  return ruleSet;
+};
+
+// Every version newest first, with the built-in rules for reference since
+// they apply until a version is activated
+const listRuleSets = async () => {
+  const ruleSets = await ScorsRuleSet.find().sort({ version: -1 }).lean();
+  const active = ruleSets.find((ruleSet) => ruleSet.status === "active");
+  return {
+    activeVersion: active ? active.version : null,
+    builtInRules: DEFAULT_RULES,
+    ruleSets,
+  };
+};
+
+const getRuleSet = async (ruleSetId) =>
+  (await findRuleSet(ruleSetId)).toObject();
+
+/**
+ * Creates a draft version. The rules default to a copy of basedOnVersion, or
+ * of whatever is active, so an admin can start from the current scoring or
+ * roll back to an older version by copying it.
+ */
+const createRuleSet = async (userId, { rules, notes, basedOnVersion }) => {
+  let draftRules = rules;
+  if (!draftRules) {
+    if (basedOnVersion !== undefined && basedOnVersion !== null) {
+      const base = await ScorsRuleSet.findOne({
+        version: Number(basedOnVersion),
+      }).lean();
+      if (!base) {
+        throw new ScorsRuleError(`Version ${basedOnVersion} not found`, 404);
+      }
+      draftRules = withDefaultRules(base.rules);
+    } else {
+      draftRules = (await getActiveRules()).rules;
+    }
+  }
+  assertValidRules(draftRules);
+
+  const latest = await ScorsRuleSet.findOne()
+    .sort({ version: -1 })
+    .select("version")
+    .lean();
+
+  try {
+    return await ScorsRuleSet.create({
+      version: latest ? latest.version + 1 : 1,
+      rules: draftRules,
+      notes: notes || "",
+      createdBy: userId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ScorsRuleError(
+        "Another version was created at the same time, try again",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Edits a draft. Changing the rules discards its backtest, so activation
+ * always follows a backtest of exactly the rules being activated.
+ */
+const updateRuleSet = async (ruleSetId, { rules, notes }) => {
+  const ruleSet = await findRuleSet(ruleSetId);
+  const update = {};
+  if (rules !== undefined) {
+    assertValidRules(rules);
+    update.rules = rules;
+    update.backtest = null;
+  }
+  if (notes !== undefined) {
+    update.notes = notes;
+  }
+
+  const updated = await ScorsRuleSet.findOneAndUpdate(
+    { _id: ruleSet._id, status: "draft" },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ScorsRuleError("Only draft versions can be edited", 409);
+  }
+  return updated;
+};
+
+/**
+ * Rescores every user's event log under the draft and under the active rules
+ * as of now, and reports how scores, lending tiers and interest rates would
+ * move. Tiers and rates use the registry's current ranges, and are left out
+ * when lending isn't configured. The result is stored on the draft.
+ */
+const backtestRuleSet = async (provider, ruleSetId) => {
+  const ruleSet = await findRuleSet(ruleSetId);
+  if (ruleSet.status !== "draft") {
+    throw new ScorsRuleError("Only draft versions can be backtested", 409);
+  }
+
+  const candidateRules = withDefaultRules(ruleSet.rules);
+  const [active, tiers] = await Promise.all([
+    getActiveRules(),
+    isLendingConfigured() ? getScoreTiers(provider) : null,
+  ]);
+  const asOf = new Date();
+
+  const summary = {
+    comparedWithVersion: active.version,
+    asOf,
+    usersEvaluated: 0,
+    eventsEvaluated: 0,
+    scoresIncreased: 0,
+    scoresDecreased: 0,
+    averageChange: 0,
+    tierChanges: tiers ? { total: 0, transitions: {} } : null,
+    averageRateChange: null,
+    largestChanges: [],
+  };
+  let totalChange = 0;
+  let totalRateChange = 0;
+  let pricedUsers = 0;
+
+  const evaluateUser = (userId, events) => {
+    const before = foldScore(events, active.rules, asOf).score;
+    const after = foldScore(events, candidateRules, asOf).score;
+    const change = round(after - before);
+
+    summary.usersEvaluated++;
+    summary.eventsEvaluated += events.length;
+    totalChange += change;
+    if (change > 0) summary.scoresIncreased++;
+    if (change < 0) summary.scoresDecreased++;
+
+    const result = { userId, before, after, change };
+    if (tiers) {
+      const pricedBefore = priceScore(tiers, toScorsBasisPoints(before));
+      const pricedAfter = priceScore(tiers, toScorsBasisPoints(after));
+      result.tierBefore = pricedBefore.riskTier;
+      result.tierAfter = pricedAfter.riskTier;
+      if (pricedBefore.riskTier !== pricedAfter.riskTier) {
+        const key = `${pricedBefore.riskTier}->${pricedAfter.riskTier}`;
+        summary.tierChanges.total++;
+        summary.tierChanges.transitions[key] =
+          (summary.tierChanges.transitions[key] || 0) + 1;
+      }
+      // Rates only compare for users a pool takes under both versions
+      if (
+        pricedBefore.interestRate !== null &&
+        pricedAfter.interestRate !== null
+      ) {
+        totalRateChange += pricedAfter.interestRate - pricedBefore.interestRate;
+        pricedUsers++;
+      }
+    }
+
+    if (change !== 0) {
+      summary.largestChanges.push(result);
+      summary.largestChanges.sort(
+        (a, b) => Math.abs(b.change) - Math.abs(a.change)
+      );
+      summary.largestChanges.length = Math.min(
+        summary.largestChanges.length,
+        BACKTEST_SAMPLE_SIZE
+      );
+    }
+  };
+
+  // Streams the log in the order foldScore needs, one user at a time, so the
+  // whole log is never held in memory
+  const cursor = ScorsEvent.find()
+    .sort({ userId: 1, occurredAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  let currentUserId = null;
+  let userEvents = [];
+  for await (const event of cursor) {
+    const userId = event.userId.toString();
+    if (userId !== currentUserId) {
+      if (currentUserId) evaluateUser(currentUserId, userEvents);
+      currentUserId = userId;
+      userEvents = [];
+    }
+    userEvents.push(event);
+  }
+  if (currentUserId) evaluateUser(currentUserId, userEvents);
+
+  if (summary.usersEvaluated > 0) {
+    summary.averageChange = round(totalChange / summary.usersEvaluated);
+  }
+  if (pricedUsers > 0) {
+    summary.averageRateChange = round(totalRateChange / pricedUsers);
+  }
+
+  // Only stored if the rules weren't edited while the backtest ran
+  await ScorsRuleSet.updateOne(
+    { _id: ruleSet._id, status: "draft", updatedAt: ruleSet.updatedAt },
+    { $set: { backtest: summary } }
+  );
+  return summary;
+};
+
+/**
+ * Activates a backtested draft, retires the version it replaces and rescores
+ * every user under it. The backtest must have compared against the version
+ * being replaced, so the admin saw the impact of this exact switch.
+ */
+const activateRuleSet = async (userId, ruleSetId) => {
+  const ruleSet = await findRuleSet(ruleSetId);
+  if (ruleSet.status !== "draft") {
+    throw new ScorsRuleError("Only draft versions can be activated", 409);
+  }
+  if (!ruleSet.backtest) {
+    throw new ScorsRuleError("Backtest this version before activating it");
+  }
+
+  const active = await ScorsRuleSet.findOne({ status: "active" });
+  const activeVersion = active ? active.version : null;
+  if (ruleSet.backtest.comparedWithVersion !== activeVersion) {
+    throw new ScorsRuleError(
+      "The active version changed since this backtest ran, run it again",
+      409
+    );
+  }
+
+  const now = new Date();
+  if (active) {
+    await ScorsRuleSet.updateOne(
+      { _id: active._id, status: "active" },
+      { $set: { status: "retired", retiredAt: now } }
+    );
+  }
+
+  let activated = null;
+  try {
+    activated = await ScorsRuleSet.findOneAndUpdate(
+      { _id: ruleSet._id, status: "draft", backtest: { $ne: null } },
+      { $set: { status: "active", activatedBy: userId, activatedAt: now } },
+      { new: true }
+    );
+  } catch (error) {
+    // Another activation won the race for the single active slot
+    if (error.code !== 11000) throw error;
+  }
+
+  if (!activated) {
+    // Put back what this call retired rather than leave nothing active
+    if (active) {
+      await ScorsRuleSet.updateOne(
+        { _id: active._id, status: "retired" },
+        { $set: { status: "active" }, $unset: { retiredAt: "" } }
+      ).catch((error) =>
+        console.error(
+          `Failed to restore SCORS rules v${active.version}:`,
+          error
+        )
+      );
+    }
+    throw new ScorsRuleError(
+      "The rule set changed while it was being activated, reload and try again",
+      409
+    );
+  }
+
+  // Rescoring can take a while with many users, so it runs after the response
+  recomputeAllScores()
+    .then((count) =>
+      console.log(
+        `Rescored ${count} users under SCORS rules v${activated.version}`
+      )
+    )
+    .catch((error) =>
+      console.error(
+        `Rescoring under SCORS rules v${activated.version} failed:`,
+        error
+      )
+    );
+
+  return activated;
+};
+
+module.exports = {
+  ScorsRuleError,
+  listRuleSets,
+  getRuleSet,
+  createRuleSet,
+  updateRuleSet,
+  backtestRuleSet,
+  activateRuleSet,
+};
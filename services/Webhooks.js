@@ -0,0 +1,509 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const mongoose = require("mongoose");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+// Notifications of these types are also delivered to the recipient's webhook
+// endpoints, named after the WebSocket frame they are sent in
+const WEBHOOK_EVENTS = [
+  "PROJECT_MINTED",
+  "NEW_BID",
+  "BID_ACCEPTED",
+  "MILESTONES_ADDED",
+  "MILESTONE_COMPLETED",
+  "MILESTONE_VERIFIED",
+  "PROJECT_COMPLETION",
+];
+const TEST_EVENT = "PING";
+
+// Endpoints must be HTTPS on public addresses. Set WEBHOOK_ALLOW_INSECURE to
+// allow http:// and private addresses, e.g. for scripts/webhookReceiver.js.
+const ALLOW_INSECURE = process.env.WEBHOOK_ALLOW_INSECURE === "true";
+const DISPATCH_INTERVAL_MS =
+  Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 10000;
+const MAX_RETRIES = Number(process.env.WEBHOOK_MAX_RETRIES) || 8;
+// 30s, 1m, 2m, ... capped at 6 hours, with jitter
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const DISPATCH_BATCH_SIZE = 25;
+const MAX_ENDPOINTS_PER_USER = 10;
+const MAX_ATTEMPTS_KEPT = 20;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+let dispatchTimer = null;
+let isDispatching = false;
+let isRunning = false;
+
+class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "WebhookError";
+    this.statusCode = statusCode;
+  }
+}
+
+const privateRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix));
+privateRanges.addAddress("::", "ipv6");
+privateRanges.addAddress("::1", "ipv6");
+privateRanges.addSubnet("fc00::", 7, "ipv6");
+privateRanges.addSubnet("fe80::", 10, "ipv6");
+
+const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateRanges.check(mapped[1], "ipv4");
+  return privateRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// Checked again on every connection, so a hostname can't be pointed at an
+// internal address after the endpoint was registered
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (
+      !ALLOW_INSECURE &&
+      addresses.some((entry) => isPrivateAddress(entry.address))
+    ) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const parseEndpointUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch (error) {
+    throw new WebhookError("A valid endpoint URL is required");
+  }
+  if (
+    url.protocol !== "https:" &&
+    !(ALLOW_INSECURE && url.protocol === "http:")
+  ) {
+    throw new WebhookError("Webhook endpoints must use https");
+  }
+  if (url.username || url.password) {
+    throw new WebhookError("Endpoint URLs can't contain credentials");
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (
+    !ALLOW_INSECURE &&
+    (hostname === "localhost" ||
+      (net.isIP(hostname) && isPrivateAddress(hostname)))
+  ) {
+    throw new WebhookError("Webhook endpoints must be publicly reachable");
+  }
+  return url.toString();
+};
+
+const parseEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError("Subscribe to at least one event");
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length) {
+    throw new WebhookError(`Unknown events: ${unknown.join(", ")}`);
+  }
+  return [...new Set(events)];
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Signs `${timestamp}.${body}` with the endpoint's secret. Deliveries carry
+ * it as X-Paxmata-Signature: t=<timestamp>,v1=<hex digest>.
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Checks an X-Paxmata-Signature header against the raw request body, for
+ * receivers written in Node. Old timestamps are rejected so a captured
+ * delivery can't be replayed later.
+ */
+const verifySignature = (
+  secret,
+  header,
+  body,
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+const findOwnEndpoint = async (userId, endpointId) => {
+  const endpoint = mongoose.Types.ObjectId.isValid(endpointId)
+    ? await WebhookEndpoint.findOne({ _id: endpointId, userId })
+    : null;
+  if (!endpoint) {
+    throw new WebhookError("Webhook endpoint not found", 404);
+  }
+  return endpoint;
+};
+
+// The only response that includes the secret, along with rotateSecret
+const createEndpoint = async (userId, { url, events, description }) => {
+  const endpointUrl = parseEndpointUrl(url);
+  const subscribed = parseEvents(events);
+
+  const count = await WebhookEndpoint.countDocuments({ userId });
+  if (count >= MAX_ENDPOINTS_PER_USER) {
+    throw new WebhookError(
+      `You can register at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints`
+    );
+  }
+
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    userId,
+    url: endpointUrl,
+    events: subscribed,
+    description: String(description || ""),
+    secret,
+  });
+  return { ...endpoint.toObject(), secret };
+};
+
+const listEndpoints = (userId) =>
+  WebhookEndpoint.find({ userId }).sort({ createdAt: -1 }).lean();
+
+const updateEndpoint = async (userId, endpointId, changes) => {
+  const endpoint = await findOwnEndpoint(userId, endpointId);
+  if (changes.url !== undefined) endpoint.url = parseEndpointUrl(changes.url);
+  if (changes.events !== undefined) {
+    endpoint.events = parseEvents(changes.events);
+  }
+  if (changes.description !== undefined) {
+    endpoint.description = String(changes.description);
+  }
+  if (changes.active !== undefined) endpoint.active = changes.active === true;
+  await endpoint.save();
+  return endpoint;
+};
+
+// Removes the endpoint and its delivery log
+const deleteEndpoint = async (userId, endpointId) => {
+  const endpoint = await findOwnEndpoint(userId, endpointId);
+  await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+  await endpoint.deleteOne();
+};
+
+const rotateSecret = async (userId, endpointId) => {
+  const endpoint = await findOwnEndpoint(userId, endpointId);
+  const secret = generateSecret();
+  endpoint.secret = secret;
+  await endpoint.save();
+  return { ...endpoint.toObject(), secret };
+};
+
+const kickDispatcher = () => {
+  if (isRunning) setImmediate(dispatchDueDeliveries);
+};
+
+const createDelivery = async (endpoint, eventId, event, payload) => {
+  try {
+    return await WebhookDelivery.create({
+      endpointId: endpoint._id,
+      userId: endpoint.userId,
+      eventId,
+      event,
+      payload,
+    });
+  } catch (error) {
+    // Already queued for this endpoint
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Queues a saved notification for each of the user's active endpoints that
+ * subscribe to its event. Called by deliverNotification in WebSocket.js.
+ */
+const enqueueWebhookEvent = async (userId, event, notification) => {
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+
+  const endpoints = await WebhookEndpoint.find({
+    userId,
+    active: true,
+    events: event,
+  });
+  if (endpoints.length === 0) return;
+
+  const eventId = String(notification._id || crypto.randomUUID());
+  const payload = {
+    id: eventId,
+    event,
+    createdAt: new Date(notification.createdAt || Date.now()).toISOString(),
+    message: notification.message,
+    data: notification.metadata || {},
+  };
+  for (const endpoint of endpoints) {
+    await createDelivery(endpoint, eventId, event, payload);
+  }
+  kickDispatcher();
+};
+
+// Sends a PING to one endpoint, whatever it subscribes to
+const sendTestEvent = async (userId, endpointId) => {
+  const endpoint = await findOwnEndpoint(userId, endpointId);
+  const eventId = crypto.randomUUID();
+  const delivery = await createDelivery(endpoint, eventId, TEST_EVENT, {
+    id: eventId,
+    event: TEST_EVENT,
+    createdAt: new Date().toISOString(),
+    message: "Test event from Paxmata",
+    data: {},
+  });
+  kickDispatcher();
+  return delivery;
+};
+
+const listDeliveries = async (userId, { endpointId, status, page, limit }) => {
+  const filter = { userId };
+  if (endpointId) {
+    filter.endpointId = (await findOwnEndpoint(userId, endpointId))._id;
+  }
+  if (status) filter.status = String(status);
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+  return { deliveries, total, page, limit };
+};
+
+// Dead-lettered and delivered events can be sent again with a fresh set of
+// retries
+const replayDelivery = async (userId, deliveryId) => {
+  const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, userId })
+    : null;
+  if (!delivery) {
+    throw new WebhookError("Delivery not found", 404);
+  }
+
+  const now = new Date();
+  const replayed = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: { $in: ["dead", "succeeded"] } },
+    {
+      $set: {
+        status: "pending",
+        retryCount: 0,
+        nextAttemptAt: now,
+        replayedBy: userId,
+        replayedAt: now,
+      },
+      $unset: { lockedUntil: "", deliveredAt: "" },
+    },
+    { new: true }
+  );
+  if (!replayed) {
+    throw new WebhookError("This delivery is still being retried", 409);
+  }
+  kickDispatcher();
+  return replayed;
+};
+
+const getBackoffMs = (retryCount) =>
+  Math.min(BASE_BACKOFF_MS * 2 ** (retryCount - 1), MAX_BACKOFF_MS) *
+  (0.8 + Math.random() * 0.4);
+
+// Resolves with the response status. Redirects aren't followed.
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        timeout: REQUEST_TIMEOUT_MS,
+      },
+      (response) => {
+        // The body isn't used, only drained
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+        response.on("error", reject);
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Claims the next due delivery, or one whose dispatcher died mid-attempt
+const claimDueDelivery = (now) =>
+  WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "delivering",
+        lockedUntil: new Date(now.getTime() + REQUEST_TIMEOUT_MS * 3),
+      },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+const attemptDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select(
+    "+secret"
+  );
+  const startedAt = new Date();
+  const attempt = { attemptedAt: startedAt };
+
+  if (!endpoint || !endpoint.active) {
+    attempt.error = "The endpoint is disabled";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startedAt.getTime() / 1000);
+    try {
+      attempt.statusCode = await postWebhook(
+        endpoint.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "Paxmata-Webhooks/1.0",
+          "X-Paxmata-Event": delivery.event,
+          "X-Paxmata-Delivery": delivery.eventId,
+          "X-Paxmata-Signature": `t=${timestamp},v1=${signPayload(
+            endpoint.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body
+      );
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `Endpoint responded with ${attempt.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt.getTime();
+
+  const retryCount = delivery.retryCount + 1;
+  const update = attempt.error
+    ? retryCount >= MAX_RETRIES || !endpoint || !endpoint.active
+      ? { status: "dead" }
+      : {
+          status: "pending",
+          nextAttemptAt: new Date(Date.now() + getBackoffMs(retryCount)),
+        }
+    : { status: "succeeded", deliveredAt: new Date() };
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id, status: "delivering" },
+    {
+      $set: { ...update, retryCount },
+      $unset: { lockedUntil: "" },
+      $push: { attempts: { $each: [attempt], $slice: -MAX_ATTEMPTS_KEPT } },
+    }
+  );
+};
+
+const dispatchDueDeliveries = async () => {
+  if (isDispatching) return;
+  isDispatching = true;
+
+  try {
+    for (let i = 0; i < DISPATCH_BATCH_SIZE && isRunning; i++) {
+      const delivery = await claimDueDelivery(new Date());
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error("Webhook dispatcher error:", error);
+  } finally {
+    isDispatching = false;
+  }
+};
+
+const scheduleNextDispatch = () => {
+  if (!isRunning) return;
+  dispatchTimer = setTimeout(async () => {
+    await dispatchDueDeliveries();
+    scheduleNextDispatch();
+  }, DISPATCH_INTERVAL_MS);
+};
+
+const startWebhookDispatcher = () => {
+  if (isRunning) return;
+  isRunning = true;
+  console.log("Webhook dispatcher started:", {
+    dispatchIntervalMs: DISPATCH_INTERVAL_MS,
+    maxRetries: MAX_RETRIES,
+    allowInsecure: ALLOW_INSECURE,
+  });
+
+  dispatchDueDeliveries().then(scheduleNextDispatch);
+};
+
+const stopWebhookDispatcher = () => {
+  isRunning = false;
+  if (dispatchTimer) {
+    clearTimeout(dispatchTimer);
+    dispatchTimer = null;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookError,
+  signPayload,
+  verifySignature,
+  createEndpoint,
+  listEndpoints,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateSecret,
+  enqueueWebhookEvent,
+  sendTestEvent,
+  listDeliveries,
+  replayDelivery,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("../services/Webhooks");
+
+const SECRET = "whsec_test";
+const BODY = JSON.stringify({ event: "milestone.verified", data: { id: 1 } });
+
+const now = () => Math.floor(Date.now() / 1000);
+const headerFor = (timestamp, body = BODY, secret = SECRET) =>
+  `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+test("signs the timestamp and body with HMAC-SHA256", () => {
+  assert.equal(
+    signPayload(SECRET, 1700000000, BODY),
+    crypto
+      .createHmac("sha256", SECRET)
+      .update(`1700000000.${BODY}`)
+      .digest("hex")
+  );
+});
+
+test("verifies a fresh signature", () => {
+  assert.equal(verifySignature(SECRET, headerFor(now()), BODY), true);
+});
+
+test("rejects a signature for another body or secret", () => {
+  const timestamp = now();
+  assert.equal(
+    verifySignature(SECRET, headerFor(timestamp), `${BODY} `),
+    false
+  );
+  assert.equal(
+    verifySignature(SECRET, headerFor(timestamp, BODY, "whsec_other"), BODY),
+    false
+  );
+});
+
+test("rejects a timestamp that doesn't match the signature", () => {
+  const timestamp = now();
+  const digest = signPayload(SECRET, timestamp, BODY);
+  assert.equal(
+    verifySignature(SECRET, `t=${timestamp - 1},v1=${digest}`, BODY),
+    false
+  );
+});
+
+test("rejects timestamps outside the tolerance", () => {
+  assert.equal(verifySignature(SECRET, headerFor(now() - 301), BODY), false);
+  assert.equal(verifySignature(SECRET, headerFor(now() + 301), BODY), false);
+  assert.equal(
+    verifySignature(SECRET, headerFor(now() - 301), BODY, 600),
+    true
+  );
+});
+
+test("rejects missing or malformed headers", () => {
+  const digest = signPayload(SECRET, now(), BODY);
+  for (const header of [
+    undefined,
+    "",
+    `v1=${digest}`,
+    `t=${now()}`,
+    `t=soon,v1=${digest}`,
+    `t=${now()},v1=${digest.slice(0, 10)}`,
+    `t=${now()},v1=not-hex`,
+  ]) {
+    assert.equal(verifySignature(SECRET, header, BODY), false, `${header}`);
+  }
+});
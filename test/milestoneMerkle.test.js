@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const {
+  EMPTY_CHILDREN_HASH,
+  hashMilestoneData,
+  hashPair,
+  computeMerkleRoot,
+  buildMerkleProof,
+  verifyMerkleProof,
+} = require("../utils/milestoneMerkle");
+
+const RECIPIENT = "0x5B38Da6a701c568545dCfcB03FcB875f56beddC4";
+
+const leafFor = (milestoneId) =>
+  hashMilestoneData({
+    milestoneId,
+    parentId: 0,
+    payment: ethers.utils.parseEther("1"),
+    deadline: 1700000000 + milestoneId,
+    timestamp: 1690000000,
+    recipient: RECIPIENT,
+  });
+
+const leavesOf = (count) =>
+  Array.from({ length: count }, (_, i) => leafFor(i + 1));
+
+test("the empty child list hashes like keccak256 of no bytes", () => {
+  assert.equal(
+    EMPTY_CHILDREN_HASH,
+    "0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+  );
+});
+
+test("hashes milestone data like abi.encodePacked", () => {
+  const word = (value) =>
+    ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+  const packed = ethers.utils.hexConcat([
+    word(3),
+    word(1),
+    word(ethers.utils.parseEther("2.5")),
+    word(1700000000),
+    word(1690000000),
+    EMPTY_CHILDREN_HASH,
+    RECIPIENT,
+  ]);
+
+  assert.equal(
+    hashMilestoneData({
+      milestoneId: 3,
+      parentId: 1,
+      payment: ethers.utils.parseEther("2.5"),
+      deadline: 1700000000,
+      timestamp: 1690000000,
+      recipient: RECIPIENT,
+    }),
+    ethers.utils.keccak256(packed)
+  );
+});
+
+test("hashes pairs in sorted order", () => {
+  const [a, b] = leavesOf(2);
+  assert.equal(hashPair(a, b), hashPair(b, a));
+  assert.notEqual(hashPair(a, b), hashPair(a, a));
+});
+
+test("computes roots, pairing an odd node out with itself", () => {
+  const [a, b, c] = leavesOf(3);
+  assert.equal(computeMerkleRoot([]), ethers.constants.HashZero);
+  assert.equal(computeMerkleRoot([a]), a);
+  assert.equal(computeMerkleRoot([a, b]), hashPair(a, b));
+  assert.equal(
+    computeMerkleRoot([a, b, c]),
+    hashPair(hashPair(a, b), hashPair(c, c))
+  );
+});
+
+test("builds a proof that verifies for every leaf", () => {
+  for (let count = 1; count <= 9; count++) {
+    const leaves = leavesOf(count);
+    const root = computeMerkleRoot(leaves);
+    leaves.forEach((leaf, index) => {
+      const proof = buildMerkleProof(leaves, index);
+      assert.ok(
+        verifyMerkleProof(leaf, proof, root),
+        `leaf ${index} of ${count}`
+      );
+    });
+  }
+});
+
+test("rejects a proof for another leaf or root", () => {
+  const leaves = leavesOf(5);
+  const root = computeMerkleRoot(leaves);
+  const proof = buildMerkleProof(leaves, 2);
+
+  assert.equal(verifyMerkleProof(leaves[3], proof, root), false);
+  assert.equal(verifyMerkleProof(leafFor(42), proof, root), false);
+  assert.equal(
+    verifyMerkleProof(leaves[2], proof, computeMerkleRoot(leavesOf(4))),
+    false
+  );
+});
+
+test("compares roots case-insensitively", () => {
+  const leaves = leavesOf(4);
+  const root = computeMerkleRoot(leaves);
+  assert.ok(
+    verifyMerkleProof(
+      leaves[1],
+      buildMerkleProof(leaves, 1),
+      root.toUpperCase().replace("0X", "0x")
+    )
+  );
+});
+
+test("refuses to build a proof for a leaf outside the tree", () => {
+  const leaves = leavesOf(3);
+  assert.throws(() => buildMerkleProof(leaves, 3), RangeError);
+  assert.throws(() => buildMerkleProof(leaves, -1), RangeError);
+});
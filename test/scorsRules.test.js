@@ -0,0 +1,215 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SCORS_MAX,
+  DEFAULT_RULES,
+  withDefaultRules,
+  validateRules,
+  foldScore,
+} = require("../utils/scorsRules");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-06-01T00:00:00Z");
+const daysFrom = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Scores one event from DEFAULT_RULES' initial score
+const scoreOne = (event, rules = DEFAULT_RULES) =>
+  foldScore([{ occurredAt: NOW, metadata: {}, ...event }], rules, NOW)
+    .contributions[0];
+
+const withRules = (overrides) => ({
+  ...structuredClone(DEFAULT_RULES),
+  ...overrides,
+});
+
+test("the default rules are valid", () => {
+  assert.deepEqual(validateRules(DEFAULT_RULES), []);
+});
+
+test("rejects rule sets that don't match the default shape", () => {
+  const rules = structuredClone(DEFAULT_RULES);
+  rules.bonus = 1;
+  rules.initialScore = "7";
+  rules.milestone_completed.onTimeWeight = -0.3;
+  delete rules.dispute_ruled;
+
+  assert.deepEqual(validateRules(rules), [
+    "Unknown rule bonus",
+    "initialScore must be a number",
+    "milestone_completed.onTimeWeight can't be negative",
+    "dispute_ruled. must be an object",
+  ]);
+  assert.deepEqual(validateRules(null), ["rules must be an object"]);
+});
+
+test("rejects score ranges and thresholds that can't be used", () => {
+  assert.deepEqual(validateRules(withRules({ maxScore: SCORS_MAX + 1 })), [
+    "Scores must stay between 0 and 11",
+  ]);
+  assert.deepEqual(
+    validateRules(withRules({ minScore: 5, maxScore: 5, initialScore: 5 })),
+    ["minScore must be below maxScore"]
+  );
+  assert.deepEqual(validateRules(withRules({ initialScore: 0.5 })), [
+    "initialScore must be between minScore and maxScore",
+  ]);
+
+  const rules = structuredClone(DEFAULT_RULES);
+  rules.contract_created.fastSetupDays = 10;
+  rules.milestone_verified.fastVerificationDays = 10;
+  assert.deepEqual(validateRules(rules), [
+    "contract_created.fastSetupDays can't exceed setupDays",
+    "milestone_verified.fastVerificationDays can't exceed verificationDays",
+  ]);
+});
+
+test("fills in rules a stored rule set predates", () => {
+  const merged = withDefaultRules({
+    initialScore: 6,
+    milestone_completed: { onTimeWeight: 0.4 },
+  });
+  assert.equal(merged.initialScore, 6);
+  assert.equal(merged.milestone_completed.onTimeWeight, 0.4);
+  assert.equal(
+    merged.milestone_completed.maxLatePenalty,
+    DEFAULT_RULES.milestone_completed.maxLatePenalty
+  );
+  assert.deepEqual(merged.dispute_ruled, DEFAULT_RULES.dispute_ruled);
+  assert.deepEqual(validateRules(merged), []);
+});
+
+test("starts from the initial score", () => {
+  assert.deepEqual(foldScore([], DEFAULT_RULES, NOW), {
+    score: DEFAULT_RULES.initialScore,
+    contributions: [],
+  });
+});
+
+test("carries a baseline score over", () => {
+  const { score } = foldScore(
+    [{ type: "baseline", occurredAt: NOW, metadata: { score: 9.4 } }],
+    DEFAULT_RULES,
+    NOW
+  );
+  assert.equal(score, 9.4);
+});
+
+test("scores contract setup time in blocks", () => {
+  const setupAfter = (days) =>
+    scoreOne({
+      type: "contract_created",
+      metadata: {
+        bidAcceptedBlock: 1000,
+        contractCreationBlock: 1000 + days * 7200,
+      },
+    }).delta;
+
+  assert.equal(setupAfter(1), 0.2);
+  assert.equal(setupAfter(3), 0.1);
+  assert.equal(setupAfter(10), -0.1);
+  assert.equal(scoreOne({ type: "contract_created" }).delta, 0);
+});
+
+test("scores milestone completion against its deadline", () => {
+  const deadline = new Date("2026-05-01T00:00:00Z");
+  const completedAfter = (days) =>
+    scoreOne({
+      type: "milestone_completed",
+      metadata: { deadline, completionTime: daysFrom(deadline, days) },
+    });
+
+  assert.equal(completedAfter(-1).delta, 0.3);
+  assert.equal(completedAfter(0).delta, 0.3);
+  // Per started week late
+  assert.equal(completedAfter(1).delta, -0.1);
+  assert.equal(completedAfter(10).delta, -0.2);
+  assert.equal(completedAfter(100).delta, -0.5);
+  assert.equal(
+    completedAfter(10).reason,
+    "Milestone completed 10 days after its deadline"
+  );
+  assert.equal(scoreOne({ type: "milestone_completed" }).delta, 0.1);
+});
+
+test("scores verification speed for owners and verification for developers", () => {
+  const completionTime = new Date("2026-05-01T00:00:00Z");
+  const verifiedAfter = (days) =>
+    scoreOne({
+      type: "milestone_verified",
+      role: "owner",
+      metadata: {
+        completionTime,
+        verificationTime: daysFrom(completionTime, days),
+      },
+    }).delta;
+
+  assert.equal(verifiedAfter(2), 0.1);
+  assert.equal(verifiedAfter(5), 0);
+  assert.equal(verifiedAfter(10), -0.2);
+  assert.equal(
+    scoreOne({ type: "milestone_verified", role: "developer" }).delta,
+    0.1
+  );
+});
+
+test("scores dispute rulings for the side the arbitrator took", () => {
+  const ruled = (role, outcome) =>
+    scoreOne({ type: "dispute_ruled", role, metadata: { outcome } }).delta;
+
+  assert.equal(ruled("developer", "release"), 0.1);
+  assert.equal(ruled("owner", "release"), -0.3);
+  assert.equal(ruled("owner", "refund"), 0.1);
+  assert.equal(ruled("developer", "refund"), -0.3);
+});
+
+test("clamps the score to the rule set's range", () => {
+  const { score, contributions } = foldScore(
+    [
+      { type: "baseline", occurredAt: NOW, metadata: { score: 11 } },
+      {
+        type: "project_completed",
+        role: "developer",
+        occurredAt: NOW,
+        metadata: {},
+      },
+    ],
+    DEFAULT_RULES,
+    NOW
+  );
+  assert.equal(score, 11);
+  assert.equal(contributions[1].delta, 0.5);
+  assert.equal(contributions[1].applied, 0);
+  assert.equal(contributions[1].scoreBefore, 11);
+});
+
+test("decays events by their age, but not baselines", () => {
+  const rules = withRules({ decayHalfLifeDays: 10 });
+  const { contributions } = foldScore(
+    [
+      {
+        type: "baseline",
+        occurredAt: daysFrom(NOW, -100),
+        metadata: { score: 8 },
+      },
+      {
+        type: "milestone_completed",
+        occurredAt: daysFrom(NOW, -10),
+        metadata: {},
+      },
+    ],
+    rules,
+    NOW
+  );
+  assert.equal(contributions[0].weight, 1);
+  assert.equal(contributions[0].scoreAfter, 8);
+  assert.equal(contributions[1].weight, 0.5);
+  assert.equal(contributions[1].delta, 0.05);
+  assert.equal(contributions[1].scoreAfter, 8.05);
+});
+
+test("leaves the score alone for unknown events", () => {
+  const contribution = scoreOne({ type: "bid_placed" });
+  assert.equal(contribution.applied, 0);
+  assert.equal(contribution.scoreAfter, DEFAULT_RULES.initialScore);
+  assert.equal(contribution.reason, "Unknown event bid_placed");
+});
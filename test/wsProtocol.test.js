@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ErrorCodes,
+  ClientFrames,
+  ServerFrames,
+  validateFrame,
+  negotiateProtocolVersion,
+} = require("../utils/wsProtocol");
+
+const PROJECT_ID = "64b7f0c2a1b2c3d4e5f60718";
+const MESSAGE_ID = "64b7f0c2a1b2c3d4e5f60719";
+
+test("accepts a well-formed client frame", () => {
+  const result = validateFrame(ClientFrames, {
+    type: "sendMessage",
+    projectId: PROJECT_ID,
+    content: "Hello",
+    requestId: "req-1",
+  });
+  assert.deepEqual(result, { valid: true, code: null, errors: [] });
+});
+
+test("rejects frames that aren't objects or have no type", () => {
+  for (const frame of [null, "sendMessage", [], 42]) {
+    const result = validateFrame(ClientFrames, frame);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, ErrorCodes.INVALID_FRAME);
+  }
+  assert.equal(
+    validateFrame(ClientFrames, { projectId: PROJECT_ID }).code,
+    ErrorCodes.INVALID_FRAME
+  );
+});
+
+test("rejects frame types outside the schema, including inherited keys", () => {
+  for (const type of ["CONTRACT_GENERATED", "toString", "__proto__"]) {
+    const result = validateFrame(ClientFrames, { type });
+    assert.equal(result.valid, false);
+    assert.equal(result.code, ErrorCodes.UNKNOWN_FRAME_TYPE);
+  }
+});
+
+test("reports missing and mistyped fields", () => {
+  const result = validateFrame(ClientFrames, {
+    type: "editMessage",
+    projectId: "not-an-id",
+    content: 5,
+  });
+  assert.equal(result.valid, false);
+  assert.equal(result.code, ErrorCodes.INVALID_PAYLOAD);
+  assert.deepEqual(result.errors, [
+    "projectId must be of type objectId",
+    "messageId is required",
+    "content must be of type string",
+  ]);
+});
+
+test("enforces maxLength, min and max", () => {
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "sendMessage",
+      projectId: PROJECT_ID,
+      content: "x".repeat(5001),
+    }).errors,
+    ["content must be at most 5000 characters"]
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "fetchHistory",
+      projectId: PROJECT_ID,
+      limit: 0,
+    }).errors,
+    ["limit must be at least 1"]
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "fetchHistory",
+      projectId: PROJECT_ID,
+      limit: 101,
+    }).errors,
+    ["limit must be at most 100"]
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "fetchHistory",
+      projectId: PROJECT_ID,
+      limit: 1.5,
+    }).errors,
+    ["limit must be of type integer"]
+  );
+});
+
+test("checks the items of array fields", () => {
+  assert.equal(
+    validateFrame(ClientFrames, {
+      type: "markNotificationsRead",
+      notificationIds: [MESSAGE_ID],
+    }).valid,
+    true
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "markNotificationsRead",
+      notificationIds: [MESSAGE_ID, "bad"],
+    }).errors,
+    ["notificationIds[1] must be of type objectId"]
+  );
+});
+
+test("treats null as missing", () => {
+  assert.equal(
+    validateFrame(ClientFrames, {
+      type: "joinProjectChat",
+      projectId: PROJECT_ID,
+      bidderId: null,
+    }).valid,
+    true
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, { type: "joinProjectChat", projectId: null })
+      .errors,
+    ["projectId is required"]
+  );
+});
+
+test("validates requestId on any frame", () => {
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "leaveProjectChat",
+      projectId: PROJECT_ID,
+      requestId: 7,
+    }).errors,
+    ["requestId must be of type string"]
+  );
+  assert.deepEqual(
+    validateFrame(ClientFrames, {
+      type: "leaveProjectChat",
+      projectId: PROJECT_ID,
+      requestId: "r".repeat(101),
+    }).errors,
+    ["requestId must be at most 100 characters"]
+  );
+});
+
+test("validates server frames against ServerFrames", () => {
+  assert.equal(
+    validateFrame(ServerFrames, {
+      type: "DISPUTE_RULED",
+      notification: { type: "dispute_ruled" },
+    }).valid,
+    true
+  );
+  assert.deepEqual(
+    validateFrame(ServerFrames, { type: "MILESTONE_DEADLINE" }).errors,
+    ["notification is required"]
+  );
+  assert.equal(
+    validateFrame(ClientFrames, { type: "WELCOME" }).code,
+    ErrorCodes.UNKNOWN_FRAME_TYPE
+  );
+});
+
+test("negotiates the protocol version", () => {
+  assert.equal(negotiateProtocolVersion(undefined), MIN_PROTOCOL_VERSION);
+  assert.equal(negotiateProtocolVersion(""), MIN_PROTOCOL_VERSION);
+  assert.equal(negotiateProtocolVersion("1"), 1);
+  assert.equal(
+    negotiateProtocolVersion(String(PROTOCOL_VERSION + 5)),
+    PROTOCOL_VERSION
+  );
+  assert.equal(negotiateProtocolVersion("0"), null);
+  assert.equal(negotiateProtocolVersion("1.5"), null);
+  assert.equal(negotiateProtocolVersion("latest"), null);
+});
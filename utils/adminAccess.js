@@ -0,0 +1,13 @@
+const User = require("../models/User");
+
+// Whether the request comes from an admin. The role is read from the
+// database rather than the token, so revoking it takes effect immediately.
+// API key requests never count: keys act as their user without the user's
+// admin powers.
+const isAdminRequest = async (req) => {
+  if (req.apiKey) return false;
+  const user = await User.findById(req.user.id).select("role");
+  return user?.role === "admin";
+};
+
+module.exports = { isAdminRequest };
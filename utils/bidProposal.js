@@ -0,0 +1,93 @@
+const { ethers } = require("ethers");
+
+const MAX_SUMMARY_LENGTH = 5000;
+const MAX_MILESTONES = 20;
+const MAX_ATTACHMENTS = 10;
+
+class ProposalValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProposalValidationError";
+    this.statusCode = 400;
+  }
+}
+
+const toText = (value, maxLength) =>
+  typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Builds the proposal with a fixed key order so the same proposal always
+// produces the same hash.
+const normalizeProposal = (proposal) => {
+  if (!proposal || typeof proposal !== "object") return null;
+
+  const summary = toText(proposal.summary, MAX_SUMMARY_LENGTH);
+  if (!summary) {
+    throw new ProposalValidationError("Proposal summary is required");
+  }
+
+  const milestones = Array.isArray(proposal.milestones)
+    ? proposal.milestones
+    : [];
+  if (milestones.length > MAX_MILESTONES) {
+    throw new ProposalValidationError(
+      `A proposal can have at most ${MAX_MILESTONES} milestones`
+    );
+  }
+
+  const attachments = Array.isArray(proposal.attachments)
+    ? proposal.attachments
+    : [];
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new ProposalValidationError(
+      `A proposal can have at most ${MAX_ATTACHMENTS} attachments`
+    );
+  }
+
+  return {
+    summary,
+    timeline: {
+      startDate: toText(proposal.timeline?.startDate, 32) || null,
+      durationDays: toNumber(proposal.timeline?.durationDays),
+    },
+    milestones: milestones.map((milestone) => {
+      const title = toText(milestone?.title, 200);
+      if (!title) {
+        throw new ProposalValidationError("Every milestone needs a title");
+      }
+      return {
+        title,
+        amount: toText(String(milestone.amount ?? ""), 78) || null,
+        durationDays: toNumber(milestone.durationDays),
+      };
+    }),
+    attachments: attachments.map((attachment) => {
+      const url = toText(attachment?.url, 2048);
+      if (!/^https:\/\//.test(url)) {
+        throw new ProposalValidationError("Attachments must be HTTPS links");
+      }
+      return {
+        name: toText(attachment.name, 200) || url,
+        url,
+      };
+    }),
+  };
+};
+
+// The hash is an app-level integrity check, stored next to the proposal so a
+// changed proposal record can be spotted. It is not sent to the escrow, so
+// nothing on-chain pins the proposal to the bid.
+const hashProposal = (normalizedProposal) =>
+  ethers.utils.keccak256(
+    ethers.utils.toUtf8Bytes(JSON.stringify(normalizedProposal))
+  );
+
+module.exports = {
+  ProposalValidationError,
+  normalizeProposal,
+  hashProposal,
+};
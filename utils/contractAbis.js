@@ -0,0 +1,140 @@
+// Human-readable ABI fragments for the contract calls and events the backend
+// services and utils/currency.js use directly, so this file is loaded in the
+// browser too. The full ABIs are still served from /api/abi.
+
+const ESCROW_ABI = [
+  "event BidPlaced(uint256 indexed projectId, address indexed bidder, uint256 amount, uint8 currency, uint256 timestamp)",
+  "event BidAccepted(uint256 indexed projectId, address indexed selectedBidder, uint256 amount, uint8 currency)",
+  "event BidRefunded(uint256 indexed projectId, address indexed bidder, uint256 amount, uint8 currency)",
+  "event PaymentReleased(uint256 indexed projectId, address indexed recipient, uint256 amount, uint8 currency)",
+  "event OfficeRegistered(uint256 indexed projectId, address indexed officeContract)",
+  "event OfficeContractSet(uint256 indexed projectId, address indexed officeContract)",
+  "function getProjectBids(uint256 projectId) view returns (address[] bidders, uint256[] amounts, uint8[] currencies, bool[] refunded, bool[] selected, uint256[] timestamps)",
+  "function getRegisteredOffice(uint256 projectId) view returns (address)",
+  "function isSupportedCurrency(uint8 currency) view returns (bool)",
+  "function getSupportedTokenAddress(uint8 currency) view returns (address)",
+  "function getMilestoneAllocation(uint256 projectId, uint256 milestoneId) view returns (uint256 amount, uint8 currency, bool allocated)",
+];
+
+const OFFICE_ABI = [
+  "event ProjectHashUpdated(uint256 indexed tokenId, bytes32 oldHash, bytes32 newHash, uint256 timestamp)",
+  "event MerkleRootUpdated(uint256 indexed tokenId, bytes32 merkleRoot, uint256 totalLeaves, uint256 timestamp)",
+  "event BatchOperationCompleted(uint256 indexed tokenId, uint256 totalMilestones, bytes32 newMerkleRoot, uint256 timestamp)",
+  "event MilestoneCompleted(uint256 indexed milestoneId, address indexed developer, uint8 completionPercentage)",
+  "event MilestoneVerified(uint256 indexed milestoneId, address indexed verifier, uint256 payment)",
+  "event DisputeResolved(uint256 indexed milestoneId, address indexed arbitrator, bool releasedToRecipient, address paidTo, uint256 amount)",
+  "function OFFICE_VERSION() view returns (uint256)",
+  "function projectDataHash() view returns (bytes32)",
+  "function milestoneCounter() view returns (uint256)",
+  "function milestones(uint256 milestoneId) view returns (uint256 id, uint256 parentMilestoneId, uint256 payment, uint256 deadline, uint256 timestamp, bytes32 milestoneHash, bool completed, bool verified, uint8 completionPercentage, address recipient)",
+  "function getMilestoneData(uint256 milestoneId) view returns (uint256 id, uint256 parentId, uint256 payment, uint256 deadline, address recipient, bool completed, bool verified)",
+  "function refundedMilestones(uint256 milestoneId) view returns (bool)",
+  "function resolveDispute(uint256 milestoneId, uint8 currency, bool releaseToRecipient)",
+  "function batchCreateMilestonesAndAllocate(uint256[] parentPayments, uint256[] parentDeadlines, address[] parentRecipients, uint256[] childParentIds, uint256[] childPayments, uint256[] childDeadlines, address[] childRecipients, uint8 currency, uint256 depositAmount) payable",
+];
+
+const LENDING_REGISTRY_ABI = [
+  "function lowRiskPool() view returns (address)",
+  "function mediumRiskPool() view returns (address)",
+  "function highRiskPool() view returns (address)",
+  "function getInsuranceFundPercentage() view returns (uint256)",
+  "function getProjectManager() view returns (address)",
+  "function getPoolForScore(uint256 score) view returns (address pool, uint8 riskTier)",
+  "function getInterestRateForScore(uint256 score) view returns (uint256)",
+  "function owner() view returns (address)",
+  "function minScoreRequirement(uint8 riskTier) view returns (uint256)",
+  "function maxScoreRequirement(uint8 riskTier) view returns (uint256)",
+  "function baseInterestRate(uint8 riskTier) view returns (uint256)",
+  "function maxInterestRate(uint8 riskTier) view returns (uint256)",
+  "function coverageRate(uint8 riskTier) view returns (uint256)",
+  "function insuranceFundBalance() view returns (uint256)",
+  "function getLoanCoverage(uint256 amount, uint8 riskTier) view returns (uint256)",
+  "function setScoreRequirements(uint8 riskTier, uint256 minScore, uint256 maxScore)",
+  "function setInterestRates(uint8 riskTier, uint256 baseRate, uint256 maxRate)",
+  "function setCoverageRate(uint8 riskTier, uint256 rate)",
+  "event ParametersUpdated(string parameterType)",
+  "event LoanRegistered(uint256 indexed projectId, uint256 amount, uint8 riskTier, address pool)",
+  "event RepaymentRecorded(uint256 indexed projectId, uint256 amount)",
+  "event InsuranceFundContribution(address indexed contributor, uint256 amount)",
+  "event InsuranceFundWithdrawal(address indexed recipient, uint256 amount)",
+  "event DefaultRecorded(uint256 indexed projectId, uint256 defaultAmount, uint256 coverageAmount)",
+  "event InsuranceClaimed(uint256 indexed projectId, uint256 claimedAmount, uint256 coverageProvided)",
+];
+
+const LOAN_PROJECT_MANAGER_ABI = [
+  "function checkProjectLoanEligibility(uint256 projectId) view returns (bool eligible, address projectOwner)",
+];
+
+// LowRiskPool, MediumRiskPool and HighRiskPool share this interface
+const LENDING_POOL_ABI = [
+  "event Deposit(address indexed lender, uint256 amount, uint256 tokens)",
+  "event Withdrawal(address indexed lender, uint256 amount, uint256 tokens)",
+  "event TokenPriceUpdated(uint256 oldPrice, uint256 newPrice)",
+  "event LoanApproved(uint256 indexed projectId, uint256 amount, uint256 interestRate)",
+  "event LoanDisbursed(uint256 indexed projectId, address escrow, uint256 amount)",
+  "event RepaymentReceived(uint256 indexed projectId, uint256 amount)",
+  "event DefaultProcessed(uint256 indexed projectId, uint256 amount, uint256 recovered)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function minScorsRequirement() view returns (uint256)",
+  "function maxScorsRequirement() view returns (uint256)",
+  "function baseInterestRate() view returns (uint256)",
+  "function maxInterestRate() view returns (uint256)",
+  "function isPaused() view returns (bool)",
+  "function withdrawalsEnabled() view returns (bool)",
+  "function getPoolStats() view returns (uint256 tvl, uint256 utilized, uint256 activeLoans, uint256 currentPrice)",
+  "function getActiveProjects() view returns (uint256[])",
+  "function getLoanDetails(uint256 projectId) view returns (uint256 amount, uint256 remainingAmount, uint256 interestRate, uint256 startTime, uint256 endTime, bool isActive, bool isDefaulted, address lendingManager)",
+  "function getTokenValue(uint256 tokenAmount) view returns (uint256)",
+  "function getUserPoolPercentage(address user) view returns (uint256)",
+  "function maxExposurePerProject() view returns (uint256)",
+  "function maxUtilizationRate() view returns (uint256)",
+  "function dailyOutflowLimit() view returns (uint256)",
+  "function maxWalletPercentage() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function operator() view returns (address)",
+  "function updateRiskParameters(uint256 maxExposure, uint256 maxUtilization, uint256 dailyLimit, uint256 maxWalletPct)",
+  "function updateRatesAndRequirements(uint256 minScors, uint256 maxScors, uint256 baseRate, uint256 maxRate)",
+  "function setPaused(bool paused)",
+  "function setWithdrawalsEnabled(bool enabled)",
+  "function processDefault(uint256 projectId)",
+  "function emergencyFundRecovery(address recipient, uint256 amount)",
+  "event ParametersUpdated(string paramType)",
+];
+
+const LENDING_MANAGER_ABI = [
+  "function getLoanDetails() view returns (uint256 amount, uint256 interestRate, uint256 startDate, uint256 endDate, bool isActive, uint256 totalRepaid, uint256 remainingBalance)",
+  "function getAllRepaymentMilestones() view returns (uint256[] ids, uint256[] amounts, uint256[] deadlines, bool[] isPaid, uint256[] paidAmounts, uint256[] paidTimes)",
+  "function calculateEarlyRepaymentDiscount(uint256 milestoneId) view returns (uint256 discountedAmount)",
+  "function checkOverduePayments() view returns (uint256 overdueCount, bool isDefaulted)",
+];
+
+const PROJECT_MANAGER_ABI = [
+  "function factoryContract() view returns (address)",
+  "function getProjectState(uint256 tokenId) view returns (address owner, address office, bool hasNFT, bool hasOffice)",
+];
+
+const FACTORY_ABI = [
+  "function arbitrator() view returns (address)",
+  "function getProjectContracts(uint256 projectId) view returns (address office, address escrow)",
+];
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+module.exports = {
+  ESCROW_ABI,
+  OFFICE_ABI,
+  LENDING_REGISTRY_ABI,
+  LENDING_POOL_ABI,
+  LENDING_MANAGER_ABI,
+  LOAN_PROJECT_MANAGER_ABI,
+  PROJECT_MANAGER_ABI,
+  FACTORY_ABI,
+  ERC20_ABI,
+};
@@ -0,0 +1,27 @@
+// Spreadsheet apps run cells starting with these as formulas. Negative
+// numbers are left alone.
+const FORMULA_PREFIX = /^([=+@\t\r]|-(?![\d.]))/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders rows as RFC 4180 CSV. `columns` is a list of { key, header }.
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ].join("\r\n");
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,117 @@
+// Currencies a project escrow accepts. Shared by the backend services and the
+// bidding and milestone funding screens, so it stays CommonJS and only needs
+// ethers. `runner` is a provider on the server and the wallet's signer in the
+// browser.
+const { ethers } = require("ethers");
+const { ESCROW_ABI, ERC20_ABI } = require("./contractAbis");
+
+const Currency = {
+  DEV: 0,
+};
+
+const NATIVE_DECIMALS = 18;
+const MAX_CURRENCY_INDEX = 8;
+
+// Both fields hold the symbol: `name` is what the backend stores on bids and
+// `symbol` is what the screens show
+const DEV_CURRENCY = {
+  index: Currency.DEV,
+  name: "DEV",
+  symbol: "DEV",
+  decimals: NATIVE_DECIMALS,
+  tokenAddress: null,
+};
+
+const currencyCache = new Map();
+
+// DEV is the native currency; every other ICurrency value is an ERC-20 the
+// escrow has been told about through addSupportedCurrency. The symbol is used
+// as the currency name so it matches what BidModal shows and posts.
+const resolveCurrency = async (runner, escrowAddress, currencyIndex) => {
+  const index = Number(currencyIndex);
+  if (index === Currency.DEV) return DEV_CURRENCY;
+
+  const cacheKey = `${escrowAddress.toLowerCase()}:${index}`;
+  if (currencyCache.has(cacheKey)) return currencyCache.get(cacheKey);
+
+  const escrow = new ethers.Contract(escrowAddress, ESCROW_ABI, runner);
+  const tokenAddress = await escrow.getSupportedTokenAddress(index);
+  if (tokenAddress === ethers.constants.AddressZero) {
+    return {
+      index,
+      name: `CURRENCY_${index}`,
+      symbol: `CURRENCY_${index}`,
+      decimals: NATIVE_DECIMALS,
+      tokenAddress: null,
+    };
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+  const [symbol, decimals] = await Promise.all([
+    token.symbol(),
+    token.decimals(),
+  ]);
+
+  const currency = { index, name: symbol, symbol, decimals, tokenAddress };
+  currencyCache.set(cacheKey, currency);
+  return currency;
+};
+
+// The escrow has no list of supported currencies, so probe the ICurrency
+// values in order until the enum runs out.
+const loadSupportedCurrencies = async (escrowContract, runner) => {
+  const supported = [DEV_CURRENCY];
+  for (let index = 1; index <= MAX_CURRENCY_INDEX; index++) {
+    let isSupported;
+    try {
+      isSupported = await escrowContract.isSupportedCurrency(index);
+    } catch (error) {
+      break;
+    }
+    if (!isSupported) continue;
+
+    supported.push(
+      await resolveCurrency(runner, escrowContract.address, index)
+    );
+  }
+  return supported;
+};
+
+const getCurrencyBalance = async (currency, signer) => {
+  if (!currency.tokenAddress) {
+    return signer.getBalance();
+  }
+  const token = new ethers.Contract(currency.tokenAddress, ERC20_ABI, signer);
+  return token.balanceOf(await signer.getAddress());
+};
+
+// Approves `spender` for `amount` of an ERC-20 currency if the current
+// allowance is short, calling onApprove first so the UI can say why the
+// wallet is asking. Native DEV needs no approval.
+const ensureAllowance = async (
+  currency,
+  signer,
+  spender,
+  amount,
+  onApprove = () => {}
+) => {
+  if (!currency.tokenAddress) return false;
+
+  const token = new ethers.Contract(currency.tokenAddress, ERC20_ABI, signer);
+  const allowance = await token.allowance(await signer.getAddress(), spender);
+  if (allowance.gte(amount)) return false;
+
+  onApprove();
+  const approveTx = await token.approve(spender, amount);
+  await approveTx.wait();
+  return true;
+};
+
+module.exports = {
+  Currency,
+  DEV_CURRENCY,
+  resolveCurrency,
+  loadSupportedCurrencies,
+  getCurrencyBalance,
+  ensureAllowance,
+};
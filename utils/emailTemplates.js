@@ -0,0 +1,137 @@
+const APP_URL = process.env.APP_URL || "https://www.paxmata.com";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const projectUrl = (metadata) =>
+  metadata?.projectId
+    ? `${APP_URL}/projects/${metadata.projectId}`
+    : `${APP_URL}/dashboard`;
+
+const projectName = (metadata) =>
+  metadata?.projectTitle || metadata?.title || "your project";
+
+// Notifications that can be emailed or digested, keyed by WebSocket frame
+// type. The body is the notification's own message.
+const EMAIL_TEMPLATES = {
+  NEW_BID: {
+    subject: (metadata) => `New bid on "${projectName(metadata)}"`,
+    action: "Review bids",
+  },
+  BID_ACCEPTED: {
+    subject: (metadata) =>
+      `Your bid for "${projectName(metadata)}" was accepted`,
+    action: "Open project",
+  },
+  BID_REFUNDED: {
+    subject: (metadata) =>
+      `Your bid for "${projectName(metadata)}" was refunded`,
+    action: "Browse the marketplace",
+    url: () => `${APP_URL}/marketplace`,
+  },
+  MILESTONES_ADDED: {
+    subject: (metadata) => `Milestones added to "${projectName(metadata)}"`,
+    action: "View milestones",
+  },
+  MILESTONE_COMPLETED: {
+    subject: () => "A milestone is ready for verification",
+    action: "Verify milestone",
+  },
+  MILESTONE_VERIFIED: {
+    subject: () => "A milestone was verified and paid",
+    action: "View milestones",
+  },
+  PROJECT_COMPLETION: {
+    subject: () => "Your project is complete",
+    action: "Open project",
+  },
+};
+
+const SETTINGS_FOOTER = `You can choose which emails you get in your notification settings: ${APP_URL}/settings/notifications`;
+
+const layout = (heading, bodyHtml) => `<!doctype html>
+<html>
+  <body style="font-family: sans-serif; color: #1a1a1a; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+    ${bodyHtml}
+    <p style="color: #777; font-size: 12px; margin-top: 32px;">
+      You can choose which emails you get in your
+      <a href="${escapeHtml(
+        `${APP_URL}/settings/notifications`
+      )}">notification settings</a>.
+    </p>
+  </body>
+</html>`;
+
+/**
+ * Renders one notification as an email. Returns null for notification types
+ * that have no template.
+ */
+const renderNotificationEmail = (event, notification) => {
+  const template = EMAIL_TEMPLATES[event];
+  if (!template) return null;
+
+  const { metadata } = notification;
+  const subject = template.subject(metadata);
+  const url = template.url ? template.url(metadata) : projectUrl(metadata);
+
+  return {
+    subject,
+    text: `${notification.message}\n\n${template.action}: ${url}\n\n${SETTINGS_FOOTER}`,
+    html: layout(
+      subject,
+      `<p>${escapeHtml(notification.message)}</p>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(template.action)}</a></p>`
+    ),
+  };
+};
+
+/**
+ * Renders the digest of notifications collected over a day or a week.
+ * Items are { message, metadata, createdAt }, oldest first.
+ */
+const renderDigestEmail = (frequency, items) => {
+  const period = frequency === "weekly" ? "week" : "day";
+  const subject = `Your Paxmata ${frequency} digest: ${items.length} update${
+    items.length === 1 ? "" : "s"
+  }`;
+
+  const lines = items.map(
+    (item) =>
+      `- ${new Date(item.createdAt).toUTCString()}: ${
+        item.message
+      } (${projectUrl(item.metadata)})`
+  );
+  const listHtml = items
+    .map(
+      (item) =>
+        `<li style="margin-bottom: 8px;">${escapeHtml(
+          item.message
+        )} <a href="${escapeHtml(projectUrl(item.metadata))}">View</a></li>`
+    )
+    .join("\n      ");
+
+  return {
+    subject,
+    text: `Here is what happened on Paxmata this ${period}:\n\n${lines.join(
+      "\n"
+    )}\n\n${SETTINGS_FOOTER}`,
+    html: layout(
+      `What happened this ${period}`,
+      `<ul style="padding-left: 20px;">
+      ${listHtml}
+    </ul>`
+    ),
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  renderNotificationEmail,
+  renderDigestEmail,
+};
@@ -0,0 +1,99 @@
+const { ethers } = require("ethers");
+
+// Off-chain mirror of OfficeContract's milestone hashing and Merkle tree, so
+// proofs produced here check against the roots the office commits on-chain.
+
+// keccak256(abi.encodePacked(uint256[])) of the child list. Milestones are
+// hashed as they are created, before any children exist, so stored hashes
+// always use the empty list.
+const EMPTY_CHILDREN_HASH = ethers.utils.keccak256("0x");
+
+// Mirrors OfficeContract._hashMilestoneData
+const hashMilestoneData = ({
+  milestoneId,
+  parentId,
+  payment,
+  deadline,
+  timestamp,
+  childrenHash = EMPTY_CHILDREN_HASH,
+  recipient,
+}) =>
+  ethers.utils.solidityKeccak256(
+    [
+      "uint256",
+      "uint256",
+      "uint256",
+      "uint256",
+      "uint256",
+      "bytes32",
+      "address",
+    ],
+    [
+      milestoneId,
+      parentId,
+      payment,
+      deadline,
+      timestamp,
+      childrenHash,
+      recipient,
+    ]
+  );
+
+// Mirrors OfficeContract._hashPair: pairs are sorted before hashing, so a
+// proof only needs the sibling hashes, not their positions.
+const hashPair = (a, b) =>
+  ethers.BigNumber.from(a).lt(ethers.BigNumber.from(b))
+    ? ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [a, b])
+    : ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [b, a]);
+
+// Mirrors OfficeContract._computeMerkleRoot, where an odd node out is paired
+// with itself.
+const computeMerkleRoot = (leaves) => {
+  if (leaves.length === 0) return ethers.constants.HashZero;
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashPair(level[i], level[i + 1] ?? level[i]));
+    }
+    level = next;
+  }
+  return level[0];
+};
+
+const buildMerkleProof = (leaves, leafIndex) => {
+  if (leafIndex < 0 || leafIndex >= leaves.length) {
+    throw new RangeError(`Leaf ${leafIndex} is outside the tree`);
+  }
+
+  const proof = [];
+  let level = leaves;
+  let index = leafIndex;
+  while (level.length > 1) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    proof.push(level[siblingIndex] ?? level[index]);
+
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashPair(level[i], level[i + 1] ?? level[i]));
+    }
+    level = next;
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+const verifyMerkleProof = (leaf, proof, root) =>
+  proof
+    .reduce((hash, sibling) => hashPair(hash, sibling), leaf)
+    .toLowerCase() === root.toLowerCase();
+
+module.exports = {
+  EMPTY_CHILDREN_HASH,
+  hashMilestoneData,
+  hashPair,
+  computeMerkleRoot,
+  buildMerkleProof,
+  verifyMerkleProof,
+};
@@ -0,0 +1,440 @@
+// Builds the OpenAPI document for /api/v1 from the endpoint table in
+// routes/v1, so the published spec can't drift from the routes that serve it.
+// Schemas cover the fields integrations rely on; responses may carry more.
+
+const API_VERSION = "1.0.0";
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+  },
+});
+
+const pagination = {
+  total: { type: "integer" },
+  page: { type: "integer" },
+  limit: { type: "integer" },
+};
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      message: { type: "string" },
+    },
+  },
+  CurrentKey: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      userId: { type: "string" },
+      apiKey: {
+        type: "object",
+        properties: {
+          _id: { type: "string" },
+          name: { type: "string" },
+          prefix: { type: "string" },
+          scopes: {
+            type: "array",
+            items: { type: "string", enum: ["read", "bid", "manage"] },
+          },
+          rateLimit: {
+            type: "integer",
+            description: "Requests per minute, set by a Paxmata admin",
+          },
+          createdAt: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+  Project: {
+    type: "object",
+    properties: {
+      _id: { type: "string" },
+      tokenId: { type: "string" },
+      title: { type: "string" },
+      description: { type: "string" },
+      status: { type: "string", example: "Listed" },
+      userId: { type: "string", description: "The project owner" },
+      developerId: {
+        type: "string",
+        nullable: true,
+        description: "Set once a bid is accepted",
+      },
+      escrowContractAddress: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  ProjectPage: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      projects: {
+        type: "array",
+        items: { $ref: "#/components/schemas/Project" },
+      },
+      ...pagination,
+    },
+  },
+  ProjectResponse: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      project: { $ref: "#/components/schemas/Project" },
+    },
+  },
+  Milestone: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      parentId: {
+        type: "string",
+        description: "0 for top-level milestones",
+      },
+      payment: {
+        type: "string",
+        description: "In the smallest unit of the escrow currency",
+      },
+      deadline: { type: "string", format: "date-time" },
+      recipient: { type: "string" },
+      completed: { type: "boolean" },
+      verified: { type: "boolean" },
+      refunded: { type: "boolean" },
+    },
+  },
+  MilestoneList: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      officeAddress: { type: "string" },
+      milestones: {
+        type: "array",
+        items: { $ref: "#/components/schemas/Milestone" },
+      },
+    },
+  },
+  MilestoneProof: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      proof: {
+        type: "object",
+        description:
+          "The milestone's leaf and Merkle proof against the office's committed root",
+      },
+    },
+  },
+  Proposal: {
+    type: "object",
+    properties: {
+      summary: { type: "string" },
+      timeline: {
+        type: "object",
+        properties: {
+          startDate: { type: "string", nullable: true },
+          durationDays: { type: "number", nullable: true },
+        },
+      },
+      milestones: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            title: { type: "string" },
+            amount: { type: "string", nullable: true },
+            durationDays: { type: "number", nullable: true },
+          },
+        },
+      },
+      attachments: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            url: { type: "string", format: "uri" },
+          },
+        },
+      },
+    },
+  },
+  Bid: {
+    type: "object",
+    properties: {
+      bidIndex: { type: "integer" },
+      transactionHash: { type: "string" },
+      bidder: { type: "string" },
+      userId: { type: "string" },
+      amount: { type: "string" },
+      currency: { type: "string" },
+      blockNumber: { type: "integer" },
+      proposal: { $ref: "#/components/schemas/Proposal" },
+      proposalHash: {
+        type: "string",
+        nullable: true,
+        description:
+          "Hash of the stored proposal, for integrity checks. It is not recorded on-chain.",
+      },
+      outcome: { type: "string", nullable: true },
+      settlementTransactionHash: { type: "string", nullable: true },
+      settledAt: { type: "string", format: "date-time", nullable: true },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  BidList: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      bids: { type: "array", items: { $ref: "#/components/schemas/Bid" } },
+    },
+  },
+  PlaceBidRequest: {
+    type: "object",
+    required: ["transactionHash", "tokenId", "amount"],
+    properties: {
+      transactionHash: {
+        type: "string",
+        description:
+          "The mined transaction that placed the bid on the project's escrow, sent from the user's wallet",
+      },
+      tokenId: { type: "string" },
+      amount: { type: "string" },
+      currency: { type: "string" },
+      proposal: { $ref: "#/components/schemas/Proposal" },
+      proposalHash: {
+        type: "string",
+        description:
+          "The client's hash of the proposal, checked against it when given so a proposal changed in transit is rejected",
+      },
+    },
+  },
+  AcceptBidRequest: {
+    type: "object",
+    required: ["transactionHash"],
+    properties: {
+      transactionHash: {
+        type: "string",
+        description: "The mined acceptBidAndTransfer transaction",
+      },
+    },
+  },
+  AcceptBidResponse: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      project: { $ref: "#/components/schemas/Project" },
+      developerId: { type: "string", nullable: true },
+      refundedBids: { type: "integer" },
+    },
+  },
+  Dispute: {
+    type: "object",
+    properties: {
+      _id: { type: "string" },
+      projectId: { type: "string" },
+      projectTokenId: { type: "string" },
+      officeAddress: { type: "string" },
+      milestoneId: { type: "string" },
+      developerId: { type: "string" },
+      ownerId: { type: "string" },
+      reason: { type: "string" },
+      status: {
+        type: "string",
+        enum: [
+          "open",
+          "executing",
+          "execution_failed",
+          "resolved",
+          "withdrawn",
+          "settled",
+        ],
+      },
+      evidence: { type: "array", items: { type: "object" } },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  DisputeResponse: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      dispute: { $ref: "#/components/schemas/Dispute" },
+    },
+  },
+  DisputePage: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      disputes: {
+        type: "array",
+        items: { $ref: "#/components/schemas/Dispute" },
+      },
+      ...pagination,
+    },
+  },
+  OpenDisputeRequest: {
+    type: "object",
+    required: ["projectId", "milestoneId", "reason"],
+    properties: {
+      projectId: { type: "string" },
+      milestoneId: { type: "string" },
+      reason: { type: "string" },
+    },
+  },
+  EvidenceRequest: {
+    type: "object",
+    required: ["description"],
+    properties: {
+      description: { type: "string" },
+      files: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            url: { type: "string", format: "uri" },
+          },
+        },
+      },
+    },
+  },
+  Scors: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      userId: { type: "string" },
+      scors: { type: "number", nullable: true },
+      scorsEventCount: { type: "integer" },
+    },
+  },
+  ScorsHistory: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      userId: { type: "string" },
+    },
+    additionalProperties: true,
+  },
+  Success: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      message: { type: "string" },
+    },
+    additionalProperties: true,
+  },
+};
+
+// Express paths use :param, OpenAPI uses {param}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const buildPathParameters = (path) =>
+  [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  }));
+
+const buildOperation = (endpoint) => {
+  const operation = {
+    operationId: endpoint.operationId,
+    tags: [endpoint.tag],
+    summary: endpoint.summary,
+    description: `${
+      endpoint.description ? `${endpoint.description}\n\n` : ""
+    }Requires the \`${endpoint.scope}\` scope.`,
+    security: [{ apiKey: [] }],
+    "x-scope": endpoint.scope,
+    parameters: [
+      ...buildPathParameters(endpoint.path),
+      ...(endpoint.query || []).map((param) => ({
+        in: "query",
+        required: false,
+        ...param,
+      })),
+    ],
+    responses: {
+      [endpoint.status || 200]: {
+        description: "Success",
+        content: {
+          "application/json": {
+            schema: { $ref: `#/components/schemas/${endpoint.response}` },
+          },
+        },
+      },
+      400: errorResponse("Invalid request"),
+      401: errorResponse("Missing, unknown or revoked API key"),
+      403: errorResponse(
+        "The key lacks the scope, or the user may not do this"
+      ),
+      404: errorResponse("Not found"),
+      429: {
+        ...errorResponse("Rate limit exceeded"),
+        headers: {
+          "Retry-After": {
+            description: "Seconds until the rate limit resets",
+            schema: { type: "integer" },
+          },
+        },
+      },
+    },
+  };
+  if (endpoint.requestBody) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        "application/json": {
+          schema: { $ref: `#/components/schemas/${endpoint.requestBody}` },
+        },
+      },
+    };
+  }
+  return operation;
+};
+
+/**
+ * Builds the document for the given endpoints, each
+ * { method, path, operationId, tag, scope, summary, description?, query?,
+ *   requestBody?, response, status? }, served under basePath.
+ */
+const buildOpenApiDocument = (endpoints, { basePath }) => {
+  const paths = {};
+  for (const endpoint of endpoints) {
+    const path = toOpenApiPath(endpoint.path);
+    paths[path] = paths[path] || {};
+    paths[path][endpoint.method] = buildOperation(endpoint);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Paxmata API",
+      version: API_VERSION,
+      description:
+        "Projects, marketplace, bids, milestones and SCORS for integrations. Create API keys from your profile page. Every key can use `read` endpoints; `bid` and `manage` are granted per key. Each key has its own per-minute rate limit, reported in the X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset headers.",
+    },
+    servers: [{ url: basePath }],
+    tags: [...new Set(endpoints.map((endpoint) => endpoint.tag))].map(
+      (name) => ({ name })
+    ),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "Send the key as `Authorization: Bearer pxm_...`, or in the X-API-Key header",
+        },
+      },
+      schemas: SCHEMAS,
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -0,0 +1,330 @@
+// Pure scoring rules for SCORS. A user's score is the fold of their event
+// log through scoreEvent, starting from the rule set's initialScore and
+// clamped to its range after every step. The weights, penalties and decay
+// come from a versioned rule set; DEFAULT_RULES is what applies until an
+// admin activates one.
+
+// The lending pools price loans on a 0-11 scale (1100 basis points at most),
+// so no rule set may score outside it
+const SCORS_MIN = 0;
+const SCORS_MAX = 11;
+
+const BLOCKS_PER_DAY = 7200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Penalties are positive amounts that are subtracted. Day thresholds are
+// inclusive.
+const DEFAULT_RULES = {
+  initialScore: 7,
+  minScore: 1,
+  maxScore: 11,
+  // Days for an event's effect to halve; 0 keeps every event at full weight
+  decayHalfLifeDays: 0,
+  contract_created: {
+    fastSetupDays: 1,
+    fastSetupWeight: 0.2,
+    setupDays: 7,
+    setupWeight: 0.1,
+    slowSetupPenalty: 0.1,
+  },
+  milestone_completed: {
+    onTimeWeight: 0.3,
+    noDeadlineWeight: 0.1,
+    // Per started week late, up to maxLatePenalty
+    latePenaltyPerWeek: 0.1,
+    maxLatePenalty: 0.5,
+  },
+  milestone_verified: {
+    developerWeight: 0.1,
+    fastVerificationDays: 3,
+    fastVerificationWeight: 0.1,
+    verificationDays: 7,
+    verificationWeight: 0,
+    slowVerificationPenalty: 0.2,
+  },
+  project_completed: {
+    ownerWeight: 0.3,
+    developerWeight: 0.5,
+  },
+  // The party the arbitrator sides with gains, the other loses
+  dispute_ruled: {
+    upheldWeight: 0.1,
+    rejectedPenalty: 0.3,
+  },
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const days = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const formatDays = (value) => {
+  const rounded = Math.max(1, Math.round(value));
+  return `${rounded} day${rounded === 1 ? "" : "s"}`;
+};
+
+/**
+ * Fills in rules a stored rule set predates from DEFAULT_RULES, so versions
+ * saved before a rule existed score it with the default.
+ */
+const withDefaultRules = (rules) => {
+  const merged = { ...DEFAULT_RULES, ...rules };
+  for (const [key, defaultValue] of Object.entries(DEFAULT_RULES)) {
+    if (typeof defaultValue === "object") {
+      merged[key] = { ...defaultValue, ...(rules[key] || {}) };
+    }
+  }
+  return merged;
+};
+
+/**
+ * Checks a rule set has exactly the shape of DEFAULT_RULES, with
+ * non-negative numbers throughout and a score range the pools accept.
+ * Returns a list of problems, empty when the rule set is usable.
+ */
+const validateRules = (rules) => {
+  const errors = [];
+
+  const walk = (candidate, template, path) => {
+    if (
+      !candidate ||
+      typeof candidate !== "object" ||
+      Array.isArray(candidate)
+    ) {
+      errors.push(`${path || "rules"} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(candidate)) {
+      if (!(key in template)) {
+        errors.push(`Unknown rule ${path}${key}`);
+      }
+    }
+    for (const [key, defaultValue] of Object.entries(template)) {
+      const value = candidate[key];
+      if (typeof defaultValue === "object") {
+        walk(value, defaultValue, `${path}${key}.`);
+      } else if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${path}${key} must be a number`);
+      } else if (value < 0) {
+        errors.push(`${path}${key} can't be negative`);
+      }
+    }
+  };
+  walk(rules, DEFAULT_RULES, "");
+  if (errors.length > 0) return errors;
+
+  const { initialScore, minScore, maxScore } = rules;
+  if (minScore < SCORS_MIN || maxScore > SCORS_MAX) {
+    errors.push(`Scores must stay between ${SCORS_MIN} and ${SCORS_MAX}`);
+  }
+  if (minScore >= maxScore) {
+    errors.push("minScore must be below maxScore");
+  }
+  if (initialScore < minScore || initialScore > maxScore) {
+    errors.push("initialScore must be between minScore and maxScore");
+  }
+  if (rules.contract_created.fastSetupDays > rules.contract_created.setupDays) {
+    errors.push("contract_created.fastSetupDays can't exceed setupDays");
+  }
+  if (
+    rules.milestone_verified.fastVerificationDays >
+    rules.milestone_verified.verificationDays
+  ) {
+    errors.push(
+      "milestone_verified.fastVerificationDays can't exceed verificationDays"
+    );
+  }
+  return errors;
+};
+
+// Each rule returns the change it asks for and why
+const RULES = {
+  // Carries over a score from before the event log existed
+  baseline: (event, score) => ({
+    delta: Number(event.metadata.score) - score,
+    reason: "Score carried over from before score history was kept",
+  }),
+
+  contract_created: ({ metadata }, score, rules) => {
+    const config = rules.contract_created;
+    const { bidAcceptedBlock, contractCreationBlock } = metadata;
+    if (!bidAcceptedBlock || !contractCreationBlock) {
+      return { delta: 0, reason: "Contract created (setup time unknown)" };
+    }
+    const setupDays =
+      (contractCreationBlock - bidAcceptedBlock) / BLOCKS_PER_DAY;
+    if (setupDays <= config.fastSetupDays) {
+      return {
+        delta: config.fastSetupWeight,
+        reason: `Contract set up within ${formatDays(
+          config.fastSetupDays
+        )} of the bid being accepted`,
+      };
+    }
+    if (setupDays <= config.setupDays) {
+      return {
+        delta: config.setupWeight,
+        reason: `Contract set up within ${formatDays(
+          config.setupDays
+        )} of the bid being accepted`,
+      };
+    }
+    return {
+      delta: -config.slowSetupPenalty,
+      reason: `Contract took ${formatDays(
+        setupDays
+      )} to set up after the bid was accepted`,
+    };
+  },
+
+  milestone_completed: ({ metadata }, score, rules) => {
+    const config = rules.milestone_completed;
+    const { deadline, completionTime } = metadata;
+    if (!deadline || !completionTime) {
+      return { delta: config.noDeadlineWeight, reason: "Milestone completed" };
+    }
+    const lateDays = days(deadline, completionTime);
+    if (lateDays <= 0) {
+      return {
+        delta: config.onTimeWeight,
+        reason: "Milestone completed by its deadline",
+      };
+    }
+    return {
+      delta: -Math.min(
+        config.maxLatePenalty,
+        Math.ceil(lateDays / 7) * config.latePenaltyPerWeek
+      ),
+      reason: `Milestone completed ${formatDays(lateDays)} after its deadline`,
+    };
+  },
+
+  milestone_verified: ({ role, metadata }, score, rules) => {
+    const config = rules.milestone_verified;
+    if (role === "developer") {
+      return {
+        delta: config.developerWeight,
+        reason: "Milestone verified by the project owner",
+      };
+    }
+    const { completionTime, verificationTime } = metadata;
+    if (!completionTime || !verificationTime) {
+      return { delta: 0, reason: "Milestone verified" };
+    }
+    const waitDays = days(completionTime, verificationTime);
+    if (waitDays <= config.fastVerificationDays) {
+      return {
+        delta: config.fastVerificationWeight,
+        reason: `Milestone verified within ${formatDays(
+          config.fastVerificationDays
+        )} of completion`,
+      };
+    }
+    if (waitDays <= config.verificationDays) {
+      return {
+        delta: config.verificationWeight,
+        reason: `Milestone verified within ${formatDays(
+          config.verificationDays
+        )} of completion`,
+      };
+    }
+    return {
+      delta: -config.slowVerificationPenalty,
+      reason: `Milestone verified ${formatDays(waitDays)} after completion`,
+    };
+  },
+
+  project_completed: ({ role }, score, rules) =>
+    role === "owner"
+      ? {
+          delta: rules.project_completed.ownerWeight,
+          reason: "Project completed",
+        }
+      : {
+          delta: rules.project_completed.developerWeight,
+          reason: "Project delivered and completed",
+        },
+
+  // metadata.outcome is "release" when the arbitrator paid the developer
+  dispute_ruled: ({ role, metadata }, score, rules) => {
+    const upheld = (metadata.outcome === "release") === (role === "developer");
+    return upheld
+      ? {
+          delta: rules.dispute_ruled.upheldWeight,
+          reason: "Milestone dispute ruled in your favour",
+        }
+      : {
+          delta: -rules.dispute_ruled.rejectedPenalty,
+          reason: "Milestone dispute ruled against you",
+        };
+  },
+};
+
+// How much of an event's effect is left at asOf. Baselines are a starting
+// point rather than an effect, so they never fade.
+const decayWeight = (event, rules, asOf) => {
+  if (!rules.decayHalfLifeDays || event.type === "baseline") return 1;
+  const ageDays = Math.max(0, days(event.occurredAt, asOf));
+  return Math.pow(0.5, ageDays / rules.decayHalfLifeDays);
+};
+
+/**
+ * Applies one event to a score. `applied` can differ from `delta` when the
+ * score hits the bottom or top of the range.
+ */
+const scoreEvent = (event, score, rules, asOf) => {
+  const rule = RULES[event.type];
+  if (!rule) {
+    return {
+      delta: 0,
+      weight: 1,
+      applied: 0,
+      score,
+      reason: `Unknown event ${event.type}`,
+    };
+  }
+  const { delta, reason } = rule(event, score, rules);
+  const weight = decayWeight(event, rules, asOf);
+  const next = round(
+    Math.min(rules.maxScore, Math.max(rules.minScore, score + delta * weight))
+  );
+  return {
+    delta: round(delta * weight),
+    weight: round(weight),
+    applied: round(next - score),
+    score: next,
+    reason,
+  };
+};
+
+/**
+ * Folds an ordered event log into a score as of `asOf`, with each event's
+ * contribution. Decay makes the result depend on asOf, so a stored score is
+ * only current as of its last recompute.
+ */
+const foldScore = (events, rules = DEFAULT_RULES, asOf = new Date()) => {
+  let score = rules.initialScore;
+  const contributions = events.map((event) => {
+    const scoreBefore = score;
+    const result = scoreEvent(event, score, rules, asOf);
+    score = result.score;
+    return {
+      event,
+      delta: result.delta,
+      weight: result.weight,
+      applied: result.applied,
+      scoreBefore,
+      scoreAfter: score,
+      reason: result.reason,
+    };
+  });
+  return { score, contributions };
+};
+
+module.exports = {
+  SCORS_MIN,
+  SCORS_MAX,
+  DEFAULT_RULES,
+  withDefaultRules,
+  validateRules,
+  foldScore,
+};
@@ -0,0 +1,262 @@
+const {
+  PROTOCOL_VERSION,
+  ErrorCodes,
+  ClientFrames,
+  validateFrame,
+} = require("./wsProtocol");
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+// Enough to cover a replay page racing the live notifications around it
+const MAX_SEEN_NOTIFICATIONS = 500;
+
+// Frames the server answers directly, carrying the caller's requestId.
+// Anything else only comes back with that requestId if it failed.
+const REPLY_TYPES = {
+  joinProjectChat: "joinedChat",
+  fetchHistory: "chatHistory",
+};
+
+class SocketRequestError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "SocketRequestError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ObjectIds are fixed-length lowercase hex, so they order as strings
+const isAfter = (id, cursor) => !cursor || id > cursor;
+
+let requestCounter = 0;
+const nextRequestId = () => `${Date.now().toString(36)}-${++requestCounter}`;
+
+/**
+ * Browser client for the /ws endpoint, shared by the Next.js contexts so they
+ * all speak the protocol declared in utils/wsProtocol.js. It reconnects with
+ * backoff and resumes notifications from the last one it saw.
+ *
+ *   const socket = createSocketClient({ url, getToken });
+ *   socket.on("NEW_BID", (frame) => ...);
+ *   const history = await socket.request("fetchHistory", { projectId });
+ */
+const createSocketClient = ({
+  url,
+  getToken,
+  onStatusChange = () => {},
+  reconnect = true,
+}) => {
+  const handlers = new Map();
+  const pending = new Map();
+  let socket = null;
+  let since = null;
+  // Replay and live delivery run side by side after each connect. The cursor
+  // only follows the replay until it has caught up, so a reconnect mid-replay
+  // doesn't skip the pages still to come, and notifications seen both ways
+  // are only emitted once.
+  let replaying = false;
+  let latestLiveId = null;
+  const seenNotificationIds = new Set();
+  let protocolVersion = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let closedByClient = false;
+
+  const emit = (type, frame) => {
+    (handlers.get(type) || []).forEach((handler) => handler(frame));
+    (handlers.get("*") || []).forEach((handler) => handler(frame));
+  };
+
+  const settlePending = (frame) => {
+    const request = frame.requestId && pending.get(frame.requestId);
+    if (!request) return;
+
+    if (frame.type === "error") {
+      request.reject(new SocketRequestError(frame.code, frame.message, frame));
+    } else if (frame.type === request.replyType) {
+      request.resolve(frame);
+    } else {
+      return;
+    }
+    clearTimeout(request.timer);
+    pending.delete(frame.requestId);
+  };
+
+  const handleFrame = (event) => {
+    let frame;
+    try {
+      frame = JSON.parse(event.data);
+    } catch (error) {
+      console.error("Received malformed WebSocket frame:", error);
+      return;
+    }
+
+    if (frame.type === "WELCOME") {
+      protocolVersion = frame.protocolVersion;
+      reconnectAttempts = 0;
+      replaying = true;
+      latestLiveId = null;
+      onStatusChange("connected");
+    }
+    if (frame.type === "NOTIFICATIONS_REPLAYED") {
+      if (frame.cursor) since = frame.cursor;
+      if (frame.hasMore && frame.cursor) {
+        fetchNextReplayPage(frame);
+      } else {
+        replaying = false;
+        if (latestLiveId && isAfter(latestLiveId, since)) since = latestLiveId;
+      }
+    } else if (frame.notification?._id) {
+      const id = frame.notification._id;
+      if (seenNotificationIds.has(id)) return;
+      seenNotificationIds.add(id);
+      if (seenNotificationIds.size > MAX_SEEN_NOTIFICATIONS) {
+        seenNotificationIds.delete(seenNotificationIds.values().next().value);
+      }
+
+      if (frame.replayed || !replaying) {
+        if (isAfter(id, since)) since = id;
+      } else if (isAfter(id, latestLiveId)) {
+        latestLiveId = id;
+      }
+    }
+
+    settlePending(frame);
+    emit(frame.type, frame);
+  };
+
+  // Replays are paged, so keep asking until the server says it has caught up
+  const fetchNextReplayPage = ({ cursor, unreadOnly }) => {
+    try {
+      send("fetchMissedNotifications", { after: cursor, unreadOnly });
+    } catch (error) {
+      // Closed mid-replay; the reconnect resumes from the cursor
+      console.error("Failed to fetch missed notifications:", error);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (!reconnect || closedByClient) return;
+    const delay = Math.min(
+      1000 * 2 ** reconnectAttempts,
+      MAX_RECONNECT_DELAY_MS
+    );
+    reconnectAttempts += 1;
+    onStatusChange("reconnecting");
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    const token = getToken();
+    if (!token) {
+      onStatusChange("unauthenticated");
+      return;
+    }
+
+    const params = new URLSearchParams({
+      token,
+      protocol: String(PROTOCOL_VERSION),
+    });
+    if (since) params.set("since", since);
+
+    onStatusChange("connecting");
+    socket = new WebSocket(`${url}?${params.toString()}`);
+    socket.onmessage = handleFrame;
+    socket.onclose = (event) => {
+      protocolVersion = null;
+      pending.forEach((request) => {
+        clearTimeout(request.timer);
+        request.reject(
+          new SocketRequestError(
+            ErrorCodes.INTERNAL_ERROR,
+            "Connection closed before the server replied"
+          )
+        );
+      });
+      pending.clear();
+      onStatusChange("disconnected");
+
+      // Auth and protocol failures won't fix themselves on retry
+      if (event.code !== 1008 && event.code !== 1002) {
+        scheduleReconnect();
+      }
+    };
+  };
+
+  // Validates the frame against the shared schema before it leaves the
+  // browser, so a malformed call fails at the call site.
+  const send = (type, payload = {}) => {
+    const requestId = payload.requestId || nextRequestId();
+    const frame = { ...payload, type, requestId };
+
+    const { valid, code, errors } = validateFrame(ClientFrames, frame);
+    if (!valid) {
+      throw new SocketRequestError(code, `Invalid ${type} frame`, { errors });
+    }
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new SocketRequestError(
+        ErrorCodes.INTERNAL_ERROR,
+        "WebSocket is not connected"
+      );
+    }
+
+    socket.send(JSON.stringify(frame));
+    return requestId;
+  };
+
+  const request = (type, payload = {}, { timeout = REQUEST_TIMEOUT_MS } = {}) =>
+    new Promise((resolve, reject) => {
+      const replyType = REPLY_TYPES[type];
+      if (!replyType) {
+        reject(new Error(`${type} has no reply frame; use send() instead`));
+        return;
+      }
+
+      let requestId;
+      try {
+        requestId = send(type, payload);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(
+          new SocketRequestError(
+            ErrorCodes.INTERNAL_ERROR,
+            `Timed out waiting for ${replyType}`
+          )
+        );
+      }, timeout);
+      pending.set(requestId, { resolve, reject, replyType, timer });
+    });
+
+  const on = (type, handler) => {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => handlers.get(type).delete(handler);
+  };
+
+  const close = () => {
+    closedByClient = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  };
+
+  connect();
+
+  return {
+    send,
+    request,
+    on,
+    close,
+    getProtocolVersion: () => protocolVersion,
+  };
+};
+
+module.exports = {
+  SocketRequestError,
+  createSocketClient,
+};
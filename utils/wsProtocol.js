@@ -0,0 +1,321 @@
+// Shared definition of the /ws protocol. This file is loaded by both the
+// server (WebSocket.js) and the browser client (utils/wsClient.js), so it must
+// stay dependency-free and CommonJS.
+
+// Bump PROTOCOL_VERSION whenever a frame changes shape. Clients ask for a
+// version with ?protocol= and the server answers with the one it will speak
+// in WELCOME; clients that don't ask get MIN_PROTOCOL_VERSION.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+const ErrorCodes = {
+  INVALID_JSON: "INVALID_JSON",
+  INVALID_FRAME: "INVALID_FRAME",
+  UNKNOWN_FRAME_TYPE: "UNKNOWN_FRAME_TYPE",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  UNSUPPORTED_PROTOCOL: "UNSUPPORTED_PROTOCOL",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  PROJECT_NOT_FOUND: "PROJECT_NOT_FOUND",
+  CHAT_FORBIDDEN: "CHAT_FORBIDDEN",
+  CHAT_MUTED: "CHAT_MUTED",
+  ADMIN_REQUIRED: "ADMIN_REQUIRED",
+  MESSAGE_NOT_FOUND: "MESSAGE_NOT_FOUND",
+  NOT_MESSAGE_AUTHOR: "NOT_MESSAGE_AUTHOR",
+  INVALID_CURSOR: "INVALID_CURSOR",
+};
+
+// Field specs: { type, required, maxLength, min, max, items }. Types are
+// "string", "objectId", "integer", "boolean", "object" and "array", or a list
+// of them when a field accepts more than one. Every client frame may also
+// carry a requestId, which the server echoes on its reply and on any error
+// frame it causes.
+const objectId = { type: "objectId", required: true };
+// Chat frames name a bidder's negotiation thread with bidderId, or the
+// project's main chat without it. Bidders are always in their own thread.
+const bidderId = { type: "objectId" };
+
+// ClientFrames is also the allowlist of what browsers may send. Anything that
+// changes scores or contract state (CONTRACT_GENERATED, for one) is derived
+// from the chain on the server and must never be accepted from a client.
+const ClientFrames = {
+  joinProjectChat: { projectId: objectId, bidderId },
+  leaveProjectChat: { projectId: objectId, bidderId },
+  fetchHistory: {
+    projectId: objectId,
+    bidderId,
+    before: { type: "objectId" },
+    limit: { type: "integer", min: 1, max: 100 },
+  },
+  sendMessage: {
+    projectId: objectId,
+    bidderId,
+    content: { type: "string", required: true, maxLength: 5000 },
+    isAIMessage: { type: "boolean" },
+    clientId: { type: "string", maxLength: 100 },
+  },
+  editMessage: {
+    projectId: objectId,
+    bidderId,
+    messageId: objectId,
+    content: { type: "string", required: true, maxLength: 5000 },
+  },
+  deleteMessage: {
+    projectId: objectId,
+    bidderId,
+    messageId: objectId,
+    reason: { type: "string", maxLength: 500 },
+  },
+  flagMessage: {
+    projectId: objectId,
+    bidderId,
+    messageId: objectId,
+    reason: { type: "string", maxLength: 500 },
+  },
+  markRead: { projectId: objectId, bidderId, messageId: objectId },
+  typing: { projectId: objectId, bidderId, isTyping: { type: "boolean" } },
+  muteParticipant: {
+    projectId: objectId,
+    bidderId,
+    participantId: objectId,
+    reason: { type: "string", maxLength: 500 },
+    durationMinutes: { type: "integer", min: 1 },
+  },
+  unmuteParticipant: {
+    projectId: objectId,
+    bidderId,
+    participantId: objectId,
+    reason: { type: "string", maxLength: 500 },
+  },
+  // Either notificationIds or all: true, so a frame missing its ids can't
+  // mark everything read. Protocol 1 clients still mark everything read
+  // without ids.
+  markNotificationsRead: {
+    notificationIds: { type: "array", items: "objectId" },
+    all: { type: "boolean" },
+  },
+  // The next page of a replay that ended with hasMore, continuing after the
+  // cursor it returned
+  fetchMissedNotifications: {
+    after: objectId,
+    unreadOnly: { type: "boolean" },
+  },
+};
+
+const notificationFrame = { notification: { type: "object", required: true } };
+
+const ServerFrames = {
+  WELCOME: {
+    message: { type: "string" },
+    userId: { type: "string", required: true },
+    since: { type: "objectId" },
+    protocolVersion: { type: "integer", required: true },
+  },
+  error: {
+    code: { type: "string", required: true },
+    message: { type: "string", required: true },
+    requestId: { type: "string" },
+  },
+  NOTIFICATIONS_REPLAYED: {
+    count: { type: "integer", required: true },
+    cursor: { type: "objectId" },
+    hasMore: { type: "boolean", required: true },
+    unreadOnly: { type: "boolean", required: true },
+  },
+  NOTIFICATIONS_READ: { notificationIds: { type: "array", items: "objectId" } },
+  NOTIFICATION: notificationFrame,
+  PROJECT_MINTED: notificationFrame,
+  NEW_BID: notificationFrame,
+  BID_ACCEPTED: notificationFrame,
+  BID_REFUNDED: notificationFrame,
+  MILESTONES_ADDED: notificationFrame,
+  CONTRACT_GENERATED: notificationFrame,
+  PROJECT_COMPLETION: notificationFrame,
+  MILESTONE_COMPLETED: notificationFrame,
+  MILESTONE_VERIFIED: notificationFrame,
+  MILESTONE_DEADLINE: notificationFrame,
+  MILESTONE_ESCALATED: notificationFrame,
+  LOAN_DISBURSED: notificationFrame,
+  LOAN_OVERDUE: notificationFrame,
+  LOAN_DEFAULTED: notificationFrame,
+  DISPUTE_UPDATE: notificationFrame,
+  DISPUTE_RULED: notificationFrame,
+  SCORS_UPDATE: { data: { type: "object", required: true } },
+  statsUpdate: { data: { type: "object", required: true } },
+  joinedChat: {
+    projectId: objectId,
+    bidderId,
+    role: { type: "string", required: true },
+    participants: { type: "array", required: true },
+    readReceipts: { type: "array", required: true },
+  },
+  chatHistory: {
+    projectId: objectId,
+    bidderId,
+    messages: { type: "array", required: true },
+    nextCursor: { type: "objectId" },
+    hasMore: { type: "boolean", required: true },
+  },
+  newMessage: {
+    projectId: objectId,
+    bidderId,
+    message: { type: "object", required: true },
+  },
+  messageEdited: {
+    projectId: objectId,
+    bidderId,
+    message: { type: "object", required: true },
+  },
+  messageDeleted: { projectId: objectId, bidderId, messageId: objectId },
+  messageFlagged: {
+    projectId: objectId,
+    bidderId,
+    messageId: objectId,
+    reason: { type: "string" },
+  },
+  readUpTo: {
+    projectId: objectId,
+    bidderId,
+    userId: objectId,
+    messageId: objectId,
+  },
+  typing: {
+    projectId: objectId,
+    bidderId,
+    userId: objectId,
+    isTyping: { type: "boolean", required: true },
+  },
+  presence: {
+    projectId: objectId,
+    bidderId,
+    userId: objectId,
+    status: { type: "string", required: true },
+  },
+  participantMuted: { projectId: objectId, bidderId, participantId: objectId },
+  participantUnmuted: {
+    projectId: objectId,
+    bidderId,
+    participantId: objectId,
+  },
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const checkType = (type, value) => {
+  if (Array.isArray(type)) {
+    return type.some((option) => checkType(option, value));
+  }
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "objectId":
+      return typeof value === "string" && OBJECT_ID_PATTERN.test(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+const validateField = (name, spec, value) => {
+  if (value === undefined || value === null) {
+    return spec.required ? [`${name} is required`] : [];
+  }
+  if (!checkType(spec.type, value)) {
+    return [`${name} must be of type ${[].concat(spec.type).join(" or ")}`];
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return [`${name} must be at most ${spec.maxLength} characters`];
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return [`${name} must be at least ${spec.min}`];
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return [`${name} must be at most ${spec.max}`];
+  }
+  if (spec.items) {
+    const badIndex = value.findIndex((item) => !checkType(spec.items, item));
+    if (badIndex !== -1) {
+      return [`${name}[${badIndex}] must be of type ${spec.items}`];
+    }
+  }
+  return [];
+};
+
+/**
+ * Validates a frame against the schema for its type. `schemas` is
+ * ClientFrames or ServerFrames. Returns { valid, code, errors }, where code is
+ * one of ErrorCodes when the frame is rejected.
+ */
+const validateFrame = (schemas, frame) => {
+  if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+    return {
+      valid: false,
+      code: ErrorCodes.INVALID_FRAME,
+      errors: ["Frame must be a JSON object"],
+    };
+  }
+  if (typeof frame.type !== "string") {
+    return {
+      valid: false,
+      code: ErrorCodes.INVALID_FRAME,
+      errors: ["type is required"],
+    };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(schemas, frame.type)
+    ? schemas[frame.type]
+    : null;
+  if (!schema) {
+    return {
+      valid: false,
+      code: ErrorCodes.UNKNOWN_FRAME_TYPE,
+      errors: [`Unknown frame type ${frame.type}`],
+    };
+  }
+
+  const errors = Object.entries(schema).flatMap(([name, spec]) =>
+    validateField(name, spec, frame[name])
+  );
+  if (frame.requestId !== undefined) {
+    errors.push(
+      ...validateField(
+        "requestId",
+        { type: "string", maxLength: 100 },
+        frame.requestId
+      )
+    );
+  }
+
+  return errors.length
+    ? { valid: false, code: ErrorCodes.INVALID_PAYLOAD, errors }
+    : { valid: true, code: null, errors: [] };
+};
+
+// Picks the version to speak with a client that asked for `requested`. Returns
+// null when there is no version both sides understand.
+const negotiateProtocolVersion = (requested) => {
+  if (requested === undefined || requested === null || requested === "") {
+    return MIN_PROTOCOL_VERSION;
+  }
+  const version = Number(requested);
+  if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION) {
+    return null;
+  }
+  return Math.min(version, PROTOCOL_VERSION);
+};
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  ErrorCodes,
+  ClientFrames,
+  ServerFrames,
+  validateFrame,
+  negotiateProtocolVersion,
+};